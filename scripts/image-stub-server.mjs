@@ -0,0 +1,68 @@
+// Local HTTP server for trying URL imports without the network:
+//
+//   npm run stub:images          (PORT=8765 by default)
+//
+// Then add http://localhost:8765/<route> from "From URL", or copy it and
+// paste onto the board. Each route exercises one case of the importer; the
+// README lists what each one should do.
+import { createServer } from 'http'
+
+const PORT = Number(process.env.PORT) || 8765
+// Just over the importer's 50 MB limit
+const OVERSIZED_BYTES = 51 * 1024 * 1024
+const CHUNK = Buffer.alloc(1024 * 1024)
+
+// A 2×2 teal PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAIAAAD91JpzAAAAEElEQVR4nGPwO3sEiBggFAAymgd9XF+zEAAAAABJRU5ErkJggg==',
+  'base64'
+)
+
+// Stream `bytes` of padding after a PNG header, waiting for the client to
+// keep up, with no Content-Length to check up front
+function streamPadding(response, bytes) {
+  response.writeHead(200, { 'Content-Type': 'image/png' })
+  response.write(PNG)
+  let sent = PNG.length
+  const next = () => {
+    while (sent < bytes && !response.destroyed) {
+      sent += CHUNK.length
+      if (!response.write(CHUNK)) return response.once('drain', next)
+    }
+    response.end()
+  }
+  next()
+}
+
+const ROUTES = {
+  // Imports
+  '/image.png': (response) => response.writeHead(200, { 'Content-Type': 'image/png' }).end(PNG),
+  // Imports: the bytes decide, not the header
+  '/untyped': (response) =>
+    response.writeHead(200, { 'Content-Type': 'application/octet-stream' }).end(PNG),
+  // Rejected: claims to be an image but isn't
+  '/fake.png': (response) =>
+    response.writeHead(200, { 'Content-Type': 'image/png' }).end('<html>Not an image</html>'),
+  // Imports, named after this URL: redirects are followed
+  '/redirect': (response) => response.writeHead(302, { Location: '/image.png' }).end(),
+  // Rejected: HTTP error
+  '/missing.png': (response) => response.writeHead(404).end(),
+  // Rejected: announces more than the import limit
+  '/huge.png': (response) =>
+    response.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 1e9 }).end(),
+  // Rejected once 50 MB have arrived: the length isn't announced
+  '/oversized.png': (response) => streamPadding(response, OVERSIZED_BYTES),
+  // Rejected after the download timeout: headers arrive, the body never does
+  '/stalled.png': (response) =>
+    response.writeHead(200, { 'Content-Type': 'image/png' }).flushHeaders()
+}
+
+createServer((request, response) => {
+  const route = ROUTES[new URL(request.url, 'http://localhost').pathname]
+  console.log(request.method, request.url, route ? '' : '(no such route)')
+  if (route) route(response)
+  else response.writeHead(404).end()
+}).listen(PORT, () => {
+  console.log(`Image stub listening on http://localhost:${PORT}`)
+  Object.keys(ROUTES).forEach((path) => console.log(`  http://localhost:${PORT}${path}`))
+})
@@ -0,0 +1,148 @@
+import { BrowserWindow, dialog, ipcMain } from 'electron'
+import { mkdir, open, stat } from 'fs/promises'
+import { basename, dirname, join, relative, sep } from 'path'
+import {
+  assetFolderFor,
+  assetPathFor,
+  exists,
+  getWindowBoard,
+  windowAssetFolder,
+  writeAsset
+} from './boards'
+import { IMAGE_TYPES, mimeTypeFor, sniffImageType } from './imageTypes'
+import { readImageFile } from './images'
+
+// The asset manager's side of the board's images. The renderer sends the
+// images it knows about as `{ id, name, asset, path, url }` (the background
+// image included) and gets back where each one lives, so files can be
+// checked, relinked when they've moved, and gathered into the asset folder.
+
+// The file behind an image: its saved asset, else the file it was imported from
+function sourceFileFor(boardPath, image) {
+  if (image.asset && boardPath) return assetPathFor(boardPath, image.asset)
+  return image.path || null
+}
+
+// Enough of the file to recognise its format by
+async function readHeader(filePath) {
+  const file = await open(filePath, 'r')
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(16), 0, 16, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await file.close()
+  }
+}
+
+const isInside = (folder, filePath) => filePath.startsWith(`${folder}${sep}`)
+
+// `status` is 'ok', 'missing' (no file there), 'broken' (a file that isn't an
+// image we can read) or 'unsaved' (only in memory until the board is saved)
+async function inspectImage(boardPath, image) {
+  const filePath = sourceFileFor(boardPath, image)
+  if (!filePath) {
+    const isData = image.url?.startsWith('data:')
+    return {
+      id: image.id,
+      filePath: null,
+      size: isData ? Math.round(((image.url.length - image.url.indexOf(',') - 1) * 3) / 4) : null,
+      status: isData ? 'unsaved' : 'missing',
+      isCollected: false
+    }
+  }
+
+  const isCollected = Boolean(boardPath) && isInside(assetFolderFor(boardPath), filePath)
+  try {
+    const info = await stat(filePath)
+    const header = await readHeader(filePath)
+    const isImage = Boolean(mimeTypeFor(filePath)) && Boolean(sniffImageType(header))
+    return {
+      id: image.id,
+      filePath,
+      size: info.size,
+      status: isImage ? 'ok' : 'broken',
+      isCollected
+    }
+  } catch {
+    return { id: image.id, filePath, size: null, status: 'missing', isCollected }
+  }
+}
+
+async function inspectImages(webContents, images) {
+  const boardPath = getWindowBoard(webContents)
+  return Promise.all(images.map((image) => inspectImage(boardPath, image)))
+}
+
+// The name a moved file is looked for by
+const fileNameOf = (image) => basename(image.asset || image.path || image.name || '')
+
+// Ask for the new location of `image`. Other `missing` images are looked for
+// by file name in the folder it was found in, since whole folders tend to
+// move together. Resolves with the images found, by id, described as imports.
+async function relinkImage(webContents, image, missing = []) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(
+    BrowserWindow.fromWebContents(webContents),
+    {
+      title: `Find ${image.name || 'image'}`,
+      buttonLabel: 'Relink',
+      properties: ['openFile'],
+      filters: [{ name: 'Images', extensions: Object.keys(IMAGE_TYPES).map((ext) => ext.slice(1)) }]
+    }
+  )
+  if (canceled) return null
+
+  const found = { [image.id]: await readImageFile(filePaths[0]) }
+  const folder = dirname(filePaths[0])
+  for (const other of missing) {
+    if (other.id === image.id || !fileNameOf(other)) continue
+    const candidate = join(folder, fileNameOf(other))
+    if (await exists(candidate)) {
+      try {
+        found[other.id] = await readImageFile(candidate)
+      } catch (error) {
+        console.warn(`Not relinking ${candidate}:`, error.message)
+      }
+    }
+  }
+  return found
+}
+
+// Copy every image kept outside the board's asset folder into it. Resolves
+// with the new asset paths, relative to the board file, by id; images that
+// can't be read are skipped and listed in `failed`.
+async function collectImages(webContents, images) {
+  const assetFolder = windowAssetFolder(webContents)
+  const boardPath = getWindowBoard(webContents)
+  await mkdir(assetFolder, { recursive: true })
+  const assets = {}
+  const failed = []
+
+  for (const image of images) {
+    const filePath = sourceFileFor(boardPath, image)
+    if (filePath && isInside(assetFolder, filePath)) continue
+    try {
+      // A missing asset may still have the file it was imported from
+      let source = { url: image.url }
+      for (const candidate of [filePath, image.path]) {
+        if (candidate && (await exists(candidate))) {
+          source = { path: candidate }
+          break
+        }
+      }
+      const assetPath = await writeAsset(assetFolder, source)
+      assets[image.id] = relative(dirname(boardPath), assetPath).split('\\').join('/')
+    } catch (error) {
+      console.warn(`Couldn't collect ${image.name || 'an image'}:`, error.message)
+      failed.push(image.id)
+    }
+  }
+  return { assets, failed }
+}
+
+export function registerAssetHandlers() {
+  ipcMain.handle('assets:inspect', (event, images) => inspectImages(event.sender, images))
+  ipcMain.handle('assets:relink', (event, image, missing) =>
+    relinkImage(event.sender, image, missing)
+  )
+  ipcMain.handle('assets:collect', (event, images) => collectImages(event.sender, images))
+}
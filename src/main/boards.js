@@ -0,0 +1,422 @@
+import { app, BrowserWindow, dialog, ipcMain, webContents as allWebContents } from 'electron'
+import { createHash } from 'crypto'
+import { access, copyFile, mkdir, readFile, rename, rm, writeFile } from 'fs/promises'
+import { basename, dirname, extname, isAbsolute, join, relative } from 'path'
+import { extensionFor } from './imageTypes'
+import { readImageFile } from './images'
+
+export const BOARD_FORMAT = 'sankyboard'
+export const BOARD_VERSION = 1
+export const BOARD_EXTENSION = '.sankyboard'
+
+const MAX_RECENT_BOARDS = 10
+
+const BOARD_FILTERS = [{ name: 'Sanky boards', extensions: [BOARD_EXTENSION.slice(1)] }]
+
+// Board file each window is currently editing, keyed by webContents id
+const windowBoards = new Map()
+// What a new window shows once its renderer asks, keyed by webContents id:
+// `{ filePath }` for a board, `{ home: true }` for the board library or
+// `{ blank: true }` for a new untitled board, started from `template` if it
+// has one (see lib/templates in the renderer)
+const windowIntents = new Map()
+
+const recentBoardsPath = () => join(app.getPath('userData'), 'recent-boards.json')
+
+// Untitled boards autosave to a recovery file, one per window:
+// `Recovered.sankyboard`, `Recovered 2.sankyboard`, …
+const recoveryBoardPath = (slot = 1) =>
+  join(app.getPath('userData'), `Recovered${slot > 1 ? ` ${slot}` : ''}${BOARD_EXTENSION}`)
+
+export const isRecoveryPath = (filePath) =>
+  dirname(filePath) === app.getPath('userData') &&
+  /^Recovered( \d+)?$/.test(basename(filePath, BOARD_EXTENSION))
+
+// First recovery file no open window is using or about to reopen
+function allocateRecoveryPath() {
+  const taken = new Set([
+    ...windowBoards.values(),
+    ...[...windowIntents.values()].map((intent) => intent.filePath)
+  ])
+  for (let slot = 1; ; slot++) {
+    if (!taken.has(recoveryBoardPath(slot))) return recoveryBoardPath(slot)
+  }
+}
+
+// Edits to a saved board autosave to a hidden copy beside it,
+// `.board.sankyboard.autosave`, which shares its asset folder. The board file
+// only changes when the user saves; if the app stops before then, the copy
+// is opened in its place.
+export const autosavePathFor = (filePath) =>
+  join(dirname(filePath), `.${basename(filePath)}.autosave`)
+
+// Images for `board.sankyboard` live next to it in `board.assets/`
+export const assetFolderFor = (filePath) =>
+  join(dirname(filePath), `${basename(filePath, extname(filePath))}.assets`)
+
+// Where an item's `asset` is on disk. Assets are stored relative to the board
+// file, but hand-made boards may point anywhere.
+export const assetPathFor = (filePath, asset) =>
+  isAbsolute(asset) ? asset : join(dirname(filePath), asset)
+
+export const exists = (path) =>
+  access(path).then(
+    () => true,
+    () => false
+  )
+
+// Write through a temporary file so a crash mid-save can't truncate the board
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`
+  await writeFile(tempPath, contents)
+  await rename(tempPath, filePath)
+}
+
+// Store an image in the asset folder, named by content hash so repeats are shared.
+// Images come either as a data URL (drops from other apps, downloads) or as a
+// file on disk that gets copied.
+export async function writeAsset(assetFolder, { url, path }) {
+  let data
+  let extension
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '')
+  if (match) {
+    data = Buffer.from(match[2], 'base64')
+    extension = extensionFor(match[1]) || '.png'
+  } else if (path) {
+    data = await readFile(path)
+    extension = extname(path).toLowerCase()
+  } else {
+    throw new Error('Board images need a data URL or a source file until their asset is saved')
+  }
+
+  const fileName = `${createHash('sha1').update(data).digest('hex')}${extension}`
+
+  const assetPath = join(assetFolder, fileName)
+  if (!(await exists(assetPath))) {
+    await writeFile(assetPath, data)
+  }
+  return assetPath
+}
+
+// Bring an image into the asset folder: copy its `asset` across when the board
+// is saved somewhere new, otherwise write it from its data `url` or `path`.
+// Resolves with the asset path relative to the board file.
+async function saveAsset(filePath, image, url, previousPath) {
+  const assetFolder = assetFolderFor(filePath)
+  let assetPath
+  if (image.asset && previousPath) {
+    // Saving somewhere new: bring the asset along into the new folder
+    const sourcePath = assetPathFor(previousPath, image.asset)
+    assetPath = join(assetFolder, basename(sourcePath))
+    if (sourcePath !== assetPath && (await exists(sourcePath))) {
+      await copyFile(sourcePath, assetPath)
+    }
+  } else {
+    assetPath = await writeAsset(assetFolder, { url, path: image.path })
+  }
+  return relative(dirname(filePath), assetPath).split('\\').join('/')
+}
+
+// Persist a board. Items either reference an `asset` relative to the board's
+// previous location, or carry a data `url` or source `path` for images not yet
+// written out; so does a background image in `appearance`.
+// Resolves with each item's asset path relative to the new board file, and
+// the background image's as `backgroundAsset`. The manifest goes to
+// `manifestPath` when it's given, in the same folder as `filePath`.
+export async function saveBoard(filePath, board, previousPath, manifestPath = filePath) {
+  await mkdir(assetFolderFor(filePath), { recursive: true })
+
+  const assets = {}
+  const items = []
+
+  for (const { url, ...item } of board.items) {
+    // Images that never had a file here (shared ones that didn't arrive)
+    // have nothing to save
+    if (item.type === 'image' && (url || item.path || (item.asset && previousPath))) {
+      item.asset = await saveAsset(filePath, item, url, previousPath)
+      assets[item.id] = item.asset
+    }
+    items.push(item)
+  }
+
+  let appearance = board.appearance
+  let backgroundAsset = null
+  const background = appearance?.background
+  if (background?.image && (background.image.url || background.image.path || previousPath)) {
+    const { url, ...image } = background.image
+    image.asset = await saveAsset(filePath, image, url, previousPath)
+    backgroundAsset = image.asset
+    appearance = { ...appearance, background: { ...background, image } }
+  }
+
+  const manifest = {
+    format: BOARD_FORMAT,
+    version: BOARD_VERSION,
+    savedAt: new Date().toISOString(),
+    ...board,
+    ...(appearance && { appearance }),
+    items
+  }
+
+  await writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2))
+  return { filePath, assets, backgroundAsset }
+}
+
+// Load a board manifest and attach renderable asset URLs to every image item
+export async function openBoard(filePath) {
+  const manifest = JSON.parse(await readFile(filePath, 'utf8'))
+  if (manifest.format !== BOARD_FORMAT) {
+    throw new Error(`${basename(filePath)} is not a board file`)
+  }
+  if (manifest.version > BOARD_VERSION) {
+    throw new Error(`${basename(filePath)} was saved by a newer version of the app`)
+  }
+
+  const items = await Promise.all(
+    manifest.items.map(async (item) => {
+      if (item.type !== 'image') return item
+
+      // A bad `asset` only loses that image, not the board
+      try {
+        const { src, thumbnail } = await readImageFile(assetPathFor(filePath, item.asset))
+        return { ...item, url: src, thumbnailUrl: thumbnail }
+      } catch (error) {
+        console.warn(`Missing asset ${item.asset}:`, error.message)
+        return { ...item, missing: true }
+      }
+    })
+  )
+
+  const background = manifest.appearance?.background
+  if (background?.image?.asset) {
+    try {
+      const { src } = await readImageFile(assetPathFor(filePath, background.image.asset))
+      background.image.url = src
+    } catch (error) {
+      console.warn(`Missing background ${background.image.asset}:`, error.message)
+      background.image.missing = true
+    }
+  }
+
+  return { filePath, board: { ...manifest, items } }
+}
+
+export async function getRecentBoards() {
+  try {
+    const recent = JSON.parse(await readFile(recentBoardsPath(), 'utf8'))
+    return Array.isArray(recent) ? recent : []
+  } catch {
+    return []
+  }
+}
+
+async function addRecentBoard(filePath) {
+  const recent = (await getRecentBoards()).filter((entry) => entry.filePath !== filePath)
+  recent.unshift({ filePath, name: basename(filePath, BOARD_EXTENSION), openedAt: Date.now() })
+  await writeFileAtomic(recentBoardsPath(), JSON.stringify(recent.slice(0, MAX_RECENT_BOARDS)))
+  app.addRecentDocument(filePath)
+  return recent
+}
+
+// Remember which board a window has open and bump it in the recent list
+async function trackBoard(webContents, filePath) {
+  windowBoards.set(webContents.id, filePath)
+  if (!isRecoveryPath(filePath)) {
+    await addRecentBoard(filePath)
+  }
+}
+
+export const getWindowBoard = (webContents) => windowBoards.get(webContents.id) || null
+
+// Where images imported into a window's board are stored. An untitled board
+// is given its recovery file now, so they land where it will autosave.
+export function windowAssetFolder(webContents) {
+  if (!windowBoards.has(webContents.id)) {
+    windowBoards.set(webContents.id, allocateRecoveryPath())
+  }
+  return assetFolderFor(windowBoards.get(webContents.id))
+}
+
+export const setWindowIntent = (webContents, intent) => windowIntents.set(webContents.id, intent)
+
+export function forgetWindow(webContentsId) {
+  windowBoards.delete(webContentsId)
+  windowIntents.delete(webContentsId)
+}
+
+// The window editing `filePath`, if any
+export function findBoardWindow(filePath) {
+  for (const [id, boardPath] of windowBoards) {
+    const contents = allWebContents.fromId(id)
+    if (boardPath === filePath && contents && !contents.isDestroyed()) {
+      return BrowserWindow.fromWebContents(contents)
+    }
+  }
+  return null
+}
+
+const isOpenElsewhere = (filePath, webContents) => {
+  const owner = findBoardWindow(filePath)
+  return Boolean(owner) && owner.webContents !== webContents
+}
+
+export async function chooseBoardFile(window) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+    title: 'Open board',
+    properties: ['openFile'],
+    filters: BOARD_FILTERS
+  })
+  return canceled ? null : filePaths[0]
+}
+
+async function removeRecoveryBoard(filePath) {
+  await rm(filePath, { force: true })
+  await rm(assetFolderFor(filePath), { recursive: true, force: true })
+}
+
+// Throw away a window's untitled board, e.g. when it's closed without saving
+export async function discardUntitledBoard(webContents) {
+  const filePath = getWindowBoard(webContents)
+  windowBoards.delete(webContents.id)
+  if (filePath && isRecoveryPath(filePath)) {
+    await removeRecoveryBoard(filePath)
+  }
+}
+
+// A saved board with an autosave copy comes back as the copy, `recovered`
+const removeAutosave = (filePath) =>
+  isRecoveryPath(filePath) ? Promise.resolve() : rm(autosavePathFor(filePath), { force: true })
+
+// Throw away a window's autosaved edits to a saved board, when it's closed
+// without saving them or they've been undone
+export async function discardAutosave(webContents) {
+  const filePath = getWindowBoard(webContents)
+  if (filePath) await removeAutosave(filePath)
+}
+
+async function openBoardForWindow(webContents, filePath) {
+  const autosavePath = autosavePathFor(filePath)
+  if (!isRecoveryPath(filePath) && (await exists(autosavePath))) {
+    try {
+      const { board } = await openBoard(autosavePath)
+      await trackBoard(webContents, filePath)
+      return { filePath, board, untitled: false, recovered: true }
+    } catch (error) {
+      console.warn(`Ignoring unreadable autosave ${autosavePath}:`, error.message)
+    }
+  }
+  const result = await openBoard(filePath)
+  await trackBoard(webContents, filePath)
+  return { ...result, untitled: isRecoveryPath(filePath), recovered: false }
+}
+
+async function saveBoardForWindow(webContents, filePath, board) {
+  const previousPath = getWindowBoard(webContents)
+  const result = await saveBoard(filePath, board, previousPath)
+  await trackBoard(webContents, filePath)
+
+  // Once an untitled board has a real home, the recovery copy is stale, and
+  // so is any autosave of what was just saved
+  if (previousPath && isRecoveryPath(previousPath) && filePath !== previousPath) {
+    await removeRecoveryBoard(previousPath)
+  }
+  await removeAutosave(filePath)
+  if (previousPath && previousPath !== filePath) await removeAutosave(previousPath)
+  return { ...result, untitled: isRecoveryPath(filePath) }
+}
+
+// Bytes behind a board image: its data URL, source file or saved asset
+export async function readItemData(webContents, item) {
+  const match = /^data:[^;,]+;base64,(.*)$/s.exec(item.url || '')
+  if (match) return Buffer.from(match[1], 'base64')
+
+  if (item.path) {
+    try {
+      await access(item.path)
+      return await readFile(item.path)
+    } catch {
+      // Moved since it was imported; the saved asset may still be there
+    }
+  }
+  const boardPath = getWindowBoard(webContents)
+  if (item.asset && boardPath) {
+    return readFile(assetPathFor(boardPath, item.asset))
+  }
+  throw new Error(`${item.name || 'An image'} has no file to read`)
+}
+
+export function registerBoardHandlers() {
+  // A board already open in another window is brought forward instead
+  ipcMain.handle('boards:open', async (event, filePath) => {
+    filePath = filePath || (await chooseBoardFile(BrowserWindow.fromWebContents(event.sender)))
+    if (!filePath) return null
+
+    if (isOpenElsewhere(filePath, event.sender)) {
+      findBoardWindow(filePath).focus()
+      return null
+    }
+    return openBoardForWindow(event.sender, filePath)
+  })
+
+  // Start over with an untitled board in this window
+  ipcMain.handle('boards:new', (event) => {
+    windowBoards.delete(event.sender.id)
+  })
+
+  ipcMain.handle('boards:save', async (event, board, { saveAs = false } = {}) => {
+    let filePath = getWindowBoard(event.sender)
+    if (saveAs || !filePath || isRecoveryPath(filePath)) {
+      const window = BrowserWindow.fromWebContents(event.sender)
+      const { canceled, filePath: chosenPath } = await dialog.showSaveDialog(window, {
+        title: 'Save board',
+        defaultPath: `Untitled${BOARD_EXTENSION}`,
+        filters: BOARD_FILTERS
+      })
+      if (canceled) return null
+      filePath = chosenPath
+    }
+    return saveBoardForWindow(event.sender, filePath, board)
+  })
+
+  // Autosave never prompts: untitled boards go to a recovery file instead,
+  // and saved ones to their autosave copy, flagged `autosaved`
+  ipcMain.handle('boards:autosave', async (event, board) => {
+    const filePath = getWindowBoard(event.sender)
+    if (filePath && !isRecoveryPath(filePath)) {
+      const result = await saveBoard(filePath, board, filePath, autosavePathFor(filePath))
+      return { ...result, untitled: false, autosaved: true }
+    }
+    return saveBoardForWindow(event.sender, filePath || allocateRecoveryPath(), board)
+  })
+
+  // Load what this window was opened for. Resolves with a board, with
+  // `{ home: true }` to show the board library, `{ template }` for a board to
+  // start from a template, or null for a blank board.
+  // Windows opened without a plan reopen whatever the user was last working on.
+  ipcMain.handle('boards:restore', async (event) => {
+    const current = getWindowBoard(event.sender)
+    const intent = current ? { filePath: current } : windowIntents.get(event.sender.id)
+    windowIntents.delete(event.sender.id)
+    if (intent?.home) return { home: true }
+    if (intent?.blank) return intent.template ? { template: intent.template } : null
+
+    const [lastBoard] = await getRecentBoards()
+    const candidates = intent?.filePath
+      ? [intent.filePath]
+      : [lastBoard?.filePath, recoveryBoardPath()]
+    for (const filePath of candidates) {
+      if (filePath && !isOpenElsewhere(filePath, event.sender) && (await exists(filePath))) {
+        return openBoardForWindow(event.sender, filePath)
+      }
+    }
+    return { home: true }
+  })
+
+  // Boards open in some window are flagged `isOpen`
+  ipcMain.handle('boards:recent', async () =>
+    (await getRecentBoards()).map((entry) => ({
+      ...entry,
+      isOpen: Boolean(findBoardWindow(entry.filePath))
+    }))
+  )
+}
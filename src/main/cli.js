@@ -0,0 +1,194 @@
+import { BrowserWindow, ipcMain } from 'electron'
+import { stat, writeFile } from 'fs/promises'
+import { extname, join, resolve as resolvePath } from 'path'
+import { is } from '@electron-toolkit/utils'
+import { BOARD_EXTENSION, openBoard, saveBoard } from './boards'
+
+// Command line jobs, so pipelines can build boards and render previews
+// without anyone opening the app:
+//
+//   sanky-adi --new-board ./refs --layout grid --out board.sankyboard
+//   sanky-adi --render board.sankyboard --viewpoint hero --size 3840x2160 --out hero.png
+//
+// A job runs in a hidden window loading the renderer with the `#batch` hash,
+// which asks for its job, does the work and reports back. The app then quits
+// instead of restoring the window session: 0 on success, 1 if the job failed
+// and 2 for a command line it couldn't make sense of.
+
+const USAGE = `Usage:
+  sanky-adi --new-board <folder> [--layout <layout>] --out <board${BOARD_EXTENSION}>
+  sanky-adi --render <board${BOARD_EXTENSION}> [--viewpoint <name>] [--size <width>x<height>] --out <image.png|.jpg>`
+
+// Switches the app reads, all of which take a value
+const OPTIONS = ['--new-board', '--render', '--layout', '--viewpoint', '--size', '--out']
+
+const DEFAULT_RENDER_SIZE = { width: 3840, height: 2160 }
+// Largest side a 2D canvas can hold, which the render is drawn into
+const MAX_RENDER_SIDE = 16384
+const RENDER_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg' }
+
+// The batch window's own size doesn't matter; renders are drawn at the asked size
+const BATCH_WINDOW_SIZE = { width: 1280, height: 720 }
+
+// Running jobs, keyed by their window's webContents id:
+// `{ job, resolve, reject }`
+const batchJobs = new Map()
+// Set for the whole run once the command line asks for a job
+let isBatchRun = false
+
+// While a job runs, closing its window mustn't quit the app or save the
+// window session over the user's (see index.js and windows.js)
+export const isCommandLineRun = () => isBatchRun
+
+// `--name value` or `--name=value`. Anything else (Chromium's own switches,
+// the app path when run from source) is left alone.
+function readOptions(args) {
+  const options = {}
+  for (let i = 0; i < args.length; i++) {
+    const match = /^(--[\w-]+)(?:=(.*))?$/s.exec(args[i])
+    if (!match || !OPTIONS.includes(match[1])) continue
+    const value = match[2] ?? args[++i]
+    if (!value || value.startsWith('--')) throw new Error(`${match[1]} needs a value`)
+    options[match[1].slice(2)] = value
+  }
+  return options
+}
+
+function readSize(size) {
+  if (!size) return DEFAULT_RENDER_SIZE
+  const match = /^(\d+)x(\d+)$/i.exec(size)
+  const [width, height] = match ? [Number(match[1]), Number(match[2])] : [0, 0]
+  if (!(width >= 1 && height >= 1 && width <= MAX_RENDER_SIDE && height <= MAX_RENDER_SIDE)) {
+    throw new Error(`--size must be <width>x<height>, each between 1 and ${MAX_RENDER_SIDE}`)
+  }
+  return { width, height }
+}
+
+// The job `args` ask for, or null for a normal launch. Paths are resolved
+// against the working directory.
+function parseCommandLine(args) {
+  const options = readOptions(args)
+  if (options['new-board'] && options.render) {
+    throw new Error('Use either --new-board or --render, not both')
+  }
+  if (!options['new-board'] && !options.render) return null
+  if (!options.out) throw new Error('--out is required')
+  const out = resolvePath(options.out)
+
+  if (options['new-board']) {
+    if (extname(out).toLowerCase() !== BOARD_EXTENSION) {
+      throw new Error(`--out must be a ${BOARD_EXTENSION} file`)
+    }
+    return {
+      command: 'new-board',
+      folder: resolvePath(options['new-board']),
+      layout: options.layout ?? null,
+      out
+    }
+  }
+
+  const format = RENDER_FORMATS[extname(out).toLowerCase()]
+  if (!format) throw new Error('--out must be a .png or .jpg file')
+  return {
+    command: 'render',
+    filePath: resolvePath(options.render),
+    viewpoint: options.viewpoint ?? null,
+    ...readSize(options.size),
+    format,
+    out
+  }
+}
+
+function createBatchWindow() {
+  const window = new BrowserWindow({
+    ...BATCH_WINDOW_SIZE,
+    show: false,
+    webPreferences: {
+      preload: join(__dirname, '../preload/index.js'),
+      sandbox: false,
+      // Hidden windows are throttled by default, which would stall the scene
+      backgroundThrottling: false
+    }
+  })
+
+  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
+    window.loadURL(`${process.env['ELECTRON_RENDERER_URL']}#batch`)
+  } else {
+    window.loadFile(join(__dirname, '../renderer/index.html'), { hash: 'batch' })
+  }
+  return window
+}
+
+// Hand `job` to a new batch window and pass what it reports to `onResult`.
+// The window stays open until that's done, so the output is written first.
+async function runInWindow(job, onResult) {
+  const window = createBatchWindow()
+  const { id } = window.webContents
+  try {
+    const result = await new Promise((resolve, reject) => {
+      batchJobs.set(id, { job, resolve, reject })
+      window.webContents.on('did-fail-load', (_, code, description, url, isMainFrame) => {
+        if (isMainFrame) reject(new Error(`The app failed to load (${description})`))
+      })
+      window.webContents.on('render-process-gone', (_, { reason }) =>
+        reject(new Error(`The app stopped unexpectedly (${reason})`))
+      )
+    })
+    await onResult(result)
+  } finally {
+    batchJobs.delete(id)
+    window.destroy()
+  }
+}
+
+async function buildBoard({ folder, layout, out }) {
+  const info = await stat(folder).catch(() => null)
+  if (!info?.isDirectory()) throw new Error(`${folder} is not a folder`)
+  await runInWindow({ command: 'new-board', folder, layout }, ({ board }) =>
+    saveBoard(out, board, null)
+  )
+}
+
+// The board is opened here, so rendering one doesn't add it to recent boards
+async function renderBoard({ filePath, out, ...options }) {
+  const { board } = await openBoard(filePath)
+  await runInWindow({ ...options, filePath, board }, ({ data }) => writeFile(out, data))
+}
+
+// Run the job `args` ask for. Resolves with the exit code, or null when
+// there's no job and the app should start as usual.
+export async function runCommandLine(args) {
+  let job
+  try {
+    job = parseCommandLine(args)
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`)
+    return 2
+  }
+  if (!job) return null
+
+  isBatchRun = true
+  try {
+    await (job.command === 'new-board' ? buildBoard(job) : renderBoard(job))
+    console.log(`Wrote ${job.out}`)
+    return 0
+  } catch (error) {
+    console.error(`Failed: ${error.message}`)
+    return 1
+  }
+}
+
+export function registerCommandLineHandlers() {
+  // The job this batch window was opened for: see `parseCommandLine` for its
+  // shape. A render also gets the opened `board`.
+  ipcMain.handle('batch:get-job', (event) => batchJobs.get(event.sender.id)?.job ?? null)
+
+  // `result` is `{ board }` for a new board, `{ data }` for a render, or
+  // `{ error }` with a message if the job failed
+  ipcMain.handle('batch:finish', (event, result) => {
+    const running = batchJobs.get(event.sender.id)
+    if (!running) return
+    if (result.error) running.reject(new Error(result.error))
+    else running.resolve(result)
+  })
+}
@@ -0,0 +1,457 @@
+import { ipcMain } from 'electron'
+import { randomBytes } from 'crypto'
+import { readFile } from 'fs/promises'
+import { createServer } from 'http'
+import { networkInterfaces, userInfo } from 'os'
+import { basename } from 'path'
+import { readItemData, windowAssetFolder } from './boards'
+import { readImageFile } from './images'
+import { storeImage } from './remoteImages'
+import { acceptUpgrade, connect, rejectUpgrade } from './websocket'
+
+// Shared board sessions on the local network. One window hosts: its main
+// process runs a WebSocket server and relays between the guests, who connect
+// with a link carrying the session code. Messages are JSON objects:
+//
+//   hello { name }                         guest → host, first message
+//   welcome { peerId, color, ops, peers }  host → guest, the board so far
+//   ops { ops }                            board changes, either way
+//   presence { peer }                      cursor and camera, either way
+//   leave { peerId }                       host → guests
+//   asset-request { key }                  guest → host
+//   asset { key, data } or { key, error }  image bytes as base64, either way
+//
+// Ops are `{ id, field, value, stamp }` last-writer-wins registers (see
+// lib/collaboration.js in the renderer). The host keeps the winning op for
+// each field, so late joiners get the whole board in their welcome. Images
+// travel separately, keyed by their content-hash file name, and each window
+// tracks the ones it has (or is still storing) in `assets`, as promises of
+// their path.
+
+const DEFAULT_PORT = 47600
+const PEER_COLORS = ['#4ecdc4', '#ff6b6b', '#ffd93d', '#a29bfe', '#55efc4', '#fd79a8', '#74b9ff']
+const ASSET_TIMEOUT = 60000
+
+// Session each window is in, keyed by webContents id
+const sessions = new Map()
+
+const newPeerId = () => randomBytes(6).toString('hex')
+
+const defaultName = () => {
+  try {
+    return userInfo().username
+  } catch {
+    return 'Guest'
+  }
+}
+
+const isNewer = (stamp, than) => (stamp[0] !== than[0] ? stamp[0] > than[0] : stamp[1] > than[1])
+
+// Keep the winning op for each item field
+function mergeOps(state, ops) {
+  for (const op of ops) {
+    if (!Array.isArray(op?.stamp)) continue
+    const key = `${op.id}\u0000${op.field}`
+    const current = state.get(key)
+    if (!current || isNewer(op.stamp, current.stamp)) state.set(key, op)
+  }
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+const isString = (value) => typeof value === 'string'
+// `{ id, field, value, stamp: [counter, site] }`, which `mergeOps` and every
+// window's replica rely on
+const isOp = (op) =>
+  isObject(op) &&
+  isString(op.id) &&
+  isString(op.field) &&
+  Array.isArray(op.stamp) &&
+  op.stamp.length === 2 &&
+  Number.isFinite(op.stamp[0]) &&
+  isString(op.stamp[1])
+const isOpList = (ops) => Array.isArray(ops) && ops.every(isOp)
+
+// Message types each side accepts from the other, with a check of the
+// fields it relies on. Anything else a peer sends is dropped.
+const FROM_GUEST = {
+  hello: () => true,
+  ops: (message) => isOpList(message.ops),
+  presence: (message) => isObject(message.peer),
+  asset: (message) => isString(message.key) && isString(message.data),
+  'asset-request': (message) => isString(message.key)
+}
+const FROM_HOST = {
+  welcome: (message) =>
+    isString(message.peerId) && isOpList(message.ops) && Array.isArray(message.peers),
+  ops: FROM_GUEST.ops,
+  presence: FROM_GUEST.presence,
+  leave: (message) => isString(message.peerId),
+  asset: (message) => isString(message.key) && (isString(message.data) || isString(message.error))
+}
+
+// The parsed message in `text`, or null if it isn't one `accepted` allows
+function readMessage(text, accepted) {
+  let message
+  try {
+    message = JSON.parse(text)
+  } catch {
+    return null
+  }
+  const isValid = isObject(message) && Object.hasOwn(accepted, message.type)
+  if (isValid && accepted[message.type](message)) return message
+  console.warn('Dropping a malformed session message')
+  return null
+}
+
+const send = (connection, message) => connection.send(JSON.stringify(message))
+
+const notify = (session, message) => {
+  if (!session.webContents.isDestroyed()) session.webContents.send('collab:event', message)
+}
+
+// Relay to every guest but `exceptId`, and to the host's own window unless
+// the message came from it
+function broadcast(session, message, exceptId) {
+  for (const [peerId, connection] of session.guests) {
+    if (peerId !== exceptId) send(connection, message)
+  }
+  if (exceptId !== session.self.id) notify(session, message)
+}
+
+// Addresses other computers can reach this one on, plus localhost for a
+// second window or instance on this computer
+function sessionLinks(port, code) {
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter((address) => address.family === 'IPv4' && !address.internal)
+    .map((address) => address.address)
+  return [...addresses, 'localhost'].map((address) => `ws://${address}:${port}/${code}`)
+}
+
+// The default port keeps links stable between sessions; a second host on the
+// same computer falls back to any free port
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => {
+      if (error.code !== 'EADDRINUSE') return reject(error)
+      server.listen(0)
+    }
+    server.on('error', onError)
+    server.once('listening', () => {
+      server.off('error', onError)
+      resolve(server.address().port)
+    })
+    server.listen(DEFAULT_PORT)
+  })
+}
+
+// Write shared image bytes (or the promise of them) into the window's board
+// under `key`. Keys are the stored file's name, which comes from its content
+// hash, so bytes that don't hash to `key` are refused rather than stored
+// under someone else's image.
+function storeAsset(session, key, data) {
+  const stored = Promise.resolve(data)
+    .then((bytes) =>
+      storeImage(windowAssetFolder(session.webContents), bytes, { name: key, source: '' })
+    )
+    .then((image) => {
+      if (basename(image.path) !== key) throw new Error(`its content doesn't match ${key}`)
+      return image.path
+    })
+  session.assets.set(key, stored)
+  stored.catch(() => session.assets.delete(key))
+  return stored
+}
+
+function handleGuestMessage(session, peer, connection, message) {
+  switch (message.type) {
+    case 'ops':
+      mergeOps(session.state, message.ops)
+      broadcast(session, message, peer.id)
+      break
+    case 'presence': {
+      const presence = { ...message.peer, id: peer.id, name: peer.name, color: peer.color }
+      session.presence.set(peer.id, presence)
+      broadcast(session, { type: 'presence', peer: presence }, peer.id)
+      break
+    }
+    case 'asset':
+      // Whatever is already stored under a key is the same image
+      if (session.assets.has(message.key)) break
+      storeAsset(session, message.key, Buffer.from(message.data, 'base64')).catch((error) =>
+        console.warn(`Discarding shared image ${message.key}:`, error.message)
+      )
+      break
+    case 'asset-request': {
+      const stored = session.assets.get(message.key) ?? Promise.reject(new Error('Unknown image'))
+      stored
+        .then((assetPath) => readFile(assetPath))
+        .then((data) => ({ data: data.toString('base64') }))
+        .then(
+          (fields) => ({ type: 'asset', key: message.key, ...fields }),
+          (error) => ({ type: 'asset', key: message.key, error: error.message })
+        )
+        .then((answer) => send(connection, answer))
+      break
+    }
+    default:
+      break
+  }
+}
+
+function addGuest(session, connection) {
+  let peer = null
+
+  connection.on('message', (text) => {
+    const message = readMessage(text, FROM_GUEST)
+    if (!message) return
+
+    if (peer) {
+      try {
+        handleGuestMessage(session, peer, connection, message)
+      } catch (error) {
+        console.warn(`Dropping a message from ${peer.name}:`, error.message)
+      }
+      return
+    }
+    if (message.type !== 'hello') {
+      connection.close(1002)
+      return
+    }
+
+    peer = {
+      id: newPeerId(),
+      name: String(message.name || 'Guest').slice(0, 40),
+      color: PEER_COLORS[session.peerCount++ % PEER_COLORS.length]
+    }
+    session.guests.set(peer.id, connection)
+    send(connection, {
+      type: 'welcome',
+      peerId: peer.id,
+      color: peer.color,
+      ops: [...session.state.values()],
+      peers: [...session.presence.values()]
+    })
+    session.presence.set(peer.id, peer)
+    broadcast(session, { type: 'presence', peer }, peer.id)
+  })
+
+  connection.on('close', () => {
+    if (!peer) return
+    session.guests.delete(peer.id)
+    session.presence.delete(peer.id)
+    broadcast(session, { type: 'leave', peerId: peer.id }, peer.id)
+  })
+}
+
+async function hostSharedSession(webContents, name) {
+  leaveSharedSession(webContents.id)
+
+  const code = randomBytes(4).toString('hex')
+  const server = createServer((request, response) => {
+    response.writeHead(426, { Upgrade: 'websocket' })
+    response.end()
+  })
+  const self = { id: newPeerId(), name: name || defaultName(), color: PEER_COLORS[0] }
+  const session = {
+    role: 'host',
+    webContents,
+    server,
+    self,
+    guests: new Map(),
+    presence: new Map([[self.id, self]]),
+    state: new Map(),
+    assets: new Map(),
+    peerCount: 1
+  }
+
+  server.on('upgrade', (request, socket, head) => {
+    if (request.url !== `/${code}`) {
+      rejectUpgrade(socket, 403, 'Forbidden')
+      return
+    }
+    const connection = acceptUpgrade(request, socket, head)
+    if (connection) addGuest(session, connection)
+  })
+
+  const port = await listen(server)
+  sessions.set(webContents.id, session)
+  return { role: 'host', peerId: self.id, color: self.color, links: sessionLinks(port, code) }
+}
+
+// Links can be pasted without the `ws://`
+const normalizeLink = (link) => {
+  const trimmed = link.trim()
+  return /^ws:\/\//i.test(trimmed) ? trimmed : `ws://${trimmed}`
+}
+
+function handleHostMessage(session, message) {
+  if (message.type === 'asset') {
+    const request = session.requests.get(message.key)
+    session.requests.delete(message.key)
+    if (isString(message.error)) request?.reject(new Error(message.error))
+    else request?.resolve(Buffer.from(message.data, 'base64'))
+    return
+  }
+  notify(session, message)
+}
+
+async function joinSharedSession(webContents, link, name) {
+  leaveSharedSession(webContents.id)
+
+  const url = normalizeLink(link)
+  let connection
+  try {
+    connection = await connect(url)
+  } catch (error) {
+    throw new Error(
+      error.status === 403
+        ? 'That session link has the wrong code, or the session has ended'
+        : `Couldn't reach the session: ${error.message}`
+    )
+  }
+
+  const session = {
+    role: 'guest',
+    webContents,
+    connection,
+    self: null,
+    assets: new Map(),
+    requests: new Map()
+  }
+
+  return new Promise((resolve, reject) => {
+    connection.on('message', (text) => {
+      const message = readMessage(text, FROM_HOST)
+      if (!message) return
+      if (!session.self) {
+        if (message.type !== 'welcome') return
+        session.self = { id: message.peerId, color: message.color }
+        sessions.set(webContents.id, session)
+        resolve({
+          role: 'guest',
+          peerId: message.peerId,
+          color: message.color,
+          link: url,
+          ops: message.ops,
+          peers: message.peers
+        })
+        return
+      }
+
+      try {
+        handleHostMessage(session, message)
+      } catch (error) {
+        console.warn('Dropping a message from the host:', error.message)
+      }
+    })
+
+    connection.on('close', () => {
+      session.requests.forEach((request) => request.reject(new Error('The session ended')))
+      session.requests.clear()
+      if (!session.self) {
+        reject(new Error('The host closed the connection'))
+      } else if (sessions.get(webContents.id) === session) {
+        // Not our doing: the host ended the session or the network dropped
+        sessions.delete(webContents.id)
+        notify(session, { type: 'ended', reason: 'The session ended or the host went away' })
+      }
+    })
+
+    send(connection, { type: 'hello', name: name || defaultName() })
+  })
+}
+
+export function leaveSharedSession(webContentsId) {
+  const session = sessions.get(webContentsId)
+  if (!session) return
+  sessions.delete(webContentsId)
+
+  if (session.role === 'host') {
+    session.guests.forEach((connection) => connection.close(1001))
+    session.server.close()
+  } else {
+    session.connection.close(1000)
+  }
+}
+
+function requireSession(webContents) {
+  const session = sessions.get(webContents.id)
+  if (!session) {
+    throw new Error('This window is not in a shared session')
+  }
+  return session
+}
+
+function publishOps(session, ops) {
+  if (session.role === 'host') {
+    mergeOps(session.state, ops)
+    broadcast(session, { type: 'ops', ops }, session.self.id)
+  } else {
+    send(session.connection, { type: 'ops', ops })
+  }
+}
+
+function publishPresence(session, presence) {
+  const peer = { ...presence, ...session.self }
+  if (session.role === 'host') {
+    session.presence.set(peer.id, { ...session.presence.get(peer.id), ...peer })
+    broadcast(session, { type: 'presence', peer }, session.self.id)
+  } else {
+    send(session.connection, { type: 'presence', peer })
+  }
+}
+
+// Put an image where the session can reach it; resolves with its content key
+async function shareImage(session, item) {
+  const data = await readItemData(session.webContents, item)
+  const image = await storeImage(windowAssetFolder(session.webContents), data, {
+    name: item.name || 'image',
+    source: ''
+  })
+  const key = basename(image.path)
+  session.assets.set(key, Promise.resolve(image.path))
+  if (session.role === 'guest') {
+    send(session.connection, { type: 'asset', key, data: data.toString('base64') })
+  }
+  return key
+}
+
+// A shared image stored in this window's board, fetched from the host once
+async function fetchImage(session, key) {
+  if (!session.assets.has(key)) {
+    if (session.role === 'host') {
+      throw new Error(`Shared image ${key} never arrived`)
+    }
+    const data = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        session.requests.delete(key)
+        reject(new Error(`Timed out fetching ${key}`))
+      }, ASSET_TIMEOUT)
+      const settle = (callback) => (value) => {
+        clearTimeout(timer)
+        callback(value)
+      }
+      session.requests.set(key, { resolve: settle(resolve), reject: settle(reject) })
+    })
+    send(session.connection, { type: 'asset-request', key })
+    storeAsset(session, key, data)
+  }
+  return readImageFile(await session.assets.get(key))
+}
+
+export function registerCollaborationHandlers() {
+  ipcMain.handle('collab:host', (event, name) => hostSharedSession(event.sender, name))
+  ipcMain.handle('collab:join', (event, link, name) => joinSharedSession(event.sender, link, name))
+  ipcMain.handle('collab:leave', (event) => leaveSharedSession(event.sender.id))
+  ipcMain.handle('collab:ops', (event, ops) => publishOps(requireSession(event.sender), ops))
+  ipcMain.handle('collab:presence', (event, presence) =>
+    publishPresence(requireSession(event.sender), presence)
+  )
+  ipcMain.handle('collab:share-image', (event, item) =>
+    shareImage(requireSession(event.sender), item)
+  )
+  ipcMain.handle('collab:fetch-image', (event, key) =>
+    fetchImage(requireSession(event.sender), key)
+  )
+}
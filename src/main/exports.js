@@ -0,0 +1,129 @@
+import { BrowserWindow, dialog, ipcMain } from 'electron'
+import { writeFile } from 'fs/promises'
+import { join } from 'path'
+import { createImagePdf } from './pdf'
+import { createWebm } from './webm'
+
+const EXPORT_FILTERS = {
+  png: [{ name: 'PNG image', extensions: ['png'] }],
+  pdf: [{ name: 'PDF document', extensions: ['pdf'] }],
+  ase: [{ name: 'Adobe swatch exchange', extensions: ['ase'] }],
+  gpl: [{ name: 'GIMP palette', extensions: ['gpl'] }],
+  css: [{ name: 'CSS stylesheet', extensions: ['css'] }]
+}
+
+async function chooseExportPath(window, { title, format, name }) {
+  if (!EXPORT_FILTERS[format]) {
+    throw new Error(`Unsupported export format: ${format}`)
+  }
+  const { canceled, filePath } = await dialog.showSaveDialog(window, {
+    title,
+    defaultPath: `${name}.${format}`,
+    filters: EXPORT_FILTERS[format]
+  })
+  return canceled ? null : filePath
+}
+
+// Ask where to put a rendered export and write it there. `pages` holds the
+// encoded renders: a single PNG, or one JPEG per PDF page.
+async function saveExport(window, { format, name, pages }) {
+  if (pages.length === 0) {
+    throw new Error('Nothing to export')
+  }
+
+  const filePath = await chooseExportPath(window, { title: 'Export board', format, name })
+  if (!filePath) return null
+
+  const data = format === 'pdf' ? createImagePdf(pages) : Buffer.from(pages[0].data)
+  await writeFile(filePath, data)
+  return filePath
+}
+
+// Walkthrough being written by each window, keyed by webContents id. Frames
+// arrive one at a time: PNG frames are written straight to the chosen folder,
+// encoded video frames are held until the end and muxed into one file.
+const walkthroughs = new Map()
+
+// Drop the window's walkthrough, if any, and return what it was. An
+// export is dropped when it ends, when the window starts another or when the
+// window goes away mid-export, so held frames don't outlive it.
+function takeWalkthrough(webContents) {
+  const walkthrough = walkthroughs.get(webContents.id)
+  walkthroughs.delete(webContents.id)
+  if (walkthrough) webContents.off('destroyed', walkthrough.forget)
+  return walkthrough
+}
+
+async function chooseWalkthroughTarget(window, { format, name }) {
+  if (format === 'webm') {
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      title: 'Export walkthrough',
+      defaultPath: `${name}.webm`,
+      filters: [{ name: 'WebM video', extensions: ['webm'] }]
+    })
+    return canceled ? null : filePath
+  }
+  if (format === 'png') {
+    const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+      title: 'Choose a folder for the walkthrough frames',
+      properties: ['openDirectory', 'createDirectory']
+    })
+    return canceled ? null : filePaths[0]
+  }
+  throw new Error(`Unsupported walkthrough format: ${format}`)
+}
+
+async function writeWalkthroughFrame(walkthrough, frame) {
+  if (walkthrough.format === 'png') {
+    const index = String(walkthrough.frameCount++).padStart(5, '0')
+    await writeFile(join(walkthrough.target, `${walkthrough.name}-${index}.png`), frame.data)
+  } else {
+    walkthrough.frames.push(frame)
+  }
+}
+
+export function registerExportHandlers() {
+  ipcMain.handle('exports:save', (event, request) =>
+    saveExport(BrowserWindow.fromWebContents(event.sender), request)
+  )
+
+  // Files the renderer encodes itself, such as palettes; `data` is text or bytes
+  ipcMain.handle('exports:save-file', async (event, { title, format, name, data }) => {
+    const window = BrowserWindow.fromWebContents(event.sender)
+    const filePath = await chooseExportPath(window, { title, format, name })
+    if (!filePath) return null
+    await writeFile(filePath, typeof data === 'string' ? data : Buffer.from(data))
+    return filePath
+  })
+
+  ipcMain.handle('exports:walkthrough-begin', async (event, { format, name }) => {
+    takeWalkthrough(event.sender)
+    const window = BrowserWindow.fromWebContents(event.sender)
+    const target = await chooseWalkthroughTarget(window, { format, name })
+    if (!target) return null
+    const { id } = event.sender
+    const forget = () => walkthroughs.delete(id)
+    walkthroughs.set(id, { format, name, target, frames: [], frameCount: 0, forget })
+    event.sender.once('destroyed', forget)
+    return target
+  })
+
+  ipcMain.handle('exports:walkthrough-frame', (event, frame) => {
+    const walkthrough = walkthroughs.get(event.sender.id)
+    if (!walkthrough) {
+      throw new Error('No walkthrough export in progress')
+    }
+    return writeWalkthroughFrame(walkthrough, frame)
+  })
+
+  // `video` describes the encoded stream; omit it to abandon the export
+  ipcMain.handle('exports:walkthrough-end', async (event, video) => {
+    const walkthrough = takeWalkthrough(event.sender)
+    if (!walkthrough || !video) return null
+
+    if (walkthrough.format === 'webm') {
+      await writeFile(walkthrough.target, createWebm({ ...video, frames: walkthrough.frames }))
+    }
+    return walkthrough.target
+  })
+}
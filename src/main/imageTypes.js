@@ -0,0 +1,33 @@
+import { extname } from 'path'
+
+// Image formats the renderer can decode, keyed by file extension
+export const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif'
+}
+
+export const mimeTypeFor = (filePath) => IMAGE_TYPES[extname(filePath).toLowerCase()]
+
+export const isImageFile = (filePath) => Boolean(mimeTypeFor(filePath))
+
+export const extensionFor = (mimeType) =>
+  Object.keys(IMAGE_TYPES).find((ext) => IMAGE_TYPES[ext] === mimeType)
+
+// Identify image data by its leading bytes. Servers and file names can claim
+// anything, so downloads are only trusted once their bytes say what they are.
+export function sniffImageType(data) {
+  const ascii = (start, end) => data.toString('latin1', start, end)
+  if (data.length < 12) return null
+  if (data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png'
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg'
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif'
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp'
+  if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return 'image/avif'
+  return null
+}
@@ -0,0 +1,92 @@
+import { BrowserWindow, dialog, ipcMain } from 'electron'
+import { readdir, stat } from 'fs/promises'
+import { basename, join } from 'path'
+import { IMAGE_TYPES, isImageFile, mimeTypeFor } from './imageTypes'
+import { assetUrl, thumbnailUrl } from './protocol'
+
+// Describe an image on disk for the renderer. Pixels are served lazily over
+// the asset protocol: the thumbnail for the board, the original when focused.
+export async function readImageFile(filePath) {
+  const mimeType = mimeTypeFor(filePath)
+  if (!mimeType) {
+    throw new Error(`Unsupported image type: ${filePath}`)
+  }
+
+  const info = await stat(filePath)
+
+  return {
+    name: basename(filePath),
+    path: filePath,
+    mimeType,
+    size: info.size,
+    modifiedAt: info.mtimeMs,
+    src: assetUrl(filePath),
+    thumbnail: thumbnailUrl(filePath)
+  }
+}
+
+// Read several files, skipping (and logging) the ones that can't be read
+export async function readImageFiles(filePaths) {
+  const results = await Promise.allSettled(filePaths.map(readImageFile))
+
+  return results.flatMap((result, i) => {
+    if (result.status === 'fulfilled') return [result.value]
+    console.warn(`Skipping ${filePaths[i]}:`, result.reason.message)
+    return []
+  })
+}
+
+// Expand dropped paths into image files, scanning folders recursively.
+// Paths that can't be read are skipped (and logged) like unreadable files.
+export async function collectImagePaths(paths) {
+  const collected = []
+
+  for (const path of paths) {
+    try {
+      const info = await stat(path)
+      if (info.isDirectory()) {
+        const entries = await readdir(path, { recursive: true, withFileTypes: true })
+        const files = entries
+          .filter((entry) => entry.isFile() && isImageFile(entry.name))
+          .map((entry) => join(entry.parentPath, entry.name))
+          .sort((a, b) => a.localeCompare(b))
+        collected.push(...files)
+      } else if (isImageFile(path)) {
+        collected.push(path)
+      }
+    } catch (error) {
+      console.warn(`Skipping ${path}:`, error.message)
+    }
+  }
+
+  return collected
+}
+
+// Ask the user for image files with a native dialog
+async function showImportDialog(window) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+    title: 'Add images',
+    buttonLabel: 'Add',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      {
+        name: 'Images',
+        extensions: Object.keys(IMAGE_TYPES).map((ext) => ext.slice(1))
+      }
+    ]
+  })
+
+  return canceled ? [] : filePaths
+}
+
+export function registerImageHandlers() {
+  ipcMain.handle('images:import', async (event) => {
+    const window = BrowserWindow.fromWebContents(event.sender)
+    const filePaths = await showImportDialog(window)
+    return readImageFiles(filePaths)
+  })
+
+  ipcMain.handle('images:import-paths', async (_, paths) => {
+    return readImageFiles(await collectImagePaths(paths))
+  })
+}
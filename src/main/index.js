@@ -1,44 +1,25 @@
-import { app, shell, BrowserWindow, ipcMain } from 'electron'
-import { join } from 'path'
-import { electronApp, optimizer, is } from '@electron-toolkit/utils'
-import icon from '../../resources/icon.png?asset'
+import { app, BrowserWindow, ipcMain } from 'electron'
+import { electronApp, optimizer } from '@electron-toolkit/utils'
+import { registerImageHandlers } from './images'
+import { registerRemoteImageHandlers } from './remoteImages'
+import { registerBoardHandlers } from './boards'
+import { registerAssetHandlers } from './assets'
+import { registerExportHandlers } from './exports'
+import { registerMenuHandlers } from './menu'
+import { registerPreferenceHandlers } from './preferences'
+import { registerCollaborationHandlers } from './collaboration'
+import { registerPresentationHandlers } from './presentation'
+import { registerTemplateHandlers } from './templates'
+import { isCommandLineRun, registerCommandLineHandlers, runCommandLine } from './cli'
+import { createBoardWindow, registerWindowHandlers, restoreSession } from './windows'
+import { registerAssetProtocol, registerAssetScheme } from './protocol'
 
-function createWindow() {
-  // Create the browser window.
-  const mainWindow = new BrowserWindow({
-    width: 900,
-    height: 670,
-    show: false,
-    autoHideMenuBar: true,
-    ...(process.platform === 'linux' ? { icon } : {}),
-    webPreferences: {
-      preload: join(__dirname, '../preload/index.js'),
-      sandbox: false
-    }
-  })
-
-  mainWindow.on('ready-to-show', () => {
-    mainWindow.show()
-  })
-
-  mainWindow.webContents.setWindowOpenHandler((details) => {
-    shell.openExternal(details.url)
-    return { action: 'deny' }
-  })
-
-  // HMR for renderer base on electron-vite cli.
-  // Load the remote URL for development or the local html file for production.
-  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
-    mainWindow.loadURL(process.env['ELECTRON_RENDERER_URL'])
-  } else {
-    mainWindow.loadFile(join(__dirname, '../renderer/index.html'))
-  }
-}
+registerAssetScheme()
 
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // Set app user model id for windows
   electronApp.setAppUserModelId('com.electron')
 
@@ -52,20 +33,42 @@ app.whenReady().then(() => {
   // IPC test
   ipcMain.on('ping', () => console.log('pong'))
 
-  createWindow()
+  registerAssetProtocol()
+  registerImageHandlers()
+  registerRemoteImageHandlers()
+  registerBoardHandlers()
+  registerAssetHandlers()
+  registerExportHandlers()
+  registerWindowHandlers()
+  registerPreferenceHandlers()
+  registerMenuHandlers()
+  registerCollaborationHandlers()
+  registerPresentationHandlers()
+  registerTemplateHandlers()
+  registerCommandLineHandlers()
+
+  // Command line jobs (see cli.js) run without showing any windows and quit
+  // when done, leaving the window session as the user left it
+  const exitCode = await runCommandLine(process.argv.slice(process.defaultApp ? 2 : 1))
+  if (exitCode !== null) {
+    app.exit(exitCode)
+    return
+  }
+
+  restoreSession()
 
   app.on('activate', function () {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
-    if (BrowserWindow.getAllWindows().length === 0) createWindow()
+    if (BrowserWindow.getAllWindows().length === 0) createBoardWindow({ home: true })
   })
 })
 
 // Quit when all windows are closed, except on macOS. There, it's common
 // for applications and their menu bar to stay active until the user quits
-// explicitly with Cmd + Q.
+// explicitly with Cmd + Q. Command line jobs quit once their output is written.
 app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
+  if (process.platform !== 'darwin' && !isCommandLineRun()) {
     app.quit()
   }
 })
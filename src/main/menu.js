@@ -0,0 +1,45 @@
+import { ipcMain, Menu } from 'electron'
+
+const isMac = process.platform === 'darwin'
+
+// Native items appended to the renderer's sections. The Edit ones keep text
+// fields working, as macOS routes clipboard shortcuts through the menu.
+const NATIVE_ITEMS = {
+  Edit: [{ role: 'cut' }, { role: 'copy' }, { role: 'paste' }, { role: 'selectAll' }],
+  View: [{ role: 'togglefullscreen' }, { role: 'toggleDevTools' }]
+}
+
+// Menu items only trigger renderer commands: clicking one sends its id to
+// the window it was clicked in. Accelerators are shown but not registered,
+// so the renderer's keymap stays the one place keys are handled and never
+// fires a command twice.
+const toMenuItem = (item) =>
+  item.separator
+    ? { type: 'separator' }
+    : {
+        label: item.label,
+        accelerator: item.accelerator,
+        registerAccelerator: false,
+        click: (_, window) => window?.webContents.send('menu:command', item.id)
+      }
+
+// `sections` is `[{ label, items: [{ id, label, accelerator } | { separator: true }] }]`
+function setApplicationMenu(sections) {
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    ...sections.map(({ label, items }) => ({
+      label,
+      submenu: [
+        ...items.map(toMenuItem),
+        ...(NATIVE_ITEMS[label] ? [{ type: 'separator' }, ...NATIVE_ITEMS[label]] : [])
+      ]
+    })),
+    { role: 'windowMenu' }
+  ]
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template))
+}
+
+export function registerMenuHandlers() {
+  // Every window sends the same menu, built from the shared keymap
+  ipcMain.handle('menu:set', (_, sections) => setApplicationMenu(sections))
+}
@@ -0,0 +1,68 @@
+// Resolution exported pages are laid out at, so a 4K render prints at a
+// sensible physical size instead of one point per pixel
+const PAGE_DPI = 150
+
+const toPoints = (pixels) => ((pixels * 72) / PAGE_DPI).toFixed(2)
+
+// Build a PDF with one full-bleed JPEG per page. JPEG data can be embedded
+// as-is (DCTDecode), so no compression library is needed.
+//
+// Objects: 1 is the catalog, 2 the page tree, then a page, its content
+// stream and its image for every page in order.
+export function createImagePdf(pages) {
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const chunk = typeof data === 'string' ? Buffer.from(data, 'latin1') : Buffer.from(data)
+    chunks.push(chunk)
+    length += chunk.length
+  }
+  const beginObject = (id) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n`)
+  }
+
+  const pageIds = pages.map((_, i) => 3 + i * 3)
+  const objectCount = 3 + pages.length * 3
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+  beginObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+  beginObject(2)
+  write(
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`
+  )
+
+  pages.forEach(({ data, width, height }, i) => {
+    const pageId = pageIds[i]
+    const pageWidth = toPoints(width)
+    const pageHeight = toPoints(height)
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`
+
+    beginObject(pageId)
+    write(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`
+    )
+    beginObject(pageId + 1)
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`)
+    beginObject(pageId + 2)
+    write(
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${data.byteLength} >>\nstream\n`
+    )
+    write(data)
+    write('\nendstream\nendobj\n')
+  })
+
+  const xrefOffset = length
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`)
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return Buffer.concat(chunks)
+}
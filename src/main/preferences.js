@@ -0,0 +1,38 @@
+import { app, BrowserWindow, ipcMain } from 'electron'
+import { readFile, rename, writeFile } from 'fs/promises'
+import { join } from 'path'
+
+// Settings that belong to the user rather than a board, shared by every
+// window. Each key is owned by the renderer code that reads it, e.g. `keymap`.
+const preferencesPath = () => join(app.getPath('userData'), 'preferences.json')
+
+let preferences = null
+
+export async function getPreferences() {
+  if (!preferences) {
+    try {
+      const saved = JSON.parse(await readFile(preferencesPath(), 'utf8'))
+      preferences = saved && typeof saved === 'object' ? saved : {}
+    } catch {
+      preferences = {}
+    }
+  }
+  return preferences
+}
+
+// Saves one preference and tells every window, so they all stay in step
+async function setPreference(key, value) {
+  preferences = { ...(await getPreferences()), [key]: value }
+  const tempPath = `${preferencesPath()}.tmp`
+  await writeFile(tempPath, JSON.stringify(preferences, null, 2))
+  await rename(tempPath, preferencesPath())
+  for (const window of BrowserWindow.getAllWindows()) {
+    window.webContents.send('preferences:changed', preferences)
+  }
+  return preferences
+}
+
+export function registerPreferenceHandlers() {
+  ipcMain.handle('preferences:get', () => getPreferences())
+  ipcMain.handle('preferences:set', (_, key, value) => setPreference(key, value))
+}
@@ -0,0 +1,101 @@
+import { BrowserWindow, ipcMain, screen } from 'electron'
+import { join } from 'path'
+import { is } from '@electron-toolkit/utils'
+
+// Presentations run full screen in the board's own window, with the speaker
+// notes in a second window: on another display when there is one, so the
+// audience never sees them. The notes window only mirrors the state the
+// presenting window sends, and sends navigation back.
+
+const NOTES_SIZE = { width: 760, height: 520 }
+const NAVIGATION = ['next', 'previous', 'first', 'last', 'blank', 'exit']
+
+// Keyed by the presenting window's webContents id
+const presentations = new Map()
+
+export const isNotesWindow = (window) =>
+  [...presentations.values()].some((presentation) => presentation.notes === window)
+
+const findByNotes = (webContents) =>
+  [...presentations.values()].find(
+    (presentation) => presentation.notes?.webContents === webContents
+  )
+
+function createNotesWindow(presenter) {
+  const presenting = screen.getDisplayMatching(presenter.getBounds())
+  const display = screen.getAllDisplays().find((other) => other.id !== presenting.id) ?? presenting
+  const { x, y, width, height } = display.workArea
+  const size = {
+    width: Math.min(NOTES_SIZE.width, width),
+    height: Math.min(NOTES_SIZE.height, height)
+  }
+
+  const notes = new BrowserWindow({
+    ...size,
+    x: x + Math.round((width - size.width) / 2),
+    y: y + Math.round((height - size.height) / 2),
+    show: false,
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: join(__dirname, '../preload/index.js'),
+      sandbox: false
+    }
+  })
+  // Clickers type into the focused window, which has to stay the presenter
+  notes.on('ready-to-show', () => notes.showInactive())
+
+  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
+    notes.loadURL(`${process.env['ELECTRON_RENDERER_URL']}#notes`)
+  } else {
+    notes.loadFile(join(__dirname, '../renderer/index.html'), { hash: 'notes' })
+  }
+  return notes
+}
+
+function startPresentation(webContents) {
+  const presenter = BrowserWindow.fromWebContents(webContents)
+  if (presentations.has(webContents.id)) return
+
+  const presentation = {
+    presenter,
+    notes: createNotesWindow(presenter),
+    state: null,
+    wasFullScreen: presenter.isFullScreen()
+  }
+  presentation.notes.on('closed', () => {
+    presentation.notes = null
+  })
+  presentations.set(webContents.id, presentation)
+  presenter.setFullScreen(true)
+}
+
+export function stopPresentation(webContentsId) {
+  const presentation = presentations.get(webContentsId)
+  if (!presentation) return
+  presentations.delete(webContentsId)
+
+  const { presenter, notes, wasFullScreen } = presentation
+  if (!presenter.isDestroyed() && !wasFullScreen) presenter.setFullScreen(false)
+  if (notes && !notes.isDestroyed()) notes.close()
+}
+
+export function registerPresentationHandlers() {
+  ipcMain.handle('presentation:start', (event) => startPresentation(event.sender))
+  ipcMain.handle('presentation:stop', (event) => stopPresentation(event.sender.id))
+
+  // `state` is whatever the notes window shows: the slide, the next one and
+  // when the presentation started (see SpeakerNotes)
+  ipcMain.handle('presentation:update', (event, state) => {
+    const presentation = presentations.get(event.sender.id)
+    if (!presentation) return
+    presentation.state = state
+    presentation.notes?.webContents.send('presentation:state', state)
+  })
+
+  // From the notes window
+  ipcMain.handle('presentation:get-state', (event) => findByNotes(event.sender)?.state ?? null)
+  ipcMain.handle('presentation:navigate', (event, action) => {
+    if (!NAVIGATION.includes(action)) return
+    findByNotes(event.sender)?.presenter.webContents.send('presentation:navigate', action)
+  })
+}
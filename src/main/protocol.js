@@ -0,0 +1,51 @@
+import { net, protocol } from 'electron'
+import { pathToFileURL } from 'url'
+import { isImageFile } from './imageTypes'
+import { getThumbnail } from './thumbnails'
+
+// Local images reach the renderer through this scheme instead of as data URLs,
+// so the renderer only ever holds short URLs and the CSP can stay strict:
+//   sanky-asset://file/<encoded path>       the original file
+//   sanky-asset://thumbnail/<encoded path>  a cached, downscaled copy; add
+//                                           ?size=<pixels> for a smaller one
+export const ASSET_SCHEME = 'sanky-asset'
+
+export const assetUrl = (filePath) => `${ASSET_SCHEME}://file/${encodeURIComponent(filePath)}`
+
+export const thumbnailUrl = (filePath) =>
+  `${ASSET_SCHEME}://thumbnail/${encodeURIComponent(filePath)}`
+
+// Must run before the app is ready
+export function registerAssetScheme() {
+  protocol.registerSchemesAsPrivileged([
+    {
+      scheme: ASSET_SCHEME,
+      privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true }
+    }
+  ])
+}
+
+export function registerAssetProtocol() {
+  protocol.handle(ASSET_SCHEME, async (request) => {
+    const { host, pathname, searchParams } = new URL(request.url)
+    const filePath = decodeURIComponent(pathname.slice(1))
+
+    // Only ever serve images, never arbitrary files
+    if (!isImageFile(filePath)) {
+      return new Response('Not found', { status: 404 })
+    }
+
+    try {
+      const size = Number(searchParams.get('size')) || undefined
+      const servedPath = host === 'thumbnail' ? await getThumbnail(filePath, size) : filePath
+      const response = await net.fetch(pathToFileURL(servedPath).toString())
+      // Textures are loaded with crossOrigin="anonymous"
+      const headers = new Headers(response.headers)
+      headers.set('Access-Control-Allow-Origin', '*')
+      return new Response(response.body, { status: response.status, headers })
+    } catch (error) {
+      console.warn(`Failed to serve ${request.url}:`, error.message)
+      return new Response('Not found', { status: 404 })
+    }
+  })
+}
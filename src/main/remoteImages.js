@@ -0,0 +1,90 @@
+import { clipboard, ipcMain, net } from 'electron'
+import { createHash } from 'crypto'
+import { mkdir, writeFile } from 'fs/promises'
+import { basename, join } from 'path'
+import { fileURLToPath } from 'url'
+import { extensionFor, sniffImageType } from './imageTypes'
+import { readImageFile } from './images'
+import { windowAssetFolder } from './boards'
+
+// Downloads that stall or balloon are abandoned
+const DOWNLOAD_TIMEOUT = 30000
+const MAX_DOWNLOAD_SIZE = 50 * 1024 * 1024
+
+async function fetchImageData(url) {
+  const response = await net.fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT) })
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`)
+  }
+  if (Number(response.headers.get('content-length')) > MAX_DOWNLOAD_SIZE) {
+    throw new Error(`${url} is too large to import`)
+  }
+
+  // Servers can omit or understate the length, so count as it arrives
+  const chunks = []
+  let size = 0
+  for await (const chunk of response.body) {
+    size += chunk.length
+    if (size > MAX_DOWNLOAD_SIZE) {
+      throw new Error(`${url} is too large to import`)
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+// Store image bytes in the board's asset folder, named by content hash the
+// same way saving does, and describe the stored copy like any local file.
+// The bytes must really be an image, whatever they were served as.
+export async function storeImage(assetFolder, data, { name, source }) {
+  const mimeType = sniffImageType(data)
+  if (!mimeType) {
+    throw new Error(`${name} is not a supported image`)
+  }
+
+  const hash = createHash('sha1').update(data).digest('hex')
+  const filePath = join(assetFolder, `${hash}${extensionFor(mimeType)}`)
+  await mkdir(assetFolder, { recursive: true })
+  await writeFile(filePath, data)
+  return { ...(await readImageFile(filePath)), name, source }
+}
+
+// Download an image once into the board, so it renders from the local copy
+// and the board keeps working offline. `file:` URLs are read in place.
+export async function importImageUrl(assetFolder, url) {
+  const { protocol, pathname } = new URL(url)
+  if (protocol === 'file:') {
+    return readImageFile(fileURLToPath(url))
+  }
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Can't import images from ${protocol} URLs`)
+  }
+
+  const name = decodeURIComponent(basename(pathname)) || 'image'
+  return storeImage(assetFolder, await fetchImageData(url), { name, source: url })
+}
+
+// Pixels on the clipboard (e.g. "Copy image" in a browser) win over text;
+// copied text is imported if it's an image URL
+async function importClipboard(assetFolder) {
+  const image = clipboard.readImage()
+  if (!image.isEmpty()) {
+    return [await storeImage(assetFolder, image.toPNG(), { name: 'Pasted image.png', source: '' })]
+  }
+
+  const text = clipboard.readText().trim()
+  if (/^(https?|file):\/\/\S+$/i.test(text)) {
+    return [await importImageUrl(assetFolder, text)]
+  }
+  return []
+}
+
+export function registerRemoteImageHandlers() {
+  ipcMain.handle('images:import-url', (event, url) =>
+    importImageUrl(windowAssetFolder(event.sender), url)
+  )
+
+  ipcMain.handle('images:import-clipboard', (event) =>
+    importClipboard(windowAssetFolder(event.sender))
+  )
+}
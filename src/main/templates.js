@@ -0,0 +1,147 @@
+import { app, BrowserWindow, dialog, ipcMain } from 'electron'
+import { mkdir, readdir, readFile, rename, writeFile } from 'fs/promises'
+import { basename, join } from 'path'
+import { readItemData } from './boards'
+import { sniffImageType } from './imageTypes'
+
+// Templates saved from boards. A template file is a single JSON document
+// holding the board's items, layout, camera and appearance, with every image
+// embedded as a data URL so the file can be shared and reused on its own.
+// Boards started from one get fresh item ids and write the images into their
+// own asset folder when first saved.
+
+export const TEMPLATE_FORMAT = 'sankytemplate'
+export const TEMPLATE_VERSION = 1
+export const TEMPLATE_EXTENSION = '.sankytemplate'
+
+const TEMPLATE_FILTERS = [{ name: 'Board templates', extensions: [TEMPLATE_EXTENSION.slice(1)] }]
+
+// Templates saved here are offered whenever a board is started
+const templatesFolder = () => join(app.getPath('userData'), 'Templates')
+
+// Where an image lives only matters to the board it came from
+const BOARD_FIELDS = ['asset', 'path', 'missing']
+
+async function embedImage(webContents, image) {
+  const data = await readItemData(webContents, image)
+  const mimeType = sniffImageType(data)
+  if (!mimeType) {
+    throw new Error(`${image.name || 'An image'} is not an image the app can read`)
+  }
+  const fields = Object.entries(image).filter(([key]) => !BOARD_FIELDS.includes(key))
+  return {
+    ...Object.fromEntries(fields),
+    path: '',
+    url: `data:${mimeType};base64,${data.toString('base64')}`
+  }
+}
+
+// Missing images can't be embedded, so they're left out
+async function embedItems(webContents, items) {
+  const embedded = []
+  for (const item of items) {
+    if (item.type !== 'image') {
+      embedded.push(item)
+      continue
+    }
+    try {
+      embedded.push(await embedImage(webContents, item))
+    } catch (error) {
+      console.warn(`Leaving ${item.name || 'an image'} out of the template:`, error.message)
+    }
+  }
+  return embedded
+}
+
+async function saveTemplate(webContents, { name, board }) {
+  const folder = templatesFolder()
+  await mkdir(folder, { recursive: true })
+  const { canceled, filePath } = await dialog.showSaveDialog(
+    BrowserWindow.fromWebContents(webContents),
+    {
+      title: 'Save as template',
+      defaultPath: join(folder, `${name}${TEMPLATE_EXTENSION}`),
+      filters: TEMPLATE_FILTERS
+    }
+  )
+  if (canceled) return null
+
+  let appearance = board.appearance
+  const image = appearance?.background?.image
+  if (image) {
+    const background = {
+      ...appearance.background,
+      image: await embedImage(webContents, image).catch(() => null)
+    }
+    appearance = { ...appearance, background }
+  }
+
+  const template = {
+    format: TEMPLATE_FORMAT,
+    version: TEMPLATE_VERSION,
+    name: basename(filePath, TEMPLATE_EXTENSION),
+    savedAt: new Date().toISOString(),
+    layout: board.layout,
+    camera: board.camera,
+    ...(appearance && { appearance }),
+    items: await embedItems(webContents, board.items)
+  }
+  const tempPath = `${filePath}.tmp`
+  await writeFile(tempPath, JSON.stringify(template))
+  await rename(tempPath, filePath)
+  return { filePath, name: template.name }
+}
+
+async function openTemplate(filePath) {
+  const template = JSON.parse(await readFile(filePath, 'utf8'))
+  if (template.format !== TEMPLATE_FORMAT) {
+    throw new Error(`${basename(filePath)} is not a board template`)
+  }
+  if (template.version > TEMPLATE_VERSION) {
+    throw new Error(`${basename(filePath)} was saved by a newer version of the app`)
+  }
+  const { name, layout, camera, appearance, items } = template
+  return { name, board: { layout, camera, appearance, items } }
+}
+
+// Templates in the templates folder, by name
+async function listTemplates() {
+  let entries
+  try {
+    entries = await readdir(templatesFolder())
+  } catch {
+    return []
+  }
+  return entries
+    .filter((entry) => entry.endsWith(TEMPLATE_EXTENSION))
+    .map((entry) => ({
+      filePath: join(templatesFolder(), entry),
+      name: basename(entry, TEMPLATE_EXTENSION)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export function registerTemplateHandlers() {
+  ipcMain.handle('templates:list', () => listTemplates())
+
+  // `request` is `{ name, board }`, the board serialized as for saving
+  ipcMain.handle('templates:save', (event, request) => saveTemplate(event.sender, request))
+
+  // Without a path, asks for a template file. Resolves with `{ name, board }`.
+  ipcMain.handle('templates:open', async (event, filePath) => {
+    if (!filePath) {
+      const { canceled, filePaths } = await dialog.showOpenDialog(
+        BrowserWindow.fromWebContents(event.sender),
+        {
+          title: 'Start from template',
+          defaultPath: templatesFolder(),
+          properties: ['openFile'],
+          filters: TEMPLATE_FILTERS
+        }
+      )
+      if (canceled) return null
+      filePath = filePaths[0]
+    }
+    return openTemplate(filePath)
+  })
+}
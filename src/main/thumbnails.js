@@ -0,0 +1,63 @@
+import { app, nativeImage } from 'electron'
+import { createHash } from 'crypto'
+import { access, mkdir, stat, writeFile } from 'fs/promises'
+import { extname, join } from 'path'
+
+// Longest edge of a generated thumbnail, in pixels. The board asks for the
+// default; performance mode picks smaller tiers for distant images.
+export const THUMBNAIL_SIZE = 1024
+export const THUMBNAIL_SIZES = [128, 512, THUMBNAIL_SIZE]
+
+const thumbnailDir = () => join(app.getPath('userData'), 'thumbnails')
+
+// Thumbnails currently being generated, so parallel requests share the work
+const pending = new Map()
+
+async function createThumbnail(filePath, cachePath, size) {
+  // nativeImage decodes PNG and JPEG everywhere; anything else is served as-is
+  const image = nativeImage.createFromPath(filePath)
+  if (image.isEmpty()) return filePath
+
+  const { width, height } = image.getSize()
+  if (Math.max(width, height) <= size) return filePath
+
+  const resized = image.resize({
+    ...(width >= height ? { width: size } : { height: size }),
+    quality: 'good'
+  })
+  await mkdir(thumbnailDir(), { recursive: true })
+  await writeFile(cachePath, cachePath.endsWith('.png') ? resized.toPNG() : resized.toJPEG(85))
+  return cachePath
+}
+
+// Resolve the path of a GPU-friendly downscaled copy of an image, generating
+// and caching it on first use. Small or undecodable images resolve to
+// themselves. The cache key covers size and mtime, so edited files regenerate.
+// `size` is rounded up to the next tier, so the cache stays small.
+export async function getThumbnail(filePath, size = THUMBNAIL_SIZE) {
+  const edge = THUMBNAIL_SIZES.find((tier) => tier >= size) ?? THUMBNAIL_SIZE
+  const info = await stat(filePath)
+  const key = createHash('sha1')
+    .update(`${filePath}:${info.size}:${info.mtimeMs}:${edge}`)
+    .digest('hex')
+  // Keep PNG thumbnails for PNG sources so transparency survives
+  const cachePath = join(
+    thumbnailDir(),
+    `${key}${extname(filePath).toLowerCase() === '.png' ? '.png' : '.jpg'}`
+  )
+
+  try {
+    await access(cachePath)
+    return cachePath
+  } catch {
+    // Not cached yet
+  }
+
+  if (!pending.has(cachePath)) {
+    pending.set(
+      cachePath,
+      createThumbnail(filePath, cachePath, edge).finally(() => pending.delete(cachePath))
+    )
+  }
+  return pending.get(cachePath)
+}
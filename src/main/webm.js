@@ -0,0 +1,120 @@
+// Minimal WebM (Matroska) muxer for one video track of already-encoded frames.
+// Element sizes are always written as 8-byte integers, which wastes a few
+// bytes but lets the cue index be laid out before the clusters it points to.
+
+// Nanoseconds per timecode unit, i.e. timecodes are in milliseconds
+const TIMECODE_SCALE = 1000000
+// SimpleBlock timecodes are signed 16-bit offsets from their cluster's timecode
+const MAX_CLUSTER_MS = 30000
+
+const toHexBytes = (value) => {
+  const hex = value.toString(16)
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex')
+}
+
+// 8-byte unsigned integer; also used as an 8-byte EBML size once tagged
+const uint64 = (value) => {
+  const bytes = Buffer.alloc(8)
+  bytes.writeBigUInt64BE(BigInt(value))
+  return bytes
+}
+
+const element = (id, payload) => {
+  const data = Array.isArray(payload) ? Buffer.concat(payload) : payload
+  const size = uint64(data.length)
+  size[0] = 0x01 // length marker for an 8-byte vint
+  return Buffer.concat([toHexBytes(id), size, data])
+}
+
+const uint = (id, value) => element(id, toHexBytes(value))
+const float = (id, value) => {
+  const bytes = Buffer.alloc(8)
+  bytes.writeDoubleBE(value)
+  return element(id, bytes)
+}
+const string = (id, value) => element(id, Buffer.from(value, 'ascii'))
+
+const simpleBlock = (frame, relativeTime) => {
+  const header = Buffer.alloc(4)
+  header[0] = 0x81 // track number 1
+  header.writeInt16BE(relativeTime, 1)
+  header[3] = frame.key ? 0x80 : 0
+  return element(0xa3, [header, Buffer.from(frame.data)])
+}
+
+// Start a new cluster at every keyframe, so each one can be seeked to
+function buildClusters(frames) {
+  const clusters = []
+  let current = null
+  for (const frame of frames) {
+    const time = Math.round(frame.timestamp / 1000)
+    if (!current || frame.key || time - current.time > MAX_CLUSTER_MS) {
+      current = { time, blocks: [uint(0xe7, time)] }
+      clusters.push(current)
+    }
+    current.blocks.push(simpleBlock(frame, time - current.time))
+  }
+  return clusters.map(({ time, blocks }) => ({ time, data: element(0x1f43b675, blocks) }))
+}
+
+// Cue values are fixed-width so the index's size doesn't depend on them
+const cuePoint = (time, clusterPosition) =>
+  element(0xbb, [
+    element(0xb3, uint64(time)),
+    element(0xb7, [uint(0xf7, 1), element(0xf1, uint64(clusterPosition))])
+  ])
+
+// `frames` are `{ data, timestamp, key }` in decode order, with timestamps in
+// microseconds. `codecId` is the Matroska codec ID, e.g. 'V_VP9'.
+export function createWebm({ width, height, fps, codecId, frames }) {
+  const header = element(0x1a45dfa3, [
+    uint(0x4286, 1), // EBMLVersion
+    uint(0x42f7, 1), // EBMLReadVersion
+    uint(0x42f2, 4), // EBMLMaxIDLength
+    uint(0x42f3, 8), // EBMLMaxSizeLength
+    string(0x4282, 'webm'), // DocType
+    uint(0x4287, 4), // DocTypeVersion
+    uint(0x4285, 2) // DocTypeReadVersion
+  ])
+
+  const info = element(0x1549a966, [
+    uint(0x2ad7b1, TIMECODE_SCALE),
+    string(0x4d80, 'sanky-adi'), // MuxingApp
+    string(0x5741, 'sanky-adi'), // WritingApp
+    float(0x4489, (frames.length * 1000) / fps) // Duration
+  ])
+
+  const tracks = element(0x1654ae6b, [
+    element(0xae, [
+      uint(0xd7, 1), // TrackNumber
+      uint(0x73c5, 1), // TrackUID
+      uint(0x9c, 0), // FlagLacing
+      string(0x86, codecId),
+      uint(0x83, 1), // TrackType: video
+      uint(0x23e383, Math.round(1e9 / fps)), // DefaultDuration
+      element(0xe0, [uint(0xb0, width), uint(0xba, height)])
+    ])
+  ])
+
+  const clusters = buildClusters(frames)
+
+  // Cluster positions are relative to the start of the segment's payload
+  const cuesLength = element(
+    0x1c53bb6b,
+    clusters.map(({ time }) => cuePoint(time, 0))
+  ).length
+  let position = info.length + tracks.length + cuesLength
+  const cues = element(
+    0x1c53bb6b,
+    clusters.map(({ time, data }) => {
+      const point = cuePoint(time, position)
+      position += data.length
+      return point
+    })
+  )
+
+  return Buffer.concat([
+    header,
+    element(0x18538067, [info, tracks, cues, ...clusters.map(({ data }) => data)])
+  ])
+}
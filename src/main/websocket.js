@@ -0,0 +1,249 @@
+// Minimal WebSocket (RFC 6455) server and client for text messages, enough
+// for board sessions on a local network. Frames may be fragmented; binary
+// messages, extensions and subprotocols aren't supported.
+import { createHash, randomBytes } from 'crypto'
+import { EventEmitter } from 'events'
+import { request } from 'http'
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+// Shared images travel as base64 text, so leave room for big ones
+const MAX_MESSAGE_SIZE = 100 * 1024 * 1024
+// Peers are pinged this often, and dropped once silent for three rounds
+const PING_INTERVAL = 15000
+const HANDSHAKE_TIMEOUT = 10000
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa }
+
+const acceptKey = (key) =>
+  createHash('sha1')
+    .update(key + HANDSHAKE_GUID)
+    .digest('base64')
+
+function encodeFrame(opcode, payload, mask) {
+  const length = payload.length
+  const extended = length < 126 ? 0 : length < 0x10000 ? 2 : 8
+  const header = Buffer.alloc(2 + extended + (mask ? 4 : 0))
+  header[0] = 0x80 | opcode
+  header[1] = (mask ? 0x80 : 0) | (extended === 0 ? length : extended === 2 ? 126 : 127)
+  if (extended === 2) header.writeUInt16BE(length, 2)
+  if (extended === 8) header.writeBigUInt64BE(BigInt(length), 2)
+  if (!mask) return Buffer.concat([header, payload])
+
+  // Clients must mask everything they send
+  const key = randomBytes(4)
+  key.copy(header, 2 + extended)
+  const masked = Buffer.from(payload)
+  for (let i = 0; i < masked.length; i++) masked[i] ^= key[i & 3]
+  return Buffer.concat([header, masked])
+}
+
+// One open connection. Emits 'message' with each text message and 'close'
+// once, with the close code, however the connection ends.
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, { mask }) {
+    super()
+    this.socket = socket
+    this.mask = mask
+    this.chunks = []
+    this.buffered = 0
+    // Bytes the frame being read needs before it can be parsed
+    this.needed = 2
+    this.fragments = []
+    this.fragmentSize = 0
+    this.isClosed = false
+    this.lastHeard = Date.now()
+
+    socket.setNoDelay(true)
+    socket.on('data', (chunk) => this.receive(chunk))
+    socket.on('close', () => this.finish(1006))
+    socket.on('error', (error) => {
+      console.warn('WebSocket connection error:', error.message)
+      socket.destroy()
+    })
+
+    this.pinger = setInterval(() => {
+      if (Date.now() - this.lastHeard > PING_INTERVAL * 3) socket.destroy()
+      else this.write(OPCODES.ping, Buffer.alloc(0))
+    }, PING_INTERVAL)
+  }
+
+  send(text) {
+    this.write(OPCODES.text, Buffer.from(text, 'utf8'))
+  }
+
+  close(code = 1000) {
+    if (this.isClosed) return
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code)
+    this.write(OPCODES.close, payload)
+    this.socket.end()
+    this.finish(code)
+  }
+
+  write(opcode, payload) {
+    if (!this.isClosed && this.socket.writable) {
+      this.socket.write(encodeFrame(opcode, payload, this.mask))
+    }
+  }
+
+  finish(code) {
+    if (this.isClosed) return
+    this.isClosed = true
+    clearInterval(this.pinger)
+    this.emit('close', code)
+  }
+
+  // Chunks are only joined once a whole frame has arrived, so big messages
+  // aren't copied over and over as they trickle in
+  receive(chunk) {
+    this.lastHeard = Date.now()
+    this.chunks.push(chunk)
+    this.buffered += chunk.length
+    while (!this.isClosed && this.buffered >= this.needed) {
+      const buffer = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks)
+      const consumed = this.parseFrame(buffer)
+      const rest = buffer.subarray(consumed)
+      this.chunks = rest.length > 0 ? [rest] : []
+      this.buffered = rest.length
+    }
+  }
+
+  // Reads one frame from the front of `buffer`; returns the bytes it used,
+  // or 0 after raising `needed` when the frame is incomplete
+  parseFrame(buffer) {
+    const fin = (buffer[0] & 0x80) !== 0
+    const opcode = buffer[0] & 0x0f
+    const isMasked = (buffer[1] & 0x80) !== 0
+    let length = buffer[1] & 0x7f
+    let offset = 2
+
+    if (length === 126) {
+      if (buffer.length < 4) return this.need(4)
+      length = buffer.readUInt16BE(2)
+      offset = 4
+    } else if (length === 127) {
+      if (buffer.length < 10) return this.need(10)
+      length = Number(buffer.readBigUInt64BE(2))
+      offset = 10
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+      this.close(1009)
+      return buffer.length
+    }
+
+    const maskOffset = offset
+    if (isMasked) offset += 4
+    if (buffer.length < offset + length) return this.need(offset + length)
+
+    let payload = buffer.subarray(offset, offset + length)
+    if (isMasked) {
+      const key = buffer.subarray(maskOffset, maskOffset + 4)
+      payload = Buffer.from(payload)
+      for (let i = 0; i < payload.length; i++) payload[i] ^= key[i & 3]
+    }
+    this.needed = 2
+    this.handleFrame(fin, opcode, payload)
+    return offset + length
+  }
+
+  need(bytes) {
+    this.needed = bytes
+    return 0
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.binary:
+      case OPCODES.continuation:
+        this.fragments.push(payload)
+        this.fragmentSize += payload.length
+        if (this.fragmentSize > MAX_MESSAGE_SIZE) {
+          this.close(1009)
+        } else if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8')
+          this.fragments = []
+          this.fragmentSize = 0
+          this.emit('message', message)
+        }
+        break
+      case OPCODES.ping:
+        this.write(OPCODES.pong, payload)
+        break
+      case OPCODES.close:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000)
+        break
+      default:
+        // Pongs only matter for `lastHeard`; anything else is ignored
+        break
+    }
+  }
+}
+
+// Answer an HTTP server's 'upgrade' event with a WebSocket connection
+export function acceptUpgrade(req, socket, head) {
+  const key = req.headers['sec-websocket-key']
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    rejectUpgrade(socket, 400, 'Bad Request')
+    return null
+  }
+
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      '',
+      ''
+    ].join('\r\n')
+  )
+  const connection = new WebSocketConnection(socket, { mask: false })
+  if (head?.length) connection.receive(head)
+  return connection
+}
+
+export function rejectUpgrade(socket, status, reason) {
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`)
+}
+
+// Open a connection to a `ws://` URL. Refused handshakes reject with the
+// HTTP status in `error.status`.
+export function connect(url) {
+  const key = randomBytes(16).toString('base64')
+  return new Promise((resolve, reject) => {
+    const req = request(url.replace(/^ws:/, 'http:'), {
+      timeout: HANDSHAKE_TIMEOUT,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      }
+    })
+
+    req.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy()
+        reject(new Error('The server answered with an invalid WebSocket handshake'))
+        return
+      }
+      // The handshake timeout would otherwise outlive the handshake
+      socket.setTimeout(0)
+      const connection = new WebSocketConnection(socket, { mask: true })
+      if (head.length) connection.receive(head)
+      resolve(connection)
+    })
+    req.on('response', (response) => {
+      response.resume()
+      reject(
+        Object.assign(new Error(`Connection refused (${response.statusCode})`), {
+          status: response.statusCode
+        })
+      )
+    })
+    req.on('timeout', () => req.destroy(new Error(`Timed out connecting to ${url}`)))
+    req.on('error', reject)
+    req.end()
+  })
+}
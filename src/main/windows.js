@@ -0,0 +1,232 @@
+import { app, BrowserWindow, dialog, ipcMain, screen, shell } from 'electron'
+import { readFile, writeFile } from 'fs/promises'
+import { basename, extname, join } from 'path'
+import { is } from '@electron-toolkit/utils'
+import icon from '../../resources/icon.png?asset'
+import {
+  chooseBoardFile,
+  discardAutosave,
+  discardUntitledBoard,
+  findBoardWindow,
+  forgetWindow,
+  getWindowBoard,
+  isRecoveryPath,
+  setWindowIntent
+} from './boards'
+import { isCommandLineRun } from './cli'
+import { leaveSharedSession } from './collaboration'
+import { isNotesWindow, stopPresentation } from './presentation'
+
+const DEFAULT_SIZE = { width: 900, height: 670 }
+// New windows step down and right from the one that opened them
+const CASCADE_OFFSET = 30
+
+const sessionPath = () => join(app.getPath('userData'), 'window-session.json')
+
+// What each window's renderer last reported about unsaved work, keyed by
+// webContents id: `{ dirty, untitled }`
+const unsavedWork = new Map()
+// Windows allowed to close without asking again, keyed by webContents id
+const confirmedCloses = new Set()
+const prompting = new Set()
+let isQuitting = false
+
+// Speaker notes windows come and go with their presentation
+const boardWindows = () => BrowserWindow.getAllWindows().filter((window) => !isNotesWindow(window))
+
+const isOnScreen = (bounds) =>
+  screen.getAllDisplays().some(({ workArea }) => {
+    const overlapX =
+      Math.min(bounds.x + bounds.width, workArea.x + workArea.width) -
+      Math.max(bounds.x, workArea.x)
+    const overlapY =
+      Math.min(bounds.y + bounds.height, workArea.y + workArea.height) -
+      Math.max(bounds.y, workArea.y)
+    return overlapX >= 100 && overlapY >= 100
+  })
+
+// Every open window with the board it shows and where it sits, so the next
+// launch can put them all back
+async function saveSession(windows) {
+  const session = windows.map((window) => ({
+    filePath: getWindowBoard(window.webContents),
+    bounds: window.getNormalBounds(),
+    maximized: window.isMaximized()
+  }))
+  try {
+    await writeFile(sessionPath(), JSON.stringify(session, null, 2))
+  } catch (error) {
+    console.error('Failed to save window session:', error)
+  }
+}
+
+const boardDisplayName = (window) => {
+  const filePath = getWindowBoard(window.webContents)
+  return filePath && !isRecoveryPath(filePath) ? basename(filePath, extname(filePath)) : 'Untitled'
+}
+
+function confirmClose(window) {
+  confirmedCloses.add(window.webContents.id)
+  window.close()
+}
+
+// Save, discard or keep the window open. Saving happens in the renderer,
+// which closes the window itself once the board is safely written.
+async function promptToSave(window) {
+  const { id } = window.webContents
+  if (prompting.has(id)) return
+  prompting.add(id)
+  try {
+    const { response } = await dialog.showMessageBox(window, {
+      type: 'warning',
+      buttons: ['Save', "Don't Save", 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      message: `Do you want to save the changes to ${boardDisplayName(window)}?`,
+      detail: "Your changes will be lost if you don't save them."
+    })
+    if (response === 0) {
+      window.webContents.send('windows:save-before-close')
+    } else if (response === 1) {
+      // Edits to a saved board only ever reached its autosave copy
+      if (unsavedWork.get(id)?.untitled) await discardUntitledBoard(window.webContents)
+      else await discardAutosave(window.webContents)
+      confirmClose(window)
+    } else {
+      isQuitting = false
+    }
+  } finally {
+    prompting.delete(id)
+  }
+}
+
+function handleClose(window, event) {
+  const { id } = window.webContents
+  const isLast = boardWindows().length === 1
+  if (!confirmedCloses.has(id)) {
+    const unsaved = unsavedWork.get(id)
+    // Untitled boards come back with the session when the app quits, but a
+    // window closed on its own would leave its board behind
+    if (unsaved?.dirty || (unsaved?.untitled && !isQuitting && !isLast)) {
+      event.preventDefault()
+      promptToSave(window)
+      return
+    }
+  }
+
+  // Edits undone back to the saved board leave a stale autosave copy
+  if (!unsavedWork.get(id)?.dirty) discardAutosave(window.webContents)
+
+  // Quitting saved the session already; the last window closing is remembered
+  if (!isQuitting) {
+    saveSession(boardWindows().filter((other) => isLast || other !== window))
+  }
+}
+
+// `intent` says what the window shows first (see boards.js); without one it
+// reopens the last board
+export function createBoardWindow(intent, { bounds, maximized = false } = {}) {
+  const window = new BrowserWindow({
+    ...DEFAULT_SIZE,
+    ...(bounds && isOnScreen(bounds) ? bounds : {}),
+    show: false,
+    ...(process.platform === 'linux' ? { icon } : {}),
+    webPreferences: {
+      preload: join(__dirname, '../preload/index.js'),
+      sandbox: false
+    }
+  })
+  const { id } = window.webContents
+  if (intent) setWindowIntent(window.webContents, intent)
+
+  window.on('ready-to-show', () => {
+    if (maximized) window.maximize()
+    window.show()
+  })
+  window.on('close', (event) => handleClose(window, event))
+  window.on('closed', () => {
+    leaveSharedSession(id)
+    stopPresentation(id)
+    forgetWindow(id)
+    unsavedWork.delete(id)
+    confirmedCloses.delete(id)
+  })
+
+  window.webContents.setWindowOpenHandler((details) => {
+    shell.openExternal(details.url)
+    return { action: 'deny' }
+  })
+
+  // HMR for renderer base on electron-vite cli.
+  // Load the remote URL for development or the local html file for production.
+  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
+    window.loadURL(process.env['ELECTRON_RENDERER_URL'])
+  } else {
+    window.loadFile(join(__dirname, '../renderer/index.html'))
+  }
+  return window
+}
+
+// Reopen the windows from the last run, or a single window if there were none
+export async function restoreSession() {
+  let session = []
+  try {
+    session = JSON.parse(await readFile(sessionPath(), 'utf8'))
+  } catch {
+    // First launch, or the file is unreadable: start fresh
+  }
+  if (!Array.isArray(session) || session.length === 0) {
+    createBoardWindow()
+    return
+  }
+
+  const opened = new Set()
+  for (const { filePath, bounds, maximized } of session) {
+    if (filePath && opened.has(filePath)) continue
+    opened.add(filePath)
+    createBoardWindow(filePath ? { filePath } : { home: true }, { bounds, maximized })
+  }
+}
+
+export function registerWindowHandlers() {
+  app.on('before-quit', () => {
+    // A command line run has no board windows of its own to remember
+    if (isQuitting || isCommandLineRun()) return
+    isQuitting = true
+    saveSession(boardWindows())
+  })
+
+  // `unsaved` is `{ dirty, untitled }`: edits not yet saved, and whether the
+  // board only lives in a recovery file
+  ipcMain.handle('windows:set-unsaved', (event, unsaved) => {
+    unsavedWork.set(event.sender.id, unsaved)
+    if (process.platform === 'darwin') {
+      BrowserWindow.fromWebContents(event.sender)?.setDocumentEdited(unsaved.dirty)
+    }
+  })
+
+  // `{ filePath }`, `{ browse: true }` to pick a board file, `{ blank: true }`
+  // (optionally with a `template`) or `{ home: true }`. Boards already open elsewhere are focused instead.
+  ipcMain.handle('windows:open', async (event, intent) => {
+    const parent = BrowserWindow.fromWebContents(event.sender)
+    const filePath = intent.browse ? await chooseBoardFile(parent) : intent.filePath
+    if (intent.browse && !filePath) return
+    const windowIntent = filePath ? { filePath } : intent
+
+    const owner = windowIntent.filePath && findBoardWindow(windowIntent.filePath)
+    if (owner) {
+      owner.focus()
+      return
+    }
+    const [x, y] = parent.getPosition()
+    const [width, height] = parent.getSize()
+    createBoardWindow(windowIntent, {
+      bounds: { x: x + CASCADE_OFFSET, y: y + CASCADE_OFFSET, width, height }
+    })
+  })
+
+  // The renderer finished saving after a close prompt
+  ipcMain.handle('windows:close', (event) => {
+    confirmClose(BrowserWindow.fromWebContents(event.sender))
+  })
+}
@@ -1,8 +1,130 @@
-import { contextBridge } from 'electron'
+import { contextBridge, ipcRenderer, webUtils } from 'electron'
 import { electronAPI } from '@electron-toolkit/preload'
 
 // Custom APIs for renderer
-const api = {}
+const api = {
+  // Opens a native file dialog and resolves with the images the user picked
+  importImages: () => ipcRenderer.invoke('images:import'),
+  // Reads image files and folders (scanned recursively) from disk
+  importPaths: (paths) => ipcRenderer.invoke('images:import-paths', paths),
+  // Downloads an image URL into the board's asset folder
+  importUrl: (url) => ipcRenderer.invoke('images:import-url', url),
+  // Imports the image, or image URL, on the clipboard; resolves with [] if none
+  importClipboard: () => ipcRenderer.invoke('images:import-clipboard'),
+  // Resolves the on-disk path of a dropped File, or '' if it has none
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+
+  // Board documents. Opening without a path shows a native dialog.
+  openBoard: (filePath) => ipcRenderer.invoke('boards:open', filePath),
+  saveBoard: (board, options) => ipcRenderer.invoke('boards:save', board, options),
+  // Untitled boards autosave to a recovery file, saved ones to a copy beside
+  // them (flagged `autosaved`) so the board file only changes on a save
+  autosaveBoard: (board) => ipcRenderer.invoke('boards:autosave', board),
+  // Resolves with this window's board, `{ home: true }`, `{ template }` or
+  // null (blank)
+  restoreBoard: () => ipcRenderer.invoke('boards:restore'),
+  newBoard: () => ipcRenderer.invoke('boards:new'),
+  getRecentBoards: () => ipcRenderer.invoke('boards:recent'),
+
+  // Asset manager: where each board image's file is and whether it's there,
+  // relinking a moved one (and any others missing from the same folder), and
+  // copying every file into the board's asset folder
+  inspectAssets: (images) => ipcRenderer.invoke('assets:inspect', images),
+  relinkAsset: (image, missing) => ipcRenderer.invoke('assets:relink', image, missing),
+  collectAssets: (images) => ipcRenderer.invoke('assets:collect', images),
+
+  // Board templates: the ones saved in the templates folder, saving the
+  // current board as one, and opening one (a dialog without a path)
+  listTemplates: () => ipcRenderer.invoke('templates:list'),
+  saveTemplate: (request) => ipcRenderer.invoke('templates:save', request),
+  openTemplate: (filePath) => ipcRenderer.invoke('templates:open', filePath),
+
+  // Windows. `intent` is `{ filePath }`, `{ browse: true }`, `{ blank: true }`
+  // (with a `template` to start from, if any) or `{ home: true }`.
+  openWindow: (intent) => ipcRenderer.invoke('windows:open', intent),
+  // Lets the main process ask before closing a window with unsaved work
+  setUnsavedWork: (unsaved) => ipcRenderer.invoke('windows:set-unsaved', unsaved),
+  // Subscribes to "save, then close" requests; returns an unsubscribe function
+  onSaveBeforeClose: (callback) => {
+    const listener = () => callback()
+    ipcRenderer.on('windows:save-before-close', listener)
+    return () => ipcRenderer.removeListener('windows:save-before-close', listener)
+  },
+  closeWindow: () => ipcRenderer.invoke('windows:close'),
+
+  // User preferences shared by all windows. `onPreferencesChanged` fires in
+  // every window after any of them saves one; it returns an unsubscribe.
+  getPreferences: () => ipcRenderer.invoke('preferences:get'),
+  setPreference: (key, value) => ipcRenderer.invoke('preferences:set', key, value),
+  onPreferencesChanged: (callback) => {
+    const listener = (_, preferences) => callback(preferences)
+    ipcRenderer.on('preferences:changed', listener)
+    return () => ipcRenderer.removeListener('preferences:changed', listener)
+  },
+
+  // Application menu: sections built from the keymap, and the command ids
+  // sent back when an item is clicked
+  setMenu: (sections) => ipcRenderer.invoke('menu:set', sections),
+  onMenuCommand: (callback) => {
+    const listener = (_, id) => callback(id)
+    ipcRenderer.on('menu:command', listener)
+    return () => ipcRenderer.removeListener('menu:command', listener)
+  },
+
+  // Saves rendered PNG/JPEG bytes as a PNG file or a multi-page PDF
+  exportBoard: (request) => ipcRenderer.invoke('exports:save', request),
+  // Saves text or bytes encoded in the renderer, e.g. a palette file
+  exportFile: (request) => ipcRenderer.invoke('exports:save-file', request),
+  // Walkthrough export: choose a destination, stream frames, then finish
+  // with the video details (or nothing, to cancel)
+  beginWalkthrough: (options) => ipcRenderer.invoke('exports:walkthrough-begin', options),
+  writeWalkthroughFrame: (frame) => ipcRenderer.invoke('exports:walkthrough-frame', frame),
+  endWalkthrough: (video) => ipcRenderer.invoke('exports:walkthrough-end', video),
+
+  // Shared board sessions on the local network. Hosting resolves with the
+  // join links; joining with the board so far, as ops.
+  hostSession: (name) => ipcRenderer.invoke('collab:host', name),
+  joinSession: (link, name) => ipcRenderer.invoke('collab:join', link, name),
+  leaveSession: () => ipcRenderer.invoke('collab:leave'),
+  publishOps: (ops) => ipcRenderer.invoke('collab:ops', ops),
+  publishPresence: (presence) => ipcRenderer.invoke('collab:presence', presence),
+  // Makes a board image fetchable by the session; resolves with its key
+  shareImage: (item) => ipcRenderer.invoke('collab:share-image', item),
+  // Stores a shared image in this window's board; resolves like an import
+  fetchSharedImage: (key) => ipcRenderer.invoke('collab:fetch-image', key),
+  // Subscribes to session messages (ops, presence, leave, ended); returns an
+  // unsubscribe function
+  onSessionEvent: (callback) => {
+    const listener = (_, message) => callback(message)
+    ipcRenderer.on('collab:event', listener)
+    return () => ipcRenderer.removeListener('collab:event', listener)
+  },
+
+  // Presentations: the presenting window goes full screen and opens the
+  // speaker notes window, then keeps it up to date
+  startPresentation: () => ipcRenderer.invoke('presentation:start'),
+  stopPresentation: () => ipcRenderer.invoke('presentation:stop'),
+  updatePresentation: (state) => ipcRenderer.invoke('presentation:update', state),
+  // Subscribes to navigation from the notes window; returns an unsubscribe
+  onPresentationNavigate: (callback) => {
+    const listener = (_, action) => callback(action)
+    ipcRenderer.on('presentation:navigate', listener)
+    return () => ipcRenderer.removeListener('presentation:navigate', listener)
+  },
+  // For the notes window: the latest state, updates to it, and navigation
+  getPresentationState: () => ipcRenderer.invoke('presentation:get-state'),
+  onPresentationState: (callback) => {
+    const listener = (_, state) => callback(state)
+    ipcRenderer.on('presentation:state', listener)
+    return () => ipcRenderer.removeListener('presentation:state', listener)
+  },
+  navigatePresentation: (action) => ipcRenderer.invoke('presentation:navigate', action),
+
+  // Command line jobs, for the hidden window running one: what to do, and
+  // the result (or `{ error }`) to hand back before the app quits
+  getBatchJob: () => ipcRenderer.invoke('batch:get-job'),
+  finishBatchJob: (result) => ipcRenderer.invoke('batch:finish', result)
+}
 
 // Use `contextBridge` APIs to expose Electron APIs to
 // renderer only if context isolation is enabled, otherwise
@@ -0,0 +1,259 @@
+import PropTypes from 'prop-types'
+import { APPEARANCE_DEFAULTS, LIGHT_PRESETS } from '../lib/appearance'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const labelStyle = {
+  marginTop: '12px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const chipStyle = (active) => ({
+  padding: '2px 8px',
+  borderRadius: '10px',
+  border: '1px solid rgba(255, 255, 255, 0.4)',
+  background: active ? 'rgba(78, 205, 196, 0.5)' : 'transparent',
+  color: 'white',
+  fontSize: '12px',
+  cursor: 'pointer'
+})
+
+const rowStyle = { display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }
+
+const GRADIENT_STOPS = ['Centre', 'Middle', 'Edge']
+
+const REDUCED_MOTION_CHOICES = [
+  { id: 'system', label: 'Follow system' },
+  { id: 'on', label: 'Always' },
+  { id: 'off', label: 'Never' }
+]
+
+// Side panel for how the scene looks. Background, lighting, motion, hover and
+// opacity are saved with the board and applied live through `onChange`.
+// Reduced motion belongs to whoever is looking, so it's a preference on this
+// computer instead, and holds every board still while it's on.
+function AppearancePanel({
+  appearance,
+  reducedMotion,
+  systemPrefersReduced,
+  onChange,
+  onChooseImage,
+  onReducedMotionChange,
+  onClose
+}) {
+  const { background } = appearance
+  const update = (fields) => onChange({ ...appearance, ...fields })
+  const updateBackground = (fields) => update({ background: { ...background, ...fields } })
+  const isHeldStill = reducedMotion === 'on' || (reducedMotion === 'system' && systemPrefersReduced)
+
+  return (
+    <aside
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: '280px',
+        zIndex: 1002,
+        boxSizing: 'border-box',
+        padding: '20px',
+        overflowY: 'auto',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.75)',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <h2 style={{ margin: 0, fontSize: '16px' }}>Appearance</h2>
+        <button style={{ ...buttonStyle, marginLeft: 'auto' }} onClick={onClose} title="Esc">
+          Close
+        </button>
+      </div>
+
+      <div style={labelStyle}>Background</div>
+      <div style={rowStyle}>
+        <button
+          onClick={() => updateBackground({ type: 'gradient' })}
+          style={chipStyle(background.type === 'gradient')}
+        >
+          Gradient
+        </button>
+        <button
+          onClick={() => (background.image ? updateBackground({ type: 'image' }) : onChooseImage())}
+          style={chipStyle(background.type === 'image')}
+        >
+          Image
+        </button>
+      </div>
+
+      {background.type === 'gradient' ? (
+        <div style={{ ...rowStyle, marginTop: '8px' }}>
+          {GRADIENT_STOPS.map((stop, i) => (
+            <label key={stop} style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+              <input
+                type="color"
+                value={background.colors[i]}
+                onChange={(event) =>
+                  updateBackground({
+                    colors: background.colors.map((color, j) =>
+                      j === i ? event.target.value : color
+                    )
+                  })
+                }
+                style={{ width: '40px', height: '24px', padding: 0, border: 'none' }}
+              />
+              <span style={{ fontSize: '11px', opacity: 0.7 }}>{stop}</span>
+            </label>
+          ))}
+          <button
+            style={{ ...buttonStyle, marginLeft: 'auto' }}
+            onClick={() => updateBackground({ colors: APPEARANCE_DEFAULTS.background.colors })}
+          >
+            Reset
+          </button>
+        </div>
+      ) : (
+        <div style={{ ...rowStyle, marginTop: '8px' }}>
+          <span
+            style={{
+              flex: 1,
+              minWidth: 0,
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+              color: background.image?.missing ? '#ff6b6b' : 'inherit'
+            }}
+          >
+            {background.image?.missing ? 'Image missing' : background.image?.name || 'Image'}
+          </span>
+          <button style={buttonStyle} onClick={onChooseImage}>
+            Change…
+          </button>
+        </div>
+      )}
+
+      <div style={labelStyle}>Lighting</div>
+      <div style={rowStyle}>
+        {LIGHT_PRESETS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => update({ lighting: id })}
+            style={chipStyle(appearance.lighting === id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={labelStyle}>Motion</div>
+      <label style={rowStyle}>
+        <input
+          type="checkbox"
+          checked={appearance.motion}
+          onChange={(event) => update({ motion: event.target.checked })}
+        />
+        Ambient float
+      </label>
+      <label style={{ ...rowStyle, marginTop: '6px', opacity: appearance.motion ? 1 : 0.5 }}>
+        Intensity
+        <input
+          type="range"
+          min={0.1}
+          max={2}
+          step={0.1}
+          value={appearance.motionIntensity}
+          disabled={!appearance.motion}
+          onChange={(event) => update({ motionIntensity: Number(event.target.value) })}
+          style={{ flex: 1 }}
+        />
+        <span style={{ width: '32px', textAlign: 'right' }}>
+          {appearance.motionIntensity.toFixed(1)}×
+        </span>
+      </label>
+      <label style={{ ...rowStyle, marginTop: '6px' }}>
+        <input
+          type="checkbox"
+          checked={appearance.hoverEffects}
+          onChange={(event) => update({ hoverEffects: event.target.checked })}
+        />
+        Highlight and grow images on hover
+      </label>
+
+      <div style={labelStyle}>Image opacity</div>
+      <label style={rowStyle}>
+        <input
+          type="range"
+          min={0.3}
+          max={1}
+          step={0.05}
+          value={appearance.planeOpacity}
+          onChange={(event) => update({ planeOpacity: Number(event.target.value) })}
+          style={{ flex: 1 }}
+        />
+        <span style={{ width: '32px', textAlign: 'right' }}>
+          {Math.round(appearance.planeOpacity * 100)}%
+        </span>
+      </label>
+
+      <div style={labelStyle}>Reduced motion (this computer)</div>
+      <div style={rowStyle}>
+        {REDUCED_MOTION_CHOICES.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => onReducedMotionChange(id)}
+            style={chipStyle(reducedMotion === id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div style={{ marginTop: '6px', fontSize: '12px', opacity: 0.7 }}>
+        {isHeldStill
+          ? 'Boards hold still: no float or hover growth.'
+          : 'Boards animate as their settings say.'}
+        {reducedMotion === 'system' &&
+          ` Your system ${systemPrefersReduced ? 'asks for' : "doesn't ask for"} reduced motion.`}
+      </div>
+    </aside>
+  )
+}
+
+AppearancePanel.propTypes = {
+  appearance: PropTypes.shape({
+    background: PropTypes.shape({
+      type: PropTypes.oneOf(['gradient', 'image']).isRequired,
+      colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+      image: PropTypes.shape({
+        name: PropTypes.string,
+        missing: PropTypes.bool
+      })
+    }).isRequired,
+    lighting: PropTypes.string.isRequired,
+    motion: PropTypes.bool.isRequired,
+    motionIntensity: PropTypes.number.isRequired,
+    hoverEffects: PropTypes.bool.isRequired,
+    planeOpacity: PropTypes.number.isRequired
+  }).isRequired,
+  reducedMotion: PropTypes.oneOf(['system', 'on', 'off']).isRequired,
+  systemPrefersReduced: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onChooseImage: PropTypes.func.isRequired,
+  onReducedMotionChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default AppearancePanel
@@ -0,0 +1,283 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { describeError } from '../lib/errors'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const smallButtonStyle = { ...buttonStyle, padding: '2px 8px', fontSize: '12px' }
+
+const labelStyle = {
+  marginTop: '14px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const STATUS_LABELS = {
+  ok: { text: 'OK', color: 'rgba(255, 255, 255, 0.6)' },
+  unsaved: { text: 'Not saved yet', color: 'rgba(255, 255, 255, 0.6)' },
+  missing: { text: 'Missing', color: '#ff6b6b' },
+  broken: { text: 'Unreadable', color: '#ff6b6b' }
+}
+
+const formatSize = (bytes) => {
+  if (bytes === null) return '—'
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+// Every file the board uses: where it is, its size and whether it's still
+// there. `reports` come from the main process (see main/assets.js), by id,
+// and are null while it's looking. Missing or unreadable files can be
+// relinked, and "Collect" copies everything into the board's asset folder.
+// Near-duplicate images (`duplicateGroups`, lists of ids) are listed too;
+// `flaggedIds` are images just imported that look like ones already there.
+// `onRelink(id)` and `onCollect()` are async and resolve with a message.
+function AssetManager({
+  entries,
+  reports,
+  duplicateGroups,
+  flaggedIds,
+  onRelink,
+  onCollect,
+  onSelect,
+  onClose
+}) {
+  const [pending, setPending] = useState(null)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const names = Object.fromEntries(entries.map((entry) => [entry.id, entry.name]))
+  const reported = reports ? entries.map((entry) => reports[entry.id]).filter(Boolean) : []
+  const totalSize = reported.reduce((sum, report) => sum + (report.size ?? 0), 0)
+  const problems = reported.filter((report) => ['missing', 'broken'].includes(report.status))
+  const outside = reported.filter(
+    (report) => !report.isCollected && ['ok', 'unsaved'].includes(report.status)
+  )
+
+  const run = async (key, action) => {
+    setPending(key)
+    setError('')
+    setMessage('')
+    try {
+      setMessage((await action()) ?? '')
+    } catch (actionError) {
+      setError(describeError(actionError))
+    } finally {
+      setPending(null)
+    }
+  }
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex: 1100,
+        width: '620px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        boxSizing: 'border-box',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.85)',
+        padding: '20px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <h2 style={{ margin: 0, fontSize: '16px', flex: 1 }}>Assets</h2>
+        <button
+          style={buttonStyle}
+          disabled={!reports || outside.length === 0 || pending !== null}
+          onClick={() => run('collect', onCollect)}
+          title="Copy every file into the board's asset folder, so the board travels as one folder"
+        >
+          {pending === 'collect' ? 'Collecting…' : 'Collect into board folder'}
+        </button>
+        <button style={buttonStyle} onClick={onClose} title="Esc">
+          Close
+        </button>
+      </div>
+
+      <div style={{ marginTop: '8px', opacity: 0.7 }}>
+        {reports
+          ? `${entries.length} ${entries.length === 1 ? 'file' : 'files'}, ${formatSize(totalSize)}` +
+            (problems.length > 0 ? ` · ${problems.length} need relinking` : '') +
+            (outside.length > 0 ? ` · ${outside.length} outside the board folder` : '')
+          : 'Checking files…'}
+      </div>
+      {message && <div style={{ marginTop: '6px', color: '#4ecdc4' }}>{message}</div>}
+      {error && <div style={{ marginTop: '6px', color: '#ff6b6b' }}>{error}</div>}
+
+      {flaggedIds.length > 0 && (
+        <div
+          style={{
+            marginTop: '12px',
+            padding: '8px 10px',
+            borderRadius: '5px',
+            border: '1px solid rgba(78, 205, 196, 0.5)'
+          }}
+        >
+          {flaggedIds.length === 1
+            ? `${names[flaggedIds[0]]} looks like an image already on the board.`
+            : `${flaggedIds.length} images you just added look like ones already on the board.`}{' '}
+          <button style={smallButtonStyle} onClick={() => onSelect(flaggedIds)}>
+            Select {flaggedIds.length === 1 ? 'it' : 'them'}
+          </button>
+        </div>
+      )}
+
+      {duplicateGroups.length > 0 && (
+        <>
+          <div style={labelStyle}>Near-duplicates</div>
+          {duplicateGroups.map((ids) => (
+            <div
+              key={ids.join()}
+              style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '3px 0' }}
+            >
+              <span
+                style={{
+                  flex: 1,
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap'
+                }}
+              >
+                {ids.map((id) => names[id]).join(', ')}
+              </span>
+              <button style={smallButtonStyle} onClick={() => onSelect(ids)}>
+                Select
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+
+      <div style={labelStyle}>Files</div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+        <tbody>
+          {entries.map((entry) => {
+            const report = reports?.[entry.id]
+            const status = report && STATUS_LABELS[report.status]
+            const needsRelink = report && ['missing', 'broken'].includes(report.status)
+            return (
+              <tr
+                key={entry.id}
+                style={{
+                  borderTop: '1px solid rgba(255, 255, 255, 0.1)',
+                  background: flaggedIds.includes(entry.id)
+                    ? 'rgba(78, 205, 196, 0.15)'
+                    : 'transparent'
+                }}
+              >
+                <td style={{ width: '44px', padding: '4px 0' }}>
+                  {entry.thumbnailUrl && !needsRelink && (
+                    <img
+                      src={entry.thumbnailUrl}
+                      alt=""
+                      style={{
+                        width: '36px',
+                        height: '36px',
+                        objectFit: 'cover',
+                        display: 'block'
+                      }}
+                    />
+                  )}
+                </td>
+                <td style={{ padding: '4px 6px', overflow: 'hidden' }}>
+                  <div
+                    style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                  >
+                    {entry.name}
+                  </div>
+                  <div
+                    title={report?.filePath ?? undefined}
+                    style={{
+                      fontSize: '11px',
+                      opacity: 0.5,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    {report?.filePath ?? (report ? 'In memory' : '')}
+                  </div>
+                </td>
+                <td style={{ width: '70px', textAlign: 'right', opacity: 0.7 }}>
+                  {report ? formatSize(report.size) : ''}
+                </td>
+                <td style={{ width: '110px', padding: '0 6px', color: status?.color }}>
+                  {status?.text}
+                  {report?.status === 'ok' && !report.isCollected && (
+                    <div style={{ fontSize: '11px', opacity: 0.7 }}>Outside board folder</div>
+                  )}
+                </td>
+                <td style={{ width: '120px', textAlign: 'right' }}>
+                  {needsRelink && (
+                    <button
+                      style={smallButtonStyle}
+                      disabled={pending !== null}
+                      onClick={() => run(entry.id, () => onRelink(entry.id))}
+                    >
+                      {pending === entry.id ? 'Finding…' : 'Relink…'}
+                    </button>
+                  )}
+                  {entry.id !== 'background' && (
+                    <button
+                      style={{ ...smallButtonStyle, marginLeft: '4px' }}
+                      onClick={() => onSelect([entry.id])}
+                    >
+                      Select
+                    </button>
+                  )}
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+AssetManager.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      thumbnailUrl: PropTypes.string
+    })
+  ).isRequired,
+  reports: PropTypes.objectOf(
+    PropTypes.shape({
+      filePath: PropTypes.string,
+      size: PropTypes.number,
+      status: PropTypes.oneOf(['ok', 'unsaved', 'missing', 'broken']).isRequired,
+      isCollected: PropTypes.bool.isRequired
+    })
+  ),
+  duplicateGroups: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  flaggedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onRelink: PropTypes.func.isRequired,
+  onCollect: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default AssetManager
@@ -0,0 +1,200 @@
+import PropTypes from 'prop-types'
+import { TEMPLATES } from '../lib/templates'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const templateStyle = {
+  ...buttonStyle,
+  padding: '10px 12px',
+  textAlign: 'left',
+  background: 'rgba(0, 0, 0, 0.4)',
+  border: '1px solid rgba(255, 255, 255, 0.15)'
+}
+
+const headingStyle = { margin: '30px 0 0', fontSize: '16px' }
+
+const formatOpenedAt = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+// Home screen: recent boards, each opened here or in a window of its own,
+// plus new and open. New boards can start from a built-in template or one of
+// the saved `templates`; `onNewFromTemplate` takes `{ id }`, `{ filePath }`
+// or `{}` to browse for a template file. `onClose` returns to the board
+// behind it.
+function BoardLibrary({
+  recentBoards,
+  templates,
+  onOpen,
+  onOpenInWindow,
+  onNew,
+  onNewFromTemplate,
+  onNewWindow,
+  onBrowse,
+  onClose
+}) {
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        zIndex: 1200,
+        overflowY: 'auto',
+        padding: '60px 80px',
+        boxSizing: 'border-box',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)',
+        cursor: 'default'
+      }}
+    >
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <h1 style={{ margin: 0, marginRight: 'auto', fontSize: '24px' }}>Boards</h1>
+        <button style={buttonStyle} onClick={onNew}>
+          New board
+        </button>
+        <button style={buttonStyle} onClick={onNewWindow} title="Ctrl/Cmd+N">
+          New window
+        </button>
+        <button style={buttonStyle} onClick={onBrowse}>
+          Open…
+        </button>
+        <button style={buttonStyle} onClick={onClose} title="Esc">
+          Back to board
+        </button>
+      </div>
+
+      <h2 style={headingStyle}>Start from a template</h2>
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+          gap: '10px',
+          marginTop: '12px'
+        }}
+      >
+        {TEMPLATES.map((template) => (
+          <button
+            key={template.id}
+            style={templateStyle}
+            onClick={() => onNewFromTemplate({ id: template.id })}
+          >
+            <div style={{ fontWeight: 'bold' }}>{template.name}</div>
+            <div style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>
+              {template.description}
+            </div>
+          </button>
+        ))}
+        {templates.map((template) => (
+          <button
+            key={template.filePath}
+            style={templateStyle}
+            title={template.filePath}
+            onClick={() => onNewFromTemplate({ filePath: template.filePath })}
+          >
+            <div style={{ fontWeight: 'bold' }}>{template.name}</div>
+            <div style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>Saved template</div>
+          </button>
+        ))}
+        <button style={templateStyle} onClick={() => onNewFromTemplate({})}>
+          <div style={{ fontWeight: 'bold' }}>Other template…</div>
+          <div style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>
+            Open a template file
+          </div>
+        </button>
+      </div>
+
+      <h2 style={headingStyle}>Recent boards</h2>
+      {recentBoards.length === 0 ? (
+        <p style={{ marginTop: '12px', opacity: 0.6 }}>
+          No recent boards. Start a new one, or open a board file.
+        </p>
+      ) : (
+        <ul
+          style={{
+            listStyle: 'none',
+            margin: '12px 0 0',
+            padding: 0,
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+            gap: '16px'
+          }}
+        >
+          {recentBoards.map((entry) => (
+            <li
+              key={entry.filePath}
+              style={{
+                padding: '16px',
+                borderRadius: '5px',
+                background: 'rgba(0, 0, 0, 0.4)',
+                border: '1px solid rgba(255, 255, 255, 0.15)'
+              }}
+            >
+              <div style={{ fontSize: '16px', fontWeight: 'bold' }}>{entry.name}</div>
+              <div
+                title={entry.filePath}
+                style={{
+                  marginTop: '4px',
+                  fontSize: '11px',
+                  opacity: 0.5,
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap'
+                }}
+              >
+                {entry.filePath}
+              </div>
+              <div style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>
+                {entry.isOpen ? 'Open in a window' : `Opened ${formatOpenedAt(entry.openedAt)}`}
+              </div>
+              <div style={{ display: 'flex', gap: '6px', marginTop: '12px' }}>
+                <button style={buttonStyle} onClick={() => onOpen(entry.filePath)}>
+                  {entry.isOpen ? 'Switch to' : 'Open'}
+                </button>
+                {!entry.isOpen && (
+                  <button style={buttonStyle} onClick={() => onOpenInWindow(entry.filePath)}>
+                    New window
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+BoardLibrary.propTypes = {
+  recentBoards: PropTypes.arrayOf(
+    PropTypes.shape({
+      filePath: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      openedAt: PropTypes.number,
+      isOpen: PropTypes.bool
+    })
+  ).isRequired,
+  templates: PropTypes.arrayOf(
+    PropTypes.shape({
+      filePath: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onOpenInWindow: PropTypes.func.isRequired,
+  onNew: PropTypes.func.isRequired,
+  onNewFromTemplate: PropTypes.func.isRequired,
+  onNewWindow: PropTypes.func.isRequired,
+  onBrowse: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default BoardLibrary
@@ -0,0 +1,128 @@
+import PropTypes from 'prop-types'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+// Open/save/export controls, the board library and the recent-boards list.
+// `sessionSize` counts the people in a shared session, if there is one.
+function BoardMenu({
+  boardName,
+  isDirty,
+  recentBoards,
+  onShowLibrary,
+  onOpen,
+  onSave,
+  onExport,
+  onWalkthrough,
+  onSlides,
+  onAssets,
+  onAppearance,
+  onShare,
+  sessionSize
+}) {
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1000,
+        display: 'flex',
+        gap: '8px',
+        alignItems: 'center',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '8px 12px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <span title={isDirty ? 'Unsaved changes' : 'All changes saved'}>
+        {boardName}
+        {isDirty ? ' •' : ''}
+      </span>
+      <button style={buttonStyle} onClick={onShowLibrary}>
+        Boards
+      </button>
+      <button style={buttonStyle} onClick={() => onOpen()}>
+        Open…
+      </button>
+      <button style={buttonStyle} onClick={() => onSave({ saveAs: false })}>
+        Save
+      </button>
+      <button style={buttonStyle} onClick={() => onSave({ saveAs: true })}>
+        Save As…
+      </button>
+      <button style={buttonStyle} onClick={onExport}>
+        Export…
+      </button>
+      <button style={buttonStyle} onClick={onWalkthrough}>
+        Walkthrough…
+      </button>
+      <button style={buttonStyle} onClick={onAssets}>
+        Assets…
+      </button>
+      <button style={buttonStyle} onClick={onSlides}>
+        Slides…
+      </button>
+      <button style={buttonStyle} onClick={onAppearance}>
+        Appearance…
+      </button>
+      <button
+        style={{
+          ...buttonStyle,
+          background: sessionSize ? 'rgba(78, 205, 196, 0.5)' : buttonStyle.background
+        }}
+        onClick={onShare}
+      >
+        {sessionSize ? `Shared (${sessionSize})` : 'Share…'}
+      </button>
+      <select
+        value=""
+        onChange={(event) => event.target.value && onOpen(event.target.value)}
+        disabled={recentBoards.length === 0}
+        style={{ ...buttonStyle, background: 'rgba(0,0,0,0.5)' }}
+      >
+        <option value="">Recent boards</option>
+        {recentBoards.map((entry) => (
+          <option key={entry.filePath} value={entry.filePath} title={entry.filePath}>
+            {entry.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+BoardMenu.propTypes = {
+  boardName: PropTypes.string.isRequired,
+  isDirty: PropTypes.bool.isRequired,
+  recentBoards: PropTypes.arrayOf(
+    PropTypes.shape({
+      filePath: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  onShowLibrary: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onWalkthrough: PropTypes.func.isRequired,
+  onSlides: PropTypes.func.isRequired,
+  onAssets: PropTypes.func.isRequired,
+  onAppearance: PropTypes.func.isRequired,
+  onShare: PropTypes.func.isRequired,
+  sessionSize: PropTypes.number
+}
+
+export default BoardMenu
@@ -0,0 +1,175 @@
+import { useEffect, useImperativeHandle, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { FLY_DIRECTIONS, HOME_VIEW } from '../lib/camera'
+
+const FOV = 75
+const MIN_DISTANCE = 2
+const MAX_DISTANCE = 200
+// How quickly the camera eases towards its goal each frame
+const SMOOTHING = 0.15
+// World units per second while flying with the keyboard
+const FLY_SPEED = 20
+const ORBIT_SPEED = 0.005
+
+// Field of view and breathing room used when framing a focused image
+const FOCUS_FOV = 50
+const FOCUS_MARGIN = 1.15
+
+// Camera rig with a persistent goal pose (a position looking at a target).
+//
+// Pointer and wheel input go through the imperative API on `controlsRef`:
+// `pan`, `dolly` (towards the cursor), `orbit` and `getView`. A new `view`
+// prop animates the camera there, which is how loading a board, resetting and
+// recalling viewpoints work. Fly commands held down, in `flyKeysRef`, move
+// the rig every frame. When `focus` holds an item transform the camera frames
+// that item head-on instead, and eases back to the goal once focus is cleared.
+function CameraControls({ view, focus, boardRef, controlsRef, flyKeysRef }) {
+  const { camera, gl } = useThree()
+  const rig = useMemo(
+    () => ({
+      position: new THREE.Vector3(...HOME_VIEW.position),
+      target: new THREE.Vector3(...HOME_VIEW.target),
+      quaternion: new THREE.Quaternion(),
+      itemQuaternion: new THREE.Quaternion(),
+      euler: new THREE.Euler(),
+      matrix: new THREE.Matrix4(),
+      vector: new THREE.Vector3(),
+      forward: new THREE.Vector3(),
+      move: new THREE.Vector3(),
+      raycaster: new THREE.Raycaster()
+    }),
+    []
+  )
+
+  useEffect(() => {
+    rig.position.set(...view.position)
+    rig.target.set(...view.target)
+  }, [rig, view])
+
+  useImperativeHandle(
+    controlsRef,
+    () => ({
+      getView: () => ({ position: rig.position.toArray(), target: rig.target.toArray() }),
+
+      // Slide position and target together in the screen plane
+      pan: (deltaX, deltaY) => {
+        const distance = rig.position.distanceTo(rig.target)
+        const worldPerPixel =
+          (2 * distance * Math.tan(THREE.MathUtils.degToRad(FOV / 2))) / gl.domElement.clientHeight
+        rig.move
+          .set(-deltaX * worldPerPixel, deltaY * worldPerPixel, 0)
+          .applyQuaternion(camera.quaternion)
+        rig.position.add(rig.move)
+        rig.target.add(rig.move)
+      },
+
+      // Scale the rig about the point under the cursor, so that point stays put
+      dolly: (deltaY, clientX, clientY) => {
+        const distance = rig.position.distanceTo(rig.target)
+        const ratio = THREE.MathUtils.clamp(
+          Math.exp(deltaY * 0.001),
+          MIN_DISTANCE / distance,
+          MAX_DISTANCE / distance
+        )
+
+        const rect = gl.domElement.getBoundingClientRect()
+        rig.raycaster.setFromCamera(
+          new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+          ),
+          camera
+        )
+        const normal = rig.vector.subVectors(rig.position, rig.target).normalize()
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, rig.target)
+        const anchor =
+          rig.raycaster.ray.intersectPlane(plane, new THREE.Vector3()) ?? rig.target.clone()
+
+        rig.position.sub(anchor).multiplyScalar(ratio).add(anchor)
+        rig.target.sub(anchor).multiplyScalar(ratio).add(anchor)
+      },
+
+      orbit: (deltaX, deltaY) => {
+        const offset = rig.vector.subVectors(rig.position, rig.target)
+        const spherical = new THREE.Spherical().setFromVector3(offset)
+        spherical.theta -= deltaX * ORBIT_SPEED
+        spherical.phi = THREE.MathUtils.clamp(
+          spherical.phi - deltaY * ORBIT_SPEED,
+          0.05,
+          Math.PI - 0.05
+        )
+        rig.position.copy(rig.target).add(offset.setFromSpherical(spherical))
+      }
+    }),
+    [rig, camera, gl]
+  )
+
+  useFrame((_, delta) => {
+    if (focus && boardRef.current) {
+      // Face the plane along its normal, far enough back to fit it on screen
+      boardRef.current.getWorldQuaternion(rig.quaternion)
+      rig.itemQuaternion.setFromEuler(rig.euler.set(...focus.rotation))
+      rig.quaternion.multiply(rig.itemQuaternion)
+
+      const halfFov = THREE.MathUtils.degToRad(FOCUS_FOV / 2)
+      const aspect = gl.domElement.clientWidth / gl.domElement.clientHeight
+      const distance =
+        (Math.max(focus.scale[1], focus.scale[0] / aspect) / 2 / Math.tan(halfFov)) * FOCUS_MARGIN
+
+      boardRef.current.localToWorld(rig.vector.set(...focus.position))
+      rig.vector.addScaledVector(rig.forward.set(0, 0, 1).applyQuaternion(rig.quaternion), distance)
+
+      camera.fov = THREE.MathUtils.lerp(camera.fov, FOCUS_FOV, SMOOTHING)
+      camera.updateProjectionMatrix()
+      camera.position.lerp(rig.vector, SMOOTHING)
+      camera.quaternion.slerp(rig.quaternion, SMOOTHING)
+      return
+    }
+
+    // Fly relative to where the camera is facing
+    const held = flyKeysRef.current
+    if (held.size > 0) {
+      rig.move.set(0, 0, 0)
+      for (const id of held) {
+        const [right, up, forward] = FLY_DIRECTIONS[id]
+        rig.move.x += right
+        rig.move.y += up
+        rig.move.z -= forward
+      }
+      rig.move
+        .normalize()
+        .multiplyScalar(FLY_SPEED * delta)
+        .applyQuaternion(camera.quaternion)
+      rig.position.add(rig.move)
+      rig.target.add(rig.move)
+    }
+
+    camera.fov = THREE.MathUtils.lerp(camera.fov, FOV, SMOOTHING)
+    camera.updateProjectionMatrix()
+    camera.position.lerp(rig.position, SMOOTHING)
+    rig.matrix.lookAt(rig.position, rig.target, camera.up)
+    rig.quaternion.setFromRotationMatrix(rig.matrix)
+    camera.quaternion.slerp(rig.quaternion, SMOOTHING)
+  })
+
+  return null
+}
+
+CameraControls.propTypes = {
+  view: PropTypes.shape({
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    target: PropTypes.arrayOf(PropTypes.number).isRequired
+  }).isRequired,
+  focus: PropTypes.shape({
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    rotation: PropTypes.arrayOf(PropTypes.number).isRequired,
+    scale: PropTypes.arrayOf(PropTypes.number).isRequired
+  }),
+  boardRef: PropTypes.object.isRequired,
+  controlsRef: PropTypes.object.isRequired,
+  flyKeysRef: PropTypes.object.isRequired
+}
+
+export default CameraControls
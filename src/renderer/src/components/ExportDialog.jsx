@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { EXPORT_SIZES } from '../lib/export'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const labelStyle = {
+  display: 'block',
+  marginTop: '12px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+// Options for rendering the board to a PNG or a PDF of saved viewpoints
+function ExportDialog({ viewpointCount, isExporting, onExport, onClose }) {
+  const [format, setFormat] = useState('png')
+  const [sizeId, setSizeId] = useState('4k')
+  const [background, setBackground] = useState('gradient')
+
+  const pageCount = Math.max(viewpointCount, 1)
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex: 1100,
+        width: '300px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.85)',
+        padding: '20px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <h2 style={{ margin: 0, fontSize: '16px' }}>Export board</h2>
+
+      <label style={labelStyle}>Format</label>
+      <select
+        value={format}
+        onChange={(event) => setFormat(event.target.value)}
+        style={{ ...buttonStyle, width: '100%', background: 'rgba(0,0,0,0.5)' }}
+      >
+        <option value="png">PNG image (current view)</option>
+        <option value="pdf">
+          PDF, {pageCount} {pageCount === 1 ? 'page' : 'pages'}
+          {viewpointCount === 0 ? ' (current view)' : ' (one per viewpoint)'}
+        </option>
+      </select>
+
+      <label style={labelStyle}>Resolution</label>
+      <select
+        value={sizeId}
+        onChange={(event) => setSizeId(event.target.value)}
+        style={{ ...buttonStyle, width: '100%', background: 'rgba(0,0,0,0.5)' }}
+      >
+        {EXPORT_SIZES.map((size) => (
+          <option key={size.id} value={size.id}>
+            {size.label}
+          </option>
+        ))}
+      </select>
+
+      <label style={labelStyle}>Background</label>
+      <select
+        value={background}
+        onChange={(event) => setBackground(event.target.value)}
+        style={{ ...buttonStyle, width: '100%', background: 'rgba(0,0,0,0.5)' }}
+      >
+        <option value="gradient">Gradient</option>
+        <option value="transparent">
+          {format === 'pdf' ? 'None (white page)' : 'Transparent'}
+        </option>
+      </select>
+
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '20px' }}>
+        <button style={buttonStyle} onClick={onClose} disabled={isExporting}>
+          Cancel
+        </button>
+        <button
+          style={{ ...buttonStyle, cursor: isExporting ? 'wait' : 'pointer' }}
+          onClick={() => onExport({ format, sizeId, transparent: background === 'transparent' })}
+          disabled={isExporting}
+        >
+          {isExporting ? 'Rendering…' : 'Export…'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+ExportDialog.propTypes = {
+  viewpointCount: PropTypes.number.isRequired,
+  isExporting: PropTypes.bool.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ExportDialog
@@ -0,0 +1,188 @@
+import PropTypes from 'prop-types'
+import { COLOR_LABELS, EMPTY_FILTER, isFilterActive } from '../lib/metadata'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const labelStyle = {
+  marginTop: '12px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const chipStyle = (active) => ({
+  padding: '2px 8px',
+  borderRadius: '10px',
+  border: '1px solid rgba(255, 255, 255, 0.4)',
+  background: active ? 'rgba(78, 205, 196, 0.5)' : 'transparent',
+  color: 'white',
+  fontSize: '12px',
+  cursor: 'pointer'
+})
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((other) => other !== value) : [...list, value]
+
+// Search box plus tag and colour-label facets that slice the board down live
+function FilterPanel({ isOpen, filter, tags, matchCount, totalCount, onToggle, onChange }) {
+  const isActive = isFilterActive(filter)
+  const update = (fields) => onChange({ ...filter, ...fields })
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '20px',
+        right: '40px',
+        zIndex: 1000,
+        width: isOpen ? '260px' : 'auto',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '10px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <button style={buttonStyle} onClick={onToggle} title="Ctrl/Cmd+F">
+          {isOpen ? 'Hide search' : 'Search'}
+        </button>
+        {isActive && (
+          <span style={{ fontSize: '12px', opacity: 0.8 }}>
+            {matchCount} of {totalCount}
+          </span>
+        )}
+        {isActive && (
+          <button
+            style={{ ...buttonStyle, marginLeft: 'auto' }}
+            onClick={() => onChange({ ...EMPTY_FILTER, hideMode: filter.hideMode })}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <>
+          <input
+            autoFocus
+            type="search"
+            value={filter.query}
+            placeholder="Title, notes, tags, source…"
+            onChange={(event) => update({ query: event.target.value })}
+            onKeyDown={(event) => {
+              if (event.key === 'Escape') onToggle()
+            }}
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              marginTop: '10px',
+              padding: '6px 8px',
+              background: 'rgba(0, 0, 0, 0.4)',
+              border: '1px solid rgba(255, 255, 255, 0.3)',
+              borderRadius: '5px',
+              color: 'white'
+            }}
+          />
+
+          <div style={labelStyle}>Color labels</div>
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            {COLOR_LABELS.map(({ id, label, color }) => (
+              <button
+                key={id}
+                title={label}
+                onClick={() => update({ colorLabels: toggle(filter.colorLabels, id) })}
+                style={{
+                  width: '18px',
+                  height: '18px',
+                  padding: 0,
+                  borderRadius: '50%',
+                  background: color,
+                  border: filter.colorLabels.includes(id)
+                    ? '2px solid white'
+                    : '2px solid transparent',
+                  cursor: 'pointer'
+                }}
+              />
+            ))}
+          </div>
+
+          <div style={labelStyle}>Tags</div>
+          {tags.length === 0 ? (
+            <div style={{ opacity: 0.6 }}>No tags yet. Add them in the inspector.</div>
+          ) : (
+            <div
+              style={{
+                display: 'flex',
+                gap: '4px',
+                flexWrap: 'wrap',
+                maxHeight: '160px',
+                overflowY: 'auto'
+              }}
+            >
+              {tags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => update({ tags: toggle(filter.tags, tag) })}
+                  style={chipStyle(filter.tags.includes(tag))}
+                >
+                  {tag} <span style={{ opacity: 0.6 }}>{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div style={labelStyle}>Non-matching images</div>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button
+              onClick={() => update({ hideMode: 'fade' })}
+              style={chipStyle(filter.hideMode === 'fade')}
+            >
+              Fade
+            </button>
+            <button
+              onClick={() => update({ hideMode: 'collapse' })}
+              style={chipStyle(filter.hideMode === 'collapse')}
+            >
+              Collapse
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+FilterPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  filter: PropTypes.shape({
+    query: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    colorLabels: PropTypes.arrayOf(PropTypes.string).isRequired,
+    hideMode: PropTypes.oneOf(['fade', 'collapse']).isRequired
+  }).isRequired,
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      tag: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired
+    })
+  ).isRequired,
+  matchCount: PropTypes.number.isRequired,
+  totalCount: PropTypes.number.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+export default FilterPanel
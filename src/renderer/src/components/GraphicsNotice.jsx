@@ -0,0 +1,59 @@
+import PropTypes from 'prop-types'
+
+const MESSAGES = {
+  lost: 'The graphics driver reset, so the board is shown in 2D. The 3D view comes back by itself once the GPU recovers.',
+  unavailable: "3D graphics aren't available on this computer, so the board is shown in 2D."
+}
+
+// Banner over the 2D fallback explaining why the 3D view is gone.
+// `onRetry` rebuilds the 3D scene from scratch.
+function GraphicsNotice({ status, onRetry }) {
+  return (
+    <div
+      role="status"
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '70px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1000,
+        display: 'flex',
+        gap: '12px',
+        alignItems: 'center',
+        maxWidth: '560px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '8px 12px',
+        borderRadius: '5px',
+        borderLeft: '3px solid #ff6b6b',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <span>{MESSAGES[status]}</span>
+      <button
+        onClick={onRetry}
+        style={{
+          flexShrink: 0,
+          padding: '4px 10px',
+          background: 'rgba(255,255,255,0.2)',
+          border: '1px solid white',
+          color: 'white',
+          borderRadius: '5px',
+          cursor: 'pointer'
+        }}
+      >
+        Try 3D again
+      </button>
+    </div>
+  )
+}
+
+GraphicsNotice.propTypes = {
+  status: PropTypes.oneOf(['lost', 'unavailable']).isRequired,
+  onRetry: PropTypes.func.isRequired
+}
+
+export default GraphicsNotice
@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+// Undo/redo controls and a clickable list of every recorded edit
+function HistoryPanel({ history }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const { entries, index, canUndo, canRedo, undo, redo, jumpTo } = history
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        bottom: '20px',
+        left: '20px',
+        zIndex: 1000,
+        width: '220px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '10px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <button style={buttonStyle} onClick={undo} disabled={!canUndo} title="Ctrl/Cmd+Z">
+          Undo
+        </button>
+        <button style={buttonStyle} onClick={redo} disabled={!canRedo} title="Shift+Ctrl/Cmd+Z">
+          Redo
+        </button>
+        <button
+          style={{ ...buttonStyle, marginLeft: 'auto' }}
+          onClick={() => setIsOpen((prev) => !prev)}
+        >
+          {isOpen ? 'Hide' : 'History'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <ol
+          style={{
+            listStyle: 'none',
+            margin: '8px 0 0',
+            padding: 0,
+            maxHeight: '240px',
+            overflowY: 'auto'
+          }}
+        >
+          {['Opened board', ...entries.map((entry) => entry.label)].map((label, i) => (
+            <li
+              key={i}
+              onClick={() => jumpTo(i)}
+              style={{
+                padding: '3px 6px',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                opacity: i > index ? 0.4 : 1,
+                background: i === index ? 'rgba(78, 205, 196, 0.35)' : 'transparent'
+              }}
+            >
+              {label}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+HistoryPanel.propTypes = {
+  history: PropTypes.shape({
+    entries: PropTypes.arrayOf(PropTypes.shape({ label: PropTypes.string.isRequired })).isRequired,
+    index: PropTypes.number.isRequired,
+    canUndo: PropTypes.bool.isRequired,
+    canRedo: PropTypes.bool.isRequired,
+    undo: PropTypes.func.isRequired,
+    redo: PropTypes.func.isRequired,
+    jumpTo: PropTypes.func.isRequired
+  }).isRequired
+}
+
+export default HistoryPanel
@@ -0,0 +1,305 @@
+import PropTypes from 'prop-types'
+import { NOTE_COLORS } from '../lib/board'
+import { COLOR_LABELS, parseTags } from '../lib/metadata'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const fieldStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  background: 'rgba(0, 0, 0, 0.4)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '5px',
+  color: 'white',
+  fontFamily: 'inherit',
+  fontSize: '13px'
+}
+
+const labelStyle = {
+  marginTop: '12px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const swatchButtonStyle = (color, active) => ({
+  width: '20px',
+  height: '20px',
+  padding: 0,
+  borderRadius: '50%',
+  background: color,
+  border: active ? '2px solid white' : '2px solid transparent',
+  cursor: 'pointer'
+})
+
+// Enter commits a single-line field the same way leaving it does
+const blurOnEnter = (event) => {
+  if (event.key === 'Enter') event.currentTarget.blur()
+}
+
+// '#ABC123', 'abc123' -> '#abc123'; anything else -> null
+const parseHex = (text) => {
+  const hex = text.trim().replace(/^#?/, '#').toLowerCase()
+  return /^#[0-9a-f]{6}$/.test(hex) ? hex : null
+}
+
+// Side panel describing the focused item, with previous/next stepping.
+//
+// Metadata is edited in place. Text fields commit when they lose focus, so
+// each edit is one undo step; they're keyed by their saved value so undo and
+// redo show up in them. `onChange(fields, label)` applies an edit.
+function InspectorPanel({
+  item,
+  position,
+  total,
+  boardTags,
+  onPrevious,
+  onNext,
+  onClose,
+  onChange
+}) {
+  const tags = item.tags ?? []
+  // Boards from before sources were editable only have the import path
+  const source = item.source ?? item.path ?? ''
+
+  const commitText =
+    (field, label, current = item[field] ?? '') =>
+    (event) => {
+      const value = event.target.value.trim()
+      if (value !== current) onChange({ [field]: value }, label)
+    }
+
+  const addTags = (event) => {
+    const added = parseTags(event.target.value).filter((tag) => !tags.includes(tag))
+    event.target.value = ''
+    if (added.length > 0) onChange({ tags: [...tags, ...added] }, 'Tag image')
+  }
+
+  return (
+    <aside
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: '300px',
+        zIndex: 1001,
+        boxSizing: 'border-box',
+        padding: '20px',
+        overflowY: 'auto',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.75)',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <button style={buttonStyle} onClick={onPrevious} title="Previous (←)">
+          ‹
+        </button>
+        <span style={{ fontSize: '12px', opacity: 0.7 }}>
+          {position + 1} / {total}
+        </span>
+        <button style={buttonStyle} onClick={onNext} title="Next (→)">
+          ›
+        </button>
+        <button style={{ ...buttonStyle, marginLeft: 'auto' }} onClick={onClose} title="Esc">
+          Close
+        </button>
+      </div>
+
+      <div style={labelStyle}>Title</div>
+      <input
+        key={item.title ?? ''}
+        defaultValue={item.title ?? ''}
+        placeholder={item.name || `Untitled ${item.type ?? 'image'}`}
+        onBlur={commitText('title', 'Rename image')}
+        onKeyDown={blurOnEnter}
+        style={{ ...fieldStyle, fontSize: '16px', fontWeight: 'bold' }}
+      />
+
+      {item.type === 'note' && (
+        <>
+          <div style={labelStyle}>Text</div>
+          <textarea
+            key={item.text ?? ''}
+            defaultValue={item.text ?? ''}
+            placeholder="Write on the note"
+            rows={5}
+            onBlur={commitText('text', 'Edit note')}
+            style={{ ...fieldStyle, resize: 'vertical' }}
+          />
+
+          <div style={labelStyle}>Paper</div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            {NOTE_COLORS.map((color) => (
+              <button
+                key={color}
+                title={color}
+                onClick={() => color !== item.color && onChange({ color }, 'Change note color')}
+                style={swatchButtonStyle(color, item.color === color)}
+              />
+            ))}
+          </div>
+        </>
+      )}
+
+      {item.type === 'swatch' && (
+        <>
+          <div style={labelStyle}>Color</div>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <span
+              style={{ width: '30px', height: '30px', borderRadius: '5px', background: item.color }}
+            />
+            <input
+              key={item.color}
+              defaultValue={item.color}
+              placeholder="#rrggbb"
+              onBlur={(event) => {
+                const color = parseHex(event.target.value)
+                if (!color) event.target.value = item.color
+                else if (color !== item.color) onChange({ color }, 'Change swatch color')
+              }}
+              onKeyDown={blurOnEnter}
+              style={{ ...fieldStyle, fontFamily: 'monospace' }}
+            />
+          </div>
+        </>
+      )}
+
+      <div style={labelStyle}>Color label</div>
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        {COLOR_LABELS.map(({ id, label, color }) => (
+          <button
+            key={id}
+            title={label}
+            onClick={() =>
+              onChange({ colorLabel: item.colorLabel === id ? null : id }, 'Set color label')
+            }
+            style={swatchButtonStyle(color, item.colorLabel === id)}
+          />
+        ))}
+      </div>
+
+      <div style={labelStyle}>Tags</div>
+      <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        {tags.map((tag) => (
+          <span
+            key={tag}
+            style={{
+              padding: '2px 4px 2px 8px',
+              borderRadius: '10px',
+              background: 'rgba(78, 205, 196, 0.35)',
+              fontSize: '12px'
+            }}
+          >
+            {tag}
+            <button
+              title={`Remove ${tag}`}
+              onClick={() =>
+                onChange({ tags: tags.filter((other) => other !== tag) }, 'Untag image')
+              }
+              style={{
+                marginLeft: '2px',
+                padding: '0 4px',
+                background: 'none',
+                border: 'none',
+                color: 'white',
+                cursor: 'pointer'
+              }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <input
+        list="inspector-board-tags"
+        placeholder="Add tags, comma separated"
+        onBlur={addTags}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter') addTags(event)
+        }}
+        style={fieldStyle}
+      />
+      <datalist id="inspector-board-tags">
+        {boardTags
+          .filter((tag) => !tags.includes(tag))
+          .map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+      </datalist>
+
+      <div style={labelStyle}>Notes</div>
+      <textarea
+        key={item.notes ?? ''}
+        defaultValue={item.notes ?? ''}
+        placeholder="Add notes"
+        rows={5}
+        onBlur={commitText('notes', 'Edit notes')}
+        style={{ ...fieldStyle, resize: 'vertical' }}
+      />
+
+      {/* Notes, swatches and frames have no file behind them */}
+      {(item.type ?? 'image') === 'image' && (
+        <>
+          <div style={labelStyle}>Source</div>
+          <input
+            key={source}
+            defaultValue={source}
+            placeholder="Where this image came from"
+            onBlur={commitText('source', 'Edit source', source)}
+            onKeyDown={blurOnEnter}
+            style={fieldStyle}
+          />
+
+          <div style={labelStyle}>Dimensions</div>
+          <div>{item.width && item.height ? `${item.width} × ${item.height} px` : 'Unknown'}</div>
+
+          <div style={labelStyle}>File</div>
+          <div style={{ wordBreak: 'break-all', fontSize: '12px' }}>
+            {item.name || 'Pasted image'}
+          </div>
+        </>
+      )}
+    </aside>
+  )
+}
+
+InspectorPanel.propTypes = {
+  item: PropTypes.shape({
+    type: PropTypes.oneOf(['image', 'note', 'swatch', 'frame']),
+    name: PropTypes.string,
+    path: PropTypes.string,
+    width: PropTypes.number,
+    height: PropTypes.number,
+    title: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    notes: PropTypes.string,
+    colorLabel: PropTypes.string,
+    source: PropTypes.string,
+    text: PropTypes.string,
+    color: PropTypes.string
+  }).isRequired,
+  position: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  boardTags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onPrevious: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+export default InspectorPanel
@@ -0,0 +1,334 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { atlasCapacity, createAtlasLayer, createAtlasSet } from '../lib/atlas'
+import { ATLAS_TIER, lodTier, lodUrl } from '../lib/lod'
+import { FADED_OPACITY } from '../lib/metadata'
+import { applyFloat, floatMotion } from '../lib/motion'
+
+const CAPACITY = atlasCapacity(ATLAS_TIER)
+const EASING = 0.1
+// Frames between deciding which images get their own sharper plane
+const LOD_INTERVAL = 15
+// Slack around each image's bounds for the float animation, in world units
+const CULL_MARGIN = 1
+
+// Scratch objects, reused every frame instead of allocating
+const frustum = new THREE.Frustum()
+const viewProjection = new THREE.Matrix4()
+const bounds = new THREE.Sphere()
+const scratch = new THREE.Vector3()
+const pose = new THREE.Object3D()
+
+const textureLoader = new THREE.TextureLoader()
+
+const sameTiers = (a, b) => a.size === b.size && [...a].every(([id, size]) => b.get(id) === size)
+
+// A close-up image on its own plane, with a thumbnail sharp enough for its
+// size on screen. It registers its mesh through `onMesh` once the texture is
+// in, and until then the image keeps drawing from the atlas.
+function NearPlane({ item, size, tint, onMesh, handlers }) {
+  const [texture, setTexture] = useState(null)
+  const url = lodUrl(item, size)
+
+  useEffect(() => {
+    let active = true
+    textureLoader.load(url, (loaded) => {
+      if (!active) {
+        loaded.dispose()
+        return
+      }
+      loaded.colorSpace = THREE.SRGBColorSpace
+      setTexture(loaded)
+    })
+    return () => {
+      active = false
+    }
+  }, [url])
+
+  // Each texture goes once it's replaced or the plane unmounts
+  useEffect(() => () => texture?.dispose(), [texture])
+
+  if (!texture) return null
+  return (
+    <mesh ref={(mesh) => onMesh(item.id, mesh)} visible={false} {...handlers}>
+      <planeGeometry args={[1, 1]} />
+      <meshBasicMaterial map={texture} color={tint} transparent toneMapped={false} />
+    </mesh>
+  )
+}
+
+NearPlane.propTypes = {
+  item: PropTypes.object.isRequired,
+  size: PropTypes.number.isRequired,
+  tint: PropTypes.string.isRequired,
+  onMesh: PropTypes.func.isRequired,
+  handlers: PropTypes.object.isRequired
+}
+
+// Performance mode renderer for image items. One useFrame drives every
+// image: off-screen ones are culled and skip their animation, distant ones
+// are instances of a few atlas-textured meshes, and close ones get their own
+// plane with a sharper thumbnail (see lib/lod.js).
+//
+// `items` holds `{ item, index }` for each image; those in `hiddenIds` are
+// drawn elsewhere (selected and focused images, which need the full plane).
+// Counts of instanced, near and culled images go to `statsRef`. `look` carries
+// the board's appearance settings (float intensity, opacity and light tint).
+function InstancedImages({
+  items,
+  hiddenIds,
+  matchingIds = null,
+  hideMode = 'fade',
+  boardRef,
+  scroll = null,
+  holdScroll = false,
+  statsRef,
+  look,
+  manipulation,
+  onFocusItem
+}) {
+  const { camera, size } = useThree()
+  const atlasSet = useMemo(() => createAtlasSet(ATLAS_TIER), [])
+  const [atlasCount, setAtlasCount] = useState(0)
+  const [nearTiers, setNearTiers] = useState(() => new Map())
+  const nearTiersRef = useRef(nearTiers)
+  nearTiersRef.current = nearTiers
+
+  // Resting transform and float of each image, by id
+  const restsRef = useRef(new Map())
+  const meshesRef = useRef([])
+  // Which image each instance slot shows, per atlas, for picking
+  const slotIdsRef = useRef([])
+  const nearMeshesRef = useRef(new Map())
+  const frameRef = useRef(0)
+
+  useEffect(() => () => atlasSet.dispose(), [atlasSet])
+
+  // Images keep their cell while drawn elsewhere, so selecting one doesn't
+  // reload it
+  useEffect(() => {
+    atlasSet.sync(items.map(({ item }) => [item.id, lodUrl(item, ATLAS_TIER)]))
+    setAtlasCount(atlasSet.atlases.length)
+    const ids = new Set(items.map(({ item }) => item.id))
+    for (const id of restsRef.current.keys()) {
+      if (!ids.has(id)) restsRef.current.delete(id)
+    }
+  }, [atlasSet, items])
+
+  const layers = useMemo(
+    () => atlasSet.atlases.slice(0, atlasCount).map((atlas) => createAtlasLayer(atlas, CAPACITY)),
+    [atlasSet, atlasCount]
+  )
+
+  useEffect(() => {
+    layers.forEach(({ material }) => material.uniforms.tint.value.set(look.tint))
+  }, [layers, look.tint])
+
+  useEffect(
+    () => () =>
+      layers.forEach(({ geometry, material }) => {
+        geometry.dispose()
+        material.dispose()
+      }),
+    [layers]
+  )
+
+  const handleNearMesh = (id, mesh) => {
+    if (mesh) nearMeshesRef.current.set(id, mesh)
+    else nearMeshesRef.current.delete(id)
+  }
+
+  useFrame((state) => {
+    const board = boardRef.current
+    if (!board) return
+    const time = state.clock.elapsedTime
+    const scrollOffset = holdScroll ? 0 : (scroll?.offset ?? 0)
+    // Screen pixels per world unit at distance 1
+    const pixelsPerUnit = size.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2))
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    frustum.setFromProjectionMatrix(viewProjection)
+
+    const counts = layers.map(() => 0)
+    const wantedTiers = new Map()
+    const shownNear = new Set()
+    let culled = 0
+
+    for (const { item, index } of items) {
+      let rest = restsRef.current.get(item.id)
+      if (!rest) {
+        rest = {
+          position: new THREE.Vector3(...item.position),
+          rotation: new THREE.Vector3(...item.rotation),
+          scale: new THREE.Vector3(...item.scale),
+          motion: floatMotion(item.id)
+        }
+        restsRef.current.set(item.id, rest)
+      }
+
+      const filtered = matchingIds && !matchingIds.has(item.id) ? hideMode : null
+      bounds.center.set(...item.position).applyMatrix4(board.matrixWorld)
+      bounds.radius = Math.hypot(item.scale[0], item.scale[1]) / 2 + CULL_MARGIN
+      if (hiddenIds.has(item.id) || filtered === 'collapse' || !frustum.intersectsSphere(bounds)) {
+        // Nothing to animate where nobody sees it: settle at rest
+        rest.position.set(...item.position)
+        rest.rotation.set(...item.rotation)
+        rest.scale.set(...item.scale)
+        if (!hiddenIds.has(item.id)) culled++
+        continue
+      }
+
+      rest.position.lerp(scratch.set(...item.position), EASING)
+      rest.rotation.lerp(scratch.set(...item.rotation), EASING)
+      rest.scale.lerp(scratch.set(...item.scale), EASING)
+      applyFloat(pose, rest, rest.motion, {
+        time,
+        index,
+        scrollOffset,
+        intensity: look.motion
+      })
+      pose.scale.copy(rest.scale)
+      const opacity = look.opacity * (filtered === 'fade' ? FADED_OPACITY : 1)
+
+      const distance = camera.position.distanceTo(
+        scratch.copy(pose.position).applyMatrix4(board.matrixWorld)
+      )
+      const pixels = (rest.scale.y / distance) * pixelsPerUnit
+      const tier = lodTier(pixels, nearTiersRef.current.get(item.id))
+      if (tier) wantedTiers.set(item.id, tier)
+
+      const near = tier && nearMeshesRef.current.get(item.id)
+      if (near) {
+        near.position.copy(pose.position)
+        near.rotation.copy(pose.rotation)
+        near.scale.copy(pose.scale)
+        near.material.opacity = opacity
+        near.visible = true
+        shownNear.add(item.id)
+        continue
+      }
+
+      const placement = atlasSet.placementOf(item.id)
+      const mesh = placement && meshesRef.current[placement.atlas]
+      if (!mesh) continue
+      const slot = counts[placement.atlas]++
+      pose.updateMatrix()
+      mesh.setMatrixAt(slot, pose.matrix)
+      mesh.geometry.attributes.uvRect.setXYZW(slot, ...placement.rect)
+      mesh.geometry.attributes.instanceOpacity.setX(slot, opacity)
+      slotIdsRef.current[placement.atlas][slot] = item.id
+    }
+
+    for (const [id, mesh] of nearMeshesRef.current) {
+      if (!shownNear.has(id)) mesh.visible = false
+    }
+
+    meshesRef.current.forEach((mesh, atlas) => {
+      if (!mesh) return
+      mesh.count = counts[atlas]
+      slotIdsRef.current[atlas].length = counts[atlas]
+      mesh.instanceMatrix.needsUpdate = true
+      mesh.geometry.attributes.uvRect.needsUpdate = true
+      mesh.geometry.attributes.instanceOpacity.needsUpdate = true
+      // Picking recomputes the bounds from the instances as they are now
+      mesh.boundingSphere = null
+    })
+    atlasSet.flush(time)
+
+    if (frameRef.current++ % LOD_INTERVAL === 0 && !sameTiers(wantedTiers, nearTiersRef.current)) {
+      setNearTiers(wantedTiers)
+    }
+    statsRef.current = {
+      instanced: counts.reduce((sum, count) => sum + count, 0),
+      near: shownNear.size,
+      culled
+    }
+  })
+
+  const handlersFor = (id) => ({
+    onPointerDown: (event) => manipulation.handleItemPointerDown(event, id),
+    onPointerMove: manipulation.handlePointerMove,
+    onPointerUp: manipulation.handlePointerUp,
+    onDoubleClick: (event) => {
+      event.stopPropagation()
+      onFocusItem(id)
+    }
+  })
+
+  // Instance events carry the slot; find the image drawn in it
+  const withInstance = (atlas, handle) => (event) => {
+    const id = slotIdsRef.current[atlas]?.[event.instanceId]
+    if (id) handle(event, id)
+  }
+
+  return (
+    <>
+      {layers.map(({ geometry, material }, atlas) => (
+        <instancedMesh
+          key={atlas}
+          ref={(mesh) => {
+            meshesRef.current[atlas] = mesh
+            slotIdsRef.current[atlas] ??= []
+          }}
+          args={[geometry, material, CAPACITY]}
+          frustumCulled={false}
+          onPointerDown={withInstance(atlas, (event, id) =>
+            manipulation.handleItemPointerDown(event, id)
+          )}
+          onPointerMove={manipulation.handlePointerMove}
+          onPointerUp={manipulation.handlePointerUp}
+          onDoubleClick={withInstance(atlas, (event, id) => {
+            event.stopPropagation()
+            onFocusItem(id)
+          })}
+        />
+      ))}
+      {[...nearTiers].map(([id, tierSize]) => {
+        const entry = items.find(({ item }) => item.id === id)
+        return (
+          entry &&
+          !hiddenIds.has(id) && (
+            <NearPlane
+              key={id}
+              item={entry.item}
+              size={tierSize}
+              tint={look.tint}
+              onMesh={handleNearMesh}
+              handlers={handlersFor(id)}
+            />
+          )
+        )
+      })}
+    </>
+  )
+}
+
+InstancedImages.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      item: PropTypes.object.isRequired,
+      index: PropTypes.number.isRequired
+    })
+  ).isRequired,
+  hiddenIds: PropTypes.instanceOf(Set).isRequired,
+  matchingIds: PropTypes.instanceOf(Set),
+  hideMode: PropTypes.oneOf(['fade', 'collapse']),
+  boardRef: PropTypes.object.isRequired,
+  scroll: PropTypes.object,
+  holdScroll: PropTypes.bool,
+  statsRef: PropTypes.object.isRequired,
+  look: PropTypes.shape({
+    motion: PropTypes.number.isRequired,
+    opacity: PropTypes.number.isRequired,
+    tint: PropTypes.string.isRequired
+  }).isRequired,
+  manipulation: PropTypes.shape({
+    handleItemPointerDown: PropTypes.func.isRequired,
+    handlePointerMove: PropTypes.func.isRequired,
+    handlePointerUp: PropTypes.func.isRequired
+  }).isRequired,
+  onFocusItem: PropTypes.func.isRequired
+}
+
+export default InstancedImages
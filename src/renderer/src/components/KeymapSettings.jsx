@@ -0,0 +1,215 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  COMMANDS,
+  MENU_SECTIONS,
+  canShareChord,
+  chordFromEvent,
+  formatChord,
+  getCommand,
+  resolveKeymap
+} from '../lib/keymap'
+
+const buttonStyle = {
+  padding: '2px 8px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const labelStyle = {
+  marginTop: '16px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const chipStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  padding: '1px 2px 1px 8px',
+  borderRadius: '10px',
+  background: 'rgba(78, 205, 196, 0.35)',
+  fontSize: '12px'
+}
+
+const GROUPS = [...MENU_SECTIONS, 'Navigation', 'Focus', 'Presentation']
+const CONTEXT_GROUPS = { focus: 'Focus', present: 'Presentation' }
+const groupOf = (command) =>
+  command.menu ?? command.group ?? CONTEXT_GROUPS[command.when] ?? 'Navigation'
+
+// Overrides only hold commands that differ from their defaults
+const withKeys = (overrides, id, keys) => {
+  const rest = { ...overrides }
+  delete rest[id]
+  const defaults = getCommand(id).keys
+  const isDefault = keys.length === defaults.length && keys.every((key, i) => key === defaults[i])
+  return isDefault ? rest : { ...rest, [id]: keys }
+}
+
+// Lists every command with its shortcuts. "+" records the next key pressed;
+// a chord already used by a command that can be active at the same time is
+// moved over rather than left to clash. `onChange(overrides)` saves.
+function KeymapSettings({ overrides, onChange, onClose }) {
+  const [recordingId, setRecordingId] = useState(null)
+  const [notice, setNotice] = useState('')
+  const keymap = resolveKeymap(overrides)
+
+  useEffect(() => {
+    if (!recordingId) return undefined
+    // Capture ahead of the board's own shortcuts, and swallow the key
+    const handleKeyDown = (event) => {
+      event.preventDefault()
+      event.stopPropagation()
+      if (event.key === 'Escape' && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
+        setRecordingId(null)
+        return
+      }
+      const chord = chordFromEvent(event)
+      if (!chord) return
+
+      const command = getCommand(recordingId)
+      let next = overrides
+      const moved = COMMANDS.filter(
+        (other) =>
+          other.id !== command.id &&
+          keymap[other.id].includes(chord) &&
+          !canShareChord(command, other)
+      )
+      for (const other of moved) {
+        next = withKeys(
+          next,
+          other.id,
+          keymap[other.id].filter((key) => key !== chord)
+        )
+      }
+      if (!keymap[command.id].includes(chord)) {
+        next = withKeys(next, command.id, [...keymap[command.id], chord])
+      }
+      setNotice(
+        moved.length > 0
+          ? `${formatChord(chord)} was moved from ${moved.map((other) => other.label).join(', ')}`
+          : ''
+      )
+      setRecordingId(null)
+      onChange(next)
+    }
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [recordingId, overrides, keymap, onChange])
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex: 1100,
+        width: '460px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.85)',
+        padding: '20px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <h2 style={{ margin: 0, fontSize: '16px' }}>Keyboard shortcuts</h2>
+        <button
+          style={{ ...buttonStyle, marginLeft: 'auto' }}
+          onClick={() => {
+            setNotice('')
+            onChange({})
+          }}
+          disabled={Object.keys(overrides).length === 0}
+        >
+          Reset all
+        </button>
+        <button style={buttonStyle} onClick={onClose}>
+          Done
+        </button>
+      </div>
+      {notice && <div style={{ marginTop: '10px', color: '#4ecdc4' }}>{notice}</div>}
+
+      {GROUPS.map((group) => (
+        <div key={group}>
+          <div style={labelStyle}>{group}</div>
+          {COMMANDS.filter((command) => groupOf(command) === group).map((command) => (
+            <div
+              key={command.id}
+              style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '3px 0' }}
+            >
+              <span style={{ flex: 1 }}>{command.label}</span>
+              {keymap[command.id].map((chord) => (
+                <span key={chord} style={chipStyle}>
+                  {formatChord(chord)}
+                  <button
+                    title={`Remove ${formatChord(chord)}`}
+                    onClick={() =>
+                      onChange(
+                        withKeys(
+                          overrides,
+                          command.id,
+                          keymap[command.id].filter((key) => key !== chord)
+                        )
+                      )
+                    }
+                    style={{
+                      padding: '0 4px',
+                      background: 'none',
+                      border: 'none',
+                      color: 'white',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              {recordingId === command.id ? (
+                <span style={{ ...chipStyle, padding: '1px 8px', background: 'transparent' }}>
+                  Press keys… (Esc cancels)
+                </span>
+              ) : (
+                <button
+                  style={buttonStyle}
+                  title="Add a shortcut"
+                  onClick={() => setRecordingId(command.id)}
+                >
+                  +
+                </button>
+              )}
+              {overrides[command.id] && (
+                <button
+                  style={buttonStyle}
+                  title="Restore the default shortcuts"
+                  onClick={() => onChange(withKeys(overrides, command.id, command.keys))}
+                >
+                  Reset
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+KeymapSettings.propTypes = {
+  overrides: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default KeymapSettings
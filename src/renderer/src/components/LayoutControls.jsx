@@ -0,0 +1,76 @@
+import PropTypes from 'prop-types'
+import { LAYOUTS } from '../layouts'
+
+const controlStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+// Layout picker plus the 3D / 2D view toggle. Without working 3D graphics
+// (`is3dAvailable` false) the board is held in 2D.
+function LayoutControls({
+  layoutId,
+  viewMode,
+  is3dAvailable = true,
+  onLayoutChange,
+  onViewModeChange
+}) {
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        bottom: '20px',
+        right: '20px',
+        zIndex: 1000,
+        display: 'flex',
+        gap: '8px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '8px 12px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <label style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        Layout
+        <select
+          value={layoutId}
+          onChange={(event) => onLayoutChange(event.target.value)}
+          disabled={viewMode !== '3d'}
+          style={{ ...controlStyle, background: 'rgba(0,0,0,0.5)' }}
+        >
+          {LAYOUTS.map((layout) => (
+            <option key={layout.id} value={layout.id}>
+              {layout.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        style={controlStyle}
+        onClick={() => onViewModeChange(viewMode === '3d' ? '2d' : '3d')}
+        disabled={!is3dAvailable}
+        title={is3dAvailable ? undefined : '3D graphics are unavailable'}
+      >
+        {viewMode === '3d' ? '2D view' : '3D view'}
+      </button>
+    </div>
+  )
+}
+
+LayoutControls.propTypes = {
+  layoutId: PropTypes.string.isRequired,
+  viewMode: PropTypes.oneOf(['3d', '2d']).isRequired,
+  is3dAvailable: PropTypes.bool,
+  onLayoutChange: PropTypes.func.isRequired,
+  onViewModeChange: PropTypes.func.isRequired
+}
+
+export default LayoutControls
@@ -0,0 +1,93 @@
+import PropTypes from 'prop-types'
+import Masonry from 'react-masonry-css'
+import { getColorLabel } from '../lib/metadata'
+
+const BREAKPOINT_COLUMNS = { default: 5, 1600: 4, 1200: 3, 800: 2, 500: 1 }
+
+// Notes and swatches as plain HTML tiles; everything else is an image
+const renderTile = (item, caption) => {
+  if (item.type === 'note') {
+    return (
+      <div className="masonry-note" style={{ background: item.color }}>
+        {item.text || <span style={{ opacity: 0.4 }}>Empty note</span>}
+      </div>
+    )
+  }
+  if (item.type === 'swatch') {
+    return (
+      <div className="masonry-swatch" style={{ background: item.color }}>
+        <span>{item.color.toUpperCase()}</span>
+      </div>
+    )
+  }
+  return <img src={item.thumbnailUrl ?? item.url} alt={caption || ''} draggable={false} />
+}
+
+// Flat 2D view of the board's items in responsive masonry columns. Frames
+// only mean something in space, so they're left out. Double-clicking an item
+// opens it in the inspector through `onOpen`.
+function MasonryView({ items, selectedIds, onSelect, onOpen }) {
+  return (
+    <div className="masonry-view" onMouseDown={(event) => event.stopPropagation()}>
+      <Masonry
+        breakpointCols={BREAKPOINT_COLUMNS}
+        className="masonry-grid"
+        columnClassName="masonry-grid-column"
+      >
+        {items
+          .filter((item) => item.type !== 'frame')
+          .map((item, index) => {
+            const caption = item.title || item.name
+            const colorLabel = getColorLabel(item.colorLabel)
+            return (
+              <figure
+                key={item.id ?? index}
+                className={`masonry-item${selectedIds.includes(item.id) ? ' selected' : ''}`}
+                onClick={(event) => item.id && onSelect(item.id, event.shiftKey)}
+                onDoubleClick={() => item.id && onOpen(item.id)}
+              >
+                {renderTile(item, caption)}
+                {(caption || colorLabel) && (
+                  <figcaption>
+                    {colorLabel && (
+                      <span
+                        className="masonry-label"
+                        title={colorLabel.label}
+                        style={{ background: colorLabel.color }}
+                      />
+                    )}
+                    {caption}
+                  </figcaption>
+                )}
+                {item.tags?.length > 0 && (
+                  <div className="masonry-tags">{item.tags.join(', ')}</div>
+                )}
+              </figure>
+            )
+          })}
+      </Masonry>
+    </div>
+  )
+}
+
+MasonryView.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      type: PropTypes.string,
+      url: PropTypes.string,
+      thumbnailUrl: PropTypes.string,
+      name: PropTypes.string,
+      title: PropTypes.string,
+      colorLabel: PropTypes.string,
+      tags: PropTypes.arrayOf(PropTypes.string),
+      text: PropTypes.string,
+      color: PropTypes.string
+    })
+  ).isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired
+}
+
+export default MasonryView
@@ -1,35 +1,111 @@
-import { useRef, useState, useEffect, useCallback, useMemo } from 'react';
+import { Suspense, useRef, useState, useEffect, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { Image, ScrollControls, Scroll, useScroll } from '@react-three/drei';
+import { Canvas, useFrame } from '@react-three/fiber';
+import { Image, Line, ScrollControls, Scroll, useProgress, useScroll } from '@react-three/drei';
 import * as THREE from 'three';
+import WebGL from 'three/examples/jsm/capabilities/WebGL.js';
+import BoardMenu from './BoardMenu';
+import BoardLibrary from './BoardLibrary';
+import SelectionGizmo from './SelectionGizmo';
+import HistoryPanel from './HistoryPanel';
+import LayoutControls from './LayoutControls';
+import MasonryView from './MasonryView';
+import InspectorPanel from './InspectorPanel';
+import FilterPanel from './FilterPanel';
+import CameraControls from './CameraControls';
+import ViewpointMenu from './ViewpointMenu';
+import ExportDialog from './ExportDialog';
+import SceneExporter from './SceneExporter';
+import WalkthroughDialog from './WalkthroughDialog';
+import PaletteStrip from './PaletteStrip';
+import InstancedImages from './InstancedImages';
+import StatsOverlay from './StatsOverlay';
+import StatsProbe from './StatsProbe';
+import KeymapSettings from './KeymapSettings';
+import UrlImportDialog from './UrlImportDialog';
+import AppearancePanel from './AppearancePanel';
+import SceneBackground from './SceneBackground';
+import SceneBoundary from './SceneBoundary';
+import GraphicsNotice from './GraphicsNotice';
+import AssetManager from './AssetManager';
+import SessionPanel from './SessionPanel';
+import SlidesPanel from './SlidesPanel';
+import PresentationOverlay from './PresentationOverlay';
+import PeerPresence from './PeerPresence';
+import PresenceReporter from './PresenceReporter';
+import { DEFAULT_LAYOUT, getLayout, LAYOUTS } from '../layouts';
+import { fitScale, flat } from '../layouts/utils';
+import useItemManipulation from '../hooks/useItemManipulation';
+import useHistory from '../hooks/useHistory';
+import usePreferences from '../hooks/usePreferences';
+import usePrefersReducedMotion from '../hooks/usePrefersReducedMotion';
+import useCollaboration from '../hooks/useCollaboration';
+import { addItemsCommand, batchCommand, removeItemsCommand, updateItemsCommand } from '../lib/commands';
+import { HOME_VIEW, viewFromCamera } from '../lib/camera';
+import { buildHelpLines, buildMenuSections, chordFromEvent, findCommand, formatChords, resolveKeymap } from '../lib/keymap';
+import { encodeCanvas, flattenCanvas, getExportSize } from '../lib/export';
+import { createWalkthroughPath, getVideoSize, WALKTHROUGH_DEFAULTS } from '../lib/walkthrough';
+import { createVideoEncoder } from '../lib/video';
+import { aggregatePalette, extractPalette, PALETTE_FORMATS } from '../lib/palette';
+import { countTags, EMPTY_FILTER, FADED_OPACITY, isFilterActive, matchesFilter } from '../lib/metadata';
+import {
+  boardNameFromPath,
+  createFrameItem,
+  createImageItem,
+  createItemId,
+  createNoteItem,
+  createSwatchItem,
+  relinkImage,
+  serializeBoard,
+  withBackgroundAsset,
+  withSavedAssets
+} from '../lib/board';
+import { arrangeItems, frameAround, frameMembershipChanges, isFrame } from '../lib/frames';
+import { drawLabel, drawNote, drawSwatch, generatePlaceholderImage } from '../lib/drawing';
+import { withNaturalSizes } from '../lib/images';
+import { applyFloat, floatMotion } from '../lib/motion';
+import { isPerformanceMode } from '../lib/lod';
+import { getLightPreset, motionScale, resolveAppearance } from '../lib/appearance';
+import { createSlide, moveSlide, notesState } from '../lib/slides';
+import { buildTemplate, getTemplate, instantiateTemplate } from '../lib/templates';
+import { findDuplicateGroups, findDuplicatesOf, perceptualHash } from '../lib/duplicates';
+import { describeError } from '../lib/errors';
 
-// Generate placeholder images using canvas (works offline and with CSP)
-const generatePlaceholderImage = (width, height, color, text) => {
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext('2d');
-  
-  // Create gradient background
-  const gradient = ctx.createLinearGradient(0, 0, width, height);
-  gradient.addColorStop(0, color);
-  gradient.addColorStop(1, `${color}88`);
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, width, height);
-  
-  // Add text
-  ctx.fillStyle = 'white';
-  ctx.font = `${Math.min(width, height) / 8}px Arial`;
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(text, width / 2, height / 2);
-  
-  return canvas.toDataURL();
-};
+// Autosave this long after the last edit
+const AUTOSAVE_DELAY = 2000;
+
+// History labels for finished drags, by manipulation mode
+const TRANSFORM_LABELS = { move: 'Move', rotate: 'Rotate', scale: 'Scale' };
+
+// Pixels the view pans per arrow key press
+const ARROW_PAN_STEP = 60;
+
+// World size of new notes and swatches, and the defaults for new frames
+const ANNOTATION_SIZE = 4;
+const DEFAULT_SWATCH_COLOR = '#4ecdc4';
+const FRAME_PADDING = 1;
+const FRAME_SIZE = [12, 8, 1];
+const FRAME_COLOR = '#4ecdc4';
+const FRAME_FILL_OPACITY = 0.08;
+// World height of a frame's title tab
+const FRAME_LABEL_HEIGHT = 0.8;
 
-// Create diverse placeholder images
-const imagePaths = [
+// Keyboard events aimed at form fields belong to the field, not the board
+const isTextInput = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+const pluralize = (count, noun) => `${count} ${count === 1 ? noun : `${noun}s`}`;
+
+// Command line jobs run in a hidden window loading this page, marked by its
+// hash (see main/cli.js)
+const isBatchWindow = window.location.hash === '#batch';
+// A batch render waits for the scene to load nothing for this long
+const BATCH_SETTLE_TIME = 500;
+const BATCH_TIMEOUT = 120000;
+
+// Placeholder swatches shown while a board has no imported images yet
+const placeholderImages = [
   generatePlaceholderImage(300, 200, '#FF6B6B', 'Design 1'),
   generatePlaceholderImage(250, 300, '#4ECDC4', 'Art 2'),
   generatePlaceholderImage(280, 220, '#45B7D1', 'Photo 3'),
@@ -52,53 +128,195 @@ const imagePaths = [
   generatePlaceholderImage(290, 280, '#F5B7B1', 'Fusion 20'),
 ];
 
-// Helper functions
-const getRandom = (min, max) => Math.random() * (max - min) + min;
-const lerp = (start, end, factor) => start + (end - start) * factor;
+// Stand-ins for images whose file is missing, drawn once per name
+const missingPlaceholders = new Map();
+const missingPlaceholder = ({ name = '' }) => {
+  if (!missingPlaceholders.has(name)) {
+    missingPlaceholders.set(name, generatePlaceholderImage(300, 200, '#555555', `Missing ${name}`));
+  }
+  return missingPlaceholders.get(name);
+};
+
+// The board a template starts: see `handleNewBoard`. Resolves with null if
+// browsing for a template file is cancelled.
+const boardFromTemplate = async ({ id, filePath }) => {
+  if (id) {
+    const template = getTemplate(id);
+    if (!template) throw new Error(`Unknown template ${id}`);
+    return buildTemplate(template);
+  }
+  const template = await window.api.openTemplate(filePath);
+  return template && instantiateTemplate(template.board);
+};
+
+// Read an image dropped without a file path (e.g. from another app) as a data URL
+const readBlobImage = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve({
+    name: file.name || 'image',
+    path: '',
+    modifiedAt: file.lastModified,
+    src: reader.result
+  });
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Board items for imported images, sized from each image's real aspect ratio
+// and hashed so pictures already on the board can be flagged
+const createImportedItems = async (imported) => {
+  const sized = await withNaturalSizes(imported);
+  const hashes = await Promise.all(sized.map((image) => (
+    perceptualHash(image.thumbnail ?? image.src).catch(() => null)
+  )));
+  return sized.map((image, i) => ({
+    ...createImageItem(image, {}),
+    ...(hashes[i] && { hash: hashes[i] })
+  }));
+};
+
+// Resolve once `test()` holds, checking on a timer since hidden windows
+// don't get animation frames they can count on
+const waitFor = (test, message) => new Promise((resolve, reject) => {
+  const started = performance.now();
+  const check = () => {
+    if (test()) resolve();
+    else if (performance.now() - started > BATCH_TIMEOUT) reject(new Error(message));
+    else setTimeout(check, 50);
+  };
+  check();
+});
 
-// Enhanced ImagePlane component with error handling and better animations
-function ImagePlane({ url, position, rotation, scale, index, scrollOffset }) {
+// Resolve once no textures have been loading for a while
+const waitForTextures = () => {
+  let idleSince = performance.now();
+  return waitFor(() => {
+    if (useProgress.getState().active) idleSince = performance.now();
+    return performance.now() - idleSince >= BATCH_SETTLE_TIME;
+  }, "Timed out waiting for the board's images to load");
+};
+
+// Reused by every plane's frame loop instead of allocating each frame
+const scratch = new THREE.Vector3();
+
+// Board item plane with error handling and animations. Images load from
+// `url`; notes and swatches pass the `texture` they were drawn into instead.
+// `motion` scales the float, `opacity` is an image's resting opacity and
+// `tint` colours images for the light preset.
+function ItemPlane({
+  url,
+  thumbnailUrl,
+  texture,
+  position,
+  rotation,
+  scale,
+  index,
+  seed,
+  scrollOffset,
+  selected = false,
+  focused = false,
+  filtered = null,
+  motion: motionIntensity = 1,
+  hoverEffects = true,
+  opacity: restingOpacity = 0.9,
+  tint = 'white',
+  onPointerDown,
+  onPointerMove,
+  onPointerUp,
+  onDoubleClick
+}) {
   const meshRef = useRef();
   const [hovered, setHovered] = useState(false);
   const [clicked, setClicked] = useState(false);
   const [imageError, setImageError] = useState(false);
+
+  // Resting transform the float animation is applied on top of. It eases
+  // towards the target so layout switches and undo animate instead of jumping.
+  const base = useRef({
+    position: new THREE.Vector3(...position),
+    rotation: new THREE.Vector3(...rotation),
+    scale: new THREE.Vector3(...scale)
+  });
   
-  // Create floating animation
-  const floatOffset = useMemo(() => ({
-    x: getRandom(-0.5, 0.5),
-    y: getRandom(-0.3, 0.3),
-    z: getRandom(-0.2, 0.2),
-    speed: getRandom(0.5, 1.5),
-    amplitude: getRandom(0.3, 0.8)
-  }), []);
+  const motion = useMemo(() => floatMotion(seed), [seed]);
 
   useFrame((state) => {
-    if (meshRef.current) {
-      const time = state.clock.elapsedTime;
-      
-      // Floating animation
-      meshRef.current.position.x = position[0] + Math.sin(time * floatOffset.speed + index) * floatOffset.amplitude * floatOffset.x;
-      meshRef.current.position.y = position[1] + Math.cos(time * floatOffset.speed * 0.7 + index) * floatOffset.amplitude * floatOffset.y;
-      
-      // Parallax effect based on scroll
-      meshRef.current.position.z = position[2] + scrollOffset * 0.1 * (index % 3 - 1);
-      
-      // Hover effect
-      const targetScale = hovered ? 1.1 : clicked ? 0.95 : 1;
+    const rest = base.current;
+    if (meshRef.current && selected) {
+      // Hold still at the exact transform while being edited
+      rest.position.set(...position);
+      rest.rotation.set(...rotation);
+      rest.scale.set(...scale);
+      meshRef.current.position.copy(rest.position);
+      meshRef.current.rotation.set(...rotation);
+      meshRef.current.scale.copy(rest.scale);
+    } else if (meshRef.current) {
+      rest.position.lerp(scratch.set(...position), 0.1);
+      rest.rotation.lerp(scratch.set(...rotation), 0.1);
+      rest.scale.lerp(scratch.set(...scale), 0.1);
+
+      // Float, with parallax based on scroll
+      applyFloat(meshRef.current, rest, motion, {
+        time: state.clock.elapsedTime,
+        index,
+        scrollOffset,
+        intensity: motionIntensity
+      });
+
+      // Hover effect, held still along with the float; images collapsed by
+      // the search filter shrink away
+      const bounce = hoverEffects && motionIntensity > 0;
+      const targetScale = filtered === 'collapse'
+        ? 0
+        : bounce && hovered ? 1.1 : bounce && clicked ? 0.95 : 1;
       meshRef.current.scale.lerp(
-        new THREE.Vector3(
-          scale[0] * targetScale,
-          scale[1] * targetScale,
-          scale[2]
-        ),
+        scratch.set(rest.scale.x * targetScale, rest.scale.y * targetScale, rest.scale.z),
         0.1
       );
-      
-      // Subtle rotation animation
-      meshRef.current.rotation.z = rotation[2] + Math.sin(time * 0.3 + index) * 0.02;
+    }
+
+    if (meshRef.current) {
+      // Images faded by the search filter linger as ghosts
+      const material = meshRef.current.material;
+      // Drawn planes stay opaque so swatches show their true colour
+      const resting = texture ? 1 : imageError ? 0.8 : restingOpacity;
+      const opacity = (hoverEffects && hovered ? 1 : resting) * (filtered === 'fade' ? FADED_OPACITY : 1);
+      material.opacity = THREE.MathUtils.lerp(material.opacity, opacity, 0.1);
+      meshRef.current.visible = filtered !== 'collapse' || meshRef.current.scale.x > 0.01;
     }
   });
 
+  // Collapsed images can't be picked
+  const eventHandlers = filtered === 'collapse' ? {} : {
+    onPointerOver: () => setHovered(true),
+    onPointerOut: () => setHovered(false),
+    onPointerDown: (event) => {
+      setClicked(true);
+      onPointerDown?.(event);
+    },
+    onPointerMove,
+    onPointerUp: (event) => {
+      setClicked(false);
+      onPointerUp?.(event);
+    },
+    onDoubleClick
+  };
+
+  if (texture) {
+    return (
+      <mesh
+        ref={meshRef}
+        position={position}
+        rotation={rotation}
+        scale={scale}
+        {...eventHandlers}
+      >
+        <planeGeometry args={[1, 1]} />
+        <meshBasicMaterial map={texture} transparent toneMapped={false} />
+      </mesh>
+    );
+  }
+
   // Fallback to colored plane if image fails
   if (imageError) {
     return (
@@ -107,88 +325,367 @@ function ImagePlane({ url, position, rotation, scale, index, scrollOffset }) {
         position={position}
         rotation={rotation}
         scale={scale}
-        onPointerOver={() => setHovered(true)}
-        onPointerOut={() => setHovered(false)}
-        onPointerDown={() => setClicked(true)}
-        onPointerUp={() => setClicked(false)}
+        {...eventHandlers}
       >
         <planeGeometry args={[1, 1]} />
         <meshBasicMaterial 
           color={`hsl(${index * 30}, 70%, 60%)`} 
           transparent 
-          opacity={hovered ? 1 : 0.8}
+          opacity={0.8}
         />
       </mesh>
     );
   }
 
-  return (
+  const renderImage = (src) => (
     <Image
       ref={meshRef}
-      url={url}
+      url={src}
       transparent
-      opacity={hovered ? 1 : 0.9}
+      opacity={restingOpacity}
+      color={tint}
       position={position}
       rotation={rotation}
       scale={scale}
-      onPointerOver={() => setHovered(true)}
-      onPointerOut={() => setHovered(false)}
-      onPointerDown={() => setClicked(true)}
-      onPointerUp={() => setClicked(false)}
+      {...eventHandlers}
       onError={() => setImageError(true)}
     />
   );
+
+  // The board renders downscaled thumbnails; the full-resolution file is only
+  // loaded while the image is focused, with the thumbnail standing in meanwhile
+  const preview = renderImage(thumbnailUrl ?? url);
+  if (!focused || !thumbnailUrl || thumbnailUrl === url) {
+    return preview;
+  }
+
+  return <Suspense fallback={preview}>{renderImage(url)}</Suspense>;
 }
 
-ImagePlane.propTypes = {
-  url: PropTypes.string.isRequired,
+ItemPlane.propTypes = {
+  url: PropTypes.string,
+  thumbnailUrl: PropTypes.string,
+  texture: PropTypes.instanceOf(THREE.Texture),
   position: PropTypes.arrayOf(PropTypes.number).isRequired,
   rotation: PropTypes.arrayOf(PropTypes.number).isRequired,
   scale: PropTypes.arrayOf(PropTypes.number).isRequired,
   index: PropTypes.number.isRequired,
+  seed: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
   scrollOffset: PropTypes.number.isRequired,
+  selected: PropTypes.bool,
+  focused: PropTypes.bool,
+  filtered: PropTypes.oneOf(['fade', 'collapse']),
+  motion: PropTypes.number,
+  hoverEffects: PropTypes.bool,
+  opacity: PropTypes.number,
+  tint: PropTypes.string,
+  onPointerDown: PropTypes.func,
+  onPointerMove: PropTypes.func,
+  onPointerUp: PropTypes.func,
+  onDoubleClick: PropTypes.func,
 };
 
-// Enhanced camera controls with smooth zoom and pan
-function CameraControls({ zoomLevel, panOffset, targetPosition }) {
-  const { camera } = useThree();
-  const currentPosition = useRef([0, 0, 35]);
-  
+// Notes and swatches are painted onto a canvas instead of loaded from a file
+function DrawnPlane({ type, text, color, width, height, ...planeProps }) {
+  const texture = useMemo(() => {
+    const canvas = type === 'note'
+      ? drawNote({ text, color, width, height })
+      : drawSwatch({ color, width, height });
+    const canvasTexture = new THREE.CanvasTexture(canvas);
+    canvasTexture.colorSpace = THREE.SRGBColorSpace;
+    return canvasTexture;
+  }, [type, text, color, width, height]);
+
+  useEffect(() => () => texture.dispose(), [texture]);
+
+  return <ItemPlane {...planeProps} texture={texture} />;
+}
+
+DrawnPlane.propTypes = {
+  type: PropTypes.oneOf(['note', 'swatch']).isRequired,
+  text: PropTypes.string,
+  color: PropTypes.string.isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+};
+
+// A frame: tinted backdrop, outline and title tab. Frames hold still rather
+// than float, so their members drift gently inside them.
+function FramePlane({
+  title,
+  position,
+  rotation,
+  scale,
+  selected = false,
+  filtered = null,
+  onPointerDown,
+  onPointerMove,
+  onPointerUp,
+  onDoubleClick
+}) {
+  const groupRef = useRef();
+  // Only the first position goes through props; after that useFrame eases it
+  const initialPosition = useRef(position).current;
+  const [width, height] = scale;
+  const fade = filtered === 'fade' ? FADED_OPACITY : 1;
+
+  const label = useMemo(() => {
+    const canvas = drawLabel(title || 'Frame', FRAME_COLOR);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return { texture, width: (FRAME_LABEL_HEIGHT * canvas.width) / canvas.height };
+  }, [title]);
+
+  useEffect(() => () => label.texture.dispose(), [label]);
+
+  // Ease into place like the other items, so layouts and undo animate
   useFrame(() => {
-    // Smooth zoom
-    camera.fov = lerp(camera.fov, 75 / zoomLevel, 0.1);
-    camera.updateProjectionMatrix();
-    
-    // Smooth camera movement
-    currentPosition.current[0] = lerp(
-      currentPosition.current[0],
-      targetPosition[0] + panOffset.x,
-      0.1
-    );
-    currentPosition.current[1] = lerp(
-      currentPosition.current[1],
-      targetPosition[1] + panOffset.y,
-      0.1
-    );
-    currentPosition.current[2] = lerp(
-      currentPosition.current[2],
-      targetPosition[2],
-      0.1
-    );
-    
-    camera.position.set(...currentPosition.current);
+    const group = groupRef.current;
+    if (!group) return;
+    group.position.lerp(scratch.set(...position), selected ? 1 : 0.1);
+    group.rotation.set(...rotation);
+  });
+
+  if (filtered === 'collapse') return null;
+
+  return (
+    <group ref={groupRef} position={initialPosition} rotation={rotation}>
+      <mesh
+        scale={[width, height, 1]}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onDoubleClick={onDoubleClick}
+      >
+        <planeGeometry args={[1, 1]} />
+        <meshBasicMaterial
+          color={FRAME_COLOR}
+          transparent
+          opacity={FRAME_FILL_OPACITY * fade}
+          depthWrite={false}
+        />
+      </mesh>
+      <Line
+        points={[[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5], [-0.5, -0.5]].map(
+          ([x, y]) => [x * width, y * height, 0]
+        )}
+        color={FRAME_COLOR}
+        lineWidth={1.5}
+        transparent
+        opacity={0.8 * fade}
+      />
+      <mesh
+        position={[-width / 2 + label.width / 2, height / 2 + FRAME_LABEL_HEIGHT / 2 + 0.1, 0]}
+        scale={[label.width, FRAME_LABEL_HEIGHT, 1]}
+      >
+        <planeGeometry args={[1, 1]} />
+        <meshBasicMaterial map={label.texture} transparent opacity={fade} toneMapped={false} />
+      </mesh>
+    </group>
+  );
+}
+
+FramePlane.propTypes = {
+  title: PropTypes.string,
+  position: PropTypes.arrayOf(PropTypes.number).isRequired,
+  rotation: PropTypes.arrayOf(PropTypes.number).isRequired,
+  scale: PropTypes.arrayOf(PropTypes.number).isRequired,
+  selected: PropTypes.bool,
+  filtered: PropTypes.oneOf(['fade', 'collapse']),
+  onPointerDown: PropTypes.func,
+  onPointerMove: PropTypes.func,
+  onPointerUp: PropTypes.func,
+  onDoubleClick: PropTypes.func,
+};
+
+// Scrollable board contents: item planes plus gizmos for the selected ones.
+// Items missing from `matchingIds` are hidden the way `hideMode` says.
+// `holdScroll` drops the scroll parallax, for deterministic recordings.
+// `performanceMode` hands images to InstancedImages, which reports what it
+// drew to `statsRef`. `look` holds the board's appearance: float intensity,
+// hover effects, image opacity and the light preset's tint. `peers` are the
+// other people in a shared session, shown where they're pointing and looking.
+function BoardContent({
+  boardRef,
+  items,
+  selectedIds,
+  focusedId,
+  matchingIds = null,
+  hideMode = 'fade',
+  manipulation,
+  holdScroll = false,
+  performanceMode = false,
+  statsRef,
+  look,
+  peers = [],
+  onFocusItem,
+  onScrollProgress
+}) {
+  const scroll = useScroll();
+
+  // Selected and focused images still get a full plane, for editing and the
+  // full-resolution close-up
+  const instanced = useMemo(() => (performanceMode
+    ? items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.id && (item.type ?? 'image') === 'image')
+    : []), [items, performanceMode]);
+  const instancedIds = useMemo(() => new Set(instanced.map(({ item }) => item.id)), [instanced]);
+  const hiddenIds = useMemo(
+    () => new Set([...selectedIds, focusedId].filter(Boolean)),
+    [selectedIds, focusedId]
+  );
+
+  useFrame(() => {
+    if (scroll) {
+      onScrollProgress(scroll.offset);
+    }
   });
 
-  return null;
+  return (
+    <Scroll>
+      <group ref={boardRef}>
+        {performanceMode && (
+          <InstancedImages
+            items={instanced}
+            hiddenIds={hiddenIds}
+            matchingIds={matchingIds}
+            hideMode={hideMode}
+            boardRef={boardRef}
+            scroll={scroll}
+            holdScroll={holdScroll}
+            statsRef={statsRef}
+            look={look}
+            manipulation={manipulation}
+            onFocusItem={onFocusItem}
+          />
+        )}
+        {items.map((item, index) => {
+          if (instancedIds.has(item.id) && !hiddenIds.has(item.id)) return null;
+          const shared = {
+            position: item.position,
+            rotation: item.rotation,
+            scale: item.scale,
+            selected: selectedIds.includes(item.id) || (item.id !== undefined && item.id === focusedId),
+            filtered: matchingIds && !matchingIds.has(item.id) ? hideMode : null,
+            // Placeholder swatches have no id and can't be edited
+            onPointerDown: item.id && ((event) => manipulation.handleItemPointerDown(event, item.id)),
+            onPointerMove: manipulation.handlePointerMove,
+            onPointerUp: manipulation.handlePointerUp,
+            onDoubleClick: item.id && ((event) => {
+              event.stopPropagation();
+              onFocusItem(item.id);
+            })
+          };
+          if (item.type === 'frame') {
+            return <FramePlane key={item.id} title={item.title} {...shared} />;
+          }
+
+          const planeProps = {
+            ...shared,
+            index,
+            seed: item.id ?? index,
+            scrollOffset: holdScroll ? 0 : scroll?.offset || 0,
+            focused: item.id !== undefined && item.id === focusedId,
+            motion: look.motion,
+            hoverEffects: look.hoverEffects
+          };
+          if (item.type === 'note' || item.type === 'swatch') {
+            return (
+              <DrawnPlane
+                key={item.id}
+                type={item.type}
+                text={item.text}
+                color={item.color}
+                width={item.width}
+                height={item.height}
+                {...planeProps}
+              />
+            );
+          }
+          return (
+            // Each image suspends on its own, so images appear as they load
+            <Suspense key={item.id ?? index} fallback={null}>
+              <ItemPlane
+                url={item.url}
+                thumbnailUrl={item.thumbnailUrl}
+                opacity={look.opacity}
+                tint={look.tint}
+                {...planeProps}
+              />
+            </Suspense>
+          );
+        })}
+        {items
+          .filter((image) => selectedIds.includes(image.id))
+          .map((image) => (
+            <SelectionGizmo
+              key={image.id}
+              item={image}
+              onHandlePointerDown={manipulation.handleHandlePointerDown}
+              onHandlePointerMove={manipulation.handlePointerMove}
+              onHandlePointerUp={manipulation.handlePointerUp}
+            />
+          ))}
+        {peers.length > 0 && <PeerPresence peers={peers} />}
+      </group>
+    </Scroll>
+  );
 }
 
-CameraControls.propTypes = {
-  zoomLevel: PropTypes.number.isRequired,
-  panOffset: PropTypes.shape({
-    x: PropTypes.number,
-    y: PropTypes.number,
+BoardContent.propTypes = {
+  boardRef: PropTypes.object.isRequired,
+  items: PropTypes.arrayOf(PropTypes.object).isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  focusedId: PropTypes.string,
+  matchingIds: PropTypes.instanceOf(Set),
+  hideMode: PropTypes.oneOf(['fade', 'collapse']),
+  manipulation: PropTypes.shape({
+    handleItemPointerDown: PropTypes.func.isRequired,
+    handleHandlePointerDown: PropTypes.func.isRequired,
+    handlePointerMove: PropTypes.func.isRequired,
+    handlePointerUp: PropTypes.func.isRequired,
+  }).isRequired,
+  holdScroll: PropTypes.bool,
+  performanceMode: PropTypes.bool,
+  statsRef: PropTypes.object.isRequired,
+  look: PropTypes.shape({
+    motion: PropTypes.number.isRequired,
+    hoverEffects: PropTypes.bool.isRequired,
+    opacity: PropTypes.number.isRequired,
+    tint: PropTypes.string.isRequired,
+  }).isRequired,
+  peers: PropTypes.arrayOf(PropTypes.object),
+  onFocusItem: PropTypes.func.isRequired,
+  onScrollProgress: PropTypes.func.isRequired,
+};
+
+// Dashed rectangle drawn while shift-dragging a selection marquee
+function Marquee({ rect }) {
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        left: Math.min(rect.x0, rect.x1),
+        top: Math.min(rect.y0, rect.y1),
+        width: Math.abs(rect.x1 - rect.x0),
+        height: Math.abs(rect.y1 - rect.y0),
+        border: '1px dashed #4ecdc4',
+        background: 'rgba(78, 205, 196, 0.1)',
+        pointerEvents: 'none',
+        zIndex: 999
+      }}
+    />
+  );
+}
+
+Marquee.propTypes = {
+  rect: PropTypes.shape({
+    x0: PropTypes.number,
+    y0: PropTypes.number,
+    x1: PropTypes.number,
+    y1: PropTypes.number,
   }).isRequired,
-  targetPosition: PropTypes.arrayOf(PropTypes.number).isRequired,
 };
 
 // Scroll indicator component
@@ -226,113 +723,1249 @@ ScrollIndicator.propTypes = {
 
 // Main Moodboard 3D component with error boundary
 const Moodboard3D = () => {
-  const [zoomLevel, setZoomLevel] = useState(1);
-  const [panOffset, setPanOffset] = useState({ x: 0, y: 0 });
-  const [targetPosition, setTargetPosition] = useState([0, 0, 35]);
+  // `view` is the pose the camera animates to; live navigation happens
+  // inside CameraControls and is read back through `controlsRef`
+  const [view, setView] = useState(HOME_VIEW);
+  const [viewpoints, setViewpoints] = useState([]);
+  const [slides, setSlides] = useState([]);
+  const [walkthrough, setWalkthrough] = useState(WALKTHROUGH_DEFAULTS);
+  const [appearance, setAppearance] = useState(() => resolveAppearance());
+  const [navigationMode, setNavigationMode] = useState('pan');
+  const controlsRef = useRef();
+  const flyKeysRef = useRef(new Set());
   const [scrollProgress, setScrollProgress] = useState(0);
-  const [isDragging, setIsDragging] = useState(false);
-  const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
-  const [canvasError, setCanvasError] = useState(null);
+  // Mouse button driving the current camera drag ('pan' or 'orbit'), if any
+  const [dragMode, setDragMode] = useState(null);
+  const lastPointerRef = useRef({ x: 0, y: 0 });
+  // 'ok' while the 3D scene runs; 'lost' after the GPU dropped its context,
+  // until it's restored; 'unavailable' when WebGL can't start at all. The
+  // board falls back to the 2D view meanwhile. A new `sceneKey` rebuilds the
+  // Canvas from scratch.
+  const [graphics, setGraphics] = useState(() => (WebGL.isWebGL2Available() ? 'ok' : 'unavailable'));
+  const [sceneKey, setSceneKey] = useState(0);
   const canvasRef = useRef();
+  const threeRef = useRef();
+  const boardRef = useRef();
+  const exporterRef = useRef();
+  const backgroundRef = useRef();
 
-  // Generate optimized image layout for stacking effect
+  const [images, setImages] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [focusedId, setFocusedId] = useState(null);
+  const [marquee, setMarquee] = useState(null);
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+
+  const [layoutId, setLayoutId] = useState(DEFAULT_LAYOUT);
+  const [viewMode, setViewMode] = useState('3d');
+  // Presenting runs the slides full screen in 3D, with the board's own
+  // controls hidden and the speaker notes in a window of their own.
+  // `presentation` is `{ index, isBlank, startedAt }` meanwhile.
+  const [presentation, setPresentation] = useState(null);
+  const shownViewMode = graphics !== 'ok' ? '2d' : presentation ? '3d' : viewMode;
+
+  // Layout for the placeholder swatches, used until real images are added
+  const placeholderElements = useMemo(() => {
+    const swatches = placeholderImages.map((url) => ({ url, scale: [1.2, 1, 1] }));
+    const transforms = getLayout(layoutId).arrange(swatches);
+    return swatches.map((swatch, i) => ({ ...swatch, ...transforms[i] }));
+  }, [layoutId]);
+
+  // Images whose file couldn't be found show a stand-in. It's only drawn,
+  // never put in `images`, so saving keeps the item's own `asset`.
   const imageElements = useMemo(() => {
-    return imagePaths.map((path, i) => {
-      const layer = Math.floor(i / 5); // Group images in smaller layers
-      const indexInLayer = i % 5;
-      
-      // Create stacked layout similar to the screenshot
-      const angle = (indexInLayer / 5) * Math.PI * 2;
-      const radius = 12 + layer * 6;
-      
-      const x = Math.cos(angle) * radius + getRandom(-4, 4);
-      const y = Math.sin(angle) * radius + getRandom(-4, 4);
-      const z = layer * -3 + getRandom(-2, 2);
-      
-      // Vary sizes for visual interest
-      const baseSize = 3 + Math.random() * 2;
-      const aspectRatio = getRandom(0.8, 1.3);
-      
-      return {
-        url: path,
-        position: [x, y, z],
-        rotation: [
-          getRandom(-0.1, 0.1),
-          getRandom(-0.1, 0.1),
-          getRandom(-0.2, 0.2)
-        ],
-        scale: [
-          baseSize * aspectRatio,
-          baseSize,
-          1
-        ],
-      };
+    if (images.length === 0) return placeholderElements;
+    return images.map((item) => (item.missing ? { ...item, url: missingPlaceholder(item) } : item));
+  }, [images, placeholderElements]);
+
+  // Board document state. `revision` counts edits; the board is dirty until
+  // a save catches up with it. Saved boards autosave to a copy beside them
+  // (see main/boards.js), which leaves them dirty, so `autosavedRevision`
+  // tracks what the copy holds.
+  const [boardPath, setBoardPath] = useState(null);
+  const [isUntitled, setIsUntitled] = useState(true);
+  const [recentBoards, setRecentBoards] = useState([]);
+  const [revision, setRevision] = useState(0);
+  const [savedRevision, setSavedRevision] = useState(0);
+  const [autosavedRevision, setAutosavedRevision] = useState(0);
+  const isDirty = revision !== savedRevision;
+  const markDirty = useCallback(() => setRevision((prev) => prev + 1), []);
+  // Work that only exists in this window: unsaved edits, or an untitled
+  // board living in a recovery file. Other boards open in new windows then.
+  const hasUnsavedWork = isDirty || (isUntitled && images.length > 0);
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+
+  // Shortcuts are the default keymap with the user's remappings over it
+  const [preferences, setPreference] = usePreferences();
+  const keymapOverrides = useMemo(() => preferences.keymap ?? {}, [preferences.keymap]);
+  const keymap = useMemo(() => resolveKeymap(keymapOverrides), [keymapOverrides]);
+  // ' (N)' for a button's tooltip, or nothing when the command is unbound
+  const shortcutHint = (id) => {
+    const keys = formatChords(keymap[id]);
+    return keys ? ` (${keys})` : '';
+  };
+  const [isKeymapOpen, setIsKeymapOpen] = useState(false);
+
+  // Big boards render through InstancedImages (see lib/lod.js). The choice is
+  // per machine, so it's a preference rather than part of the board. Batch
+  // renders draw every image in full, whose loading they can wait on.
+  const performancePreference = preferences.performanceMode ?? 'auto';
+  const performanceMode = !isBatchWindow && isPerformanceMode(
+    performancePreference,
+    images.filter((item) => (item.type ?? 'image') === 'image').length
+  );
+  const renderStatsRef = useRef({});
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+  const [renderStats, setRenderStats] = useState(null);
+
+  // Reduced motion follows the viewer, not the board, and overrides the
+  // board's own float and hover settings
+  const reducedMotionPreference = preferences.reducedMotion ?? 'system';
+  const systemPrefersReduced = usePrefersReducedMotion();
+  const reducedMotion = reducedMotionPreference === 'system'
+    ? systemPrefersReduced
+    : reducedMotionPreference === 'on';
+  const lightPreset = getLightPreset(appearance.lighting);
+  const look = useMemo(() => ({
+    motion: motionScale(appearance, reducedMotion),
+    hoverEffects: appearance.hoverEffects,
+    opacity: appearance.planeOpacity,
+    tint: lightPreset.tint
+  }), [appearance, reducedMotion, lightPreset]);
+  const [isAppearanceOpen, setIsAppearanceOpen] = useState(false);
+
+  const history = useHistory(setImages, markDirty);
+  const { execute, record, undo, redo, clear: clearHistory } = history;
+
+  // Shared session on the local network. Remote edits bypass the history,
+  // so undo only ever takes back this window's own changes.
+  const collaboration = useCollaboration({
+    items: images,
+    setItems: setImages,
+    onRemoteChange: markDirty
+  });
+  const [isSessionOpen, setIsSessionOpen] = useState(false);
+
+  // Say so when the session ends from the other side
+  useEffect(() => {
+    if (collaboration.notice) setIsSessionOpen(true);
+  }, [collaboration.notice]);
+  // A shared board stays in its window; other boards open in new ones
+  const keepsBoard = hasUnsavedWork || collaboration.session !== null;
+
+  const handleTransformCommit = useCallback((before, after, mode) => {
+    const label = `${TRANSFORM_LABELS[mode]} ${pluralize(Object.keys(after).length, 'item')}`;
+    // Items dropped into a frame join it; items dragged out of one leave it
+    const moved = imagesRef.current.map((item) => (after[item.id] ? { ...item, ...after[item.id] } : item));
+    const membership = mode === 'move'
+      ? frameMembershipChanges(moved, Object.keys(after))
+      : { before: {}, after: {} };
+    if (Object.keys(membership.after).length === 0) {
+      record(updateItemsCommand(label, before, after));
+      return;
+    }
+
+    const merge = (transforms, patches) => Object.fromEntries(
+      Object.entries(transforms).map(([id, transform]) => [id, { ...transform, ...patches[id] }])
+    );
+    execute(updateItemsCommand(label, merge(before, membership.before), merge(after, membership.after)));
+  }, [record, execute]);
+
+  const manipulation = useItemManipulation({
+    boardRef,
+    itemsRef: imagesRef,
+    setItems: setImages,
+    selectedIds,
+    setSelectedIds,
+    onCommit: handleTransformCommit
+  });
+
+  const deleteSelection = useCallback(() => {
+    if (selectedIds.length === 0) return;
+    execute(removeItemsCommand(
+      `Delete ${pluralize(selectedIds.length, 'item')}`,
+      imagesRef.current,
+      selectedIds
+    ));
+    setSelectedIds([]);
+  }, [selectedIds, execute]);
+
+  const refreshRecentBoards = useCallback(async () => {
+    setRecentBoards(await window.api.getRecentBoards());
+  }, []);
+
+  const [savedTemplates, setSavedTemplates] = useState([]);
+  const refreshTemplates = useCallback(async () => {
+    setSavedTemplates(await window.api.listTemplates());
+  }, []);
+
+  // Replace the current board with one loaded by the main process
+  const loadBoard = useCallback((result) => {
+    const { board } = result;
+    setImages(board.items);
+    setLayoutId(board.layout ?? DEFAULT_LAYOUT);
+    setView(viewFromCamera(board.camera));
+    setViewpoints(board.viewpoints ?? []);
+    setSlides(board.slides ?? []);
+    setWalkthrough({ ...WALKTHROUGH_DEFAULTS, ...board.walkthrough });
+    setAppearance(resolveAppearance(board.appearance));
+    setBoardPath(result.filePath);
+    setIsUntitled(result.untitled);
+    setSelectedIds([]);
+    setFocusedId(null);
+    clearHistory();
+    // A board recovered from its autosave copy still needs saving
+    const recoveredRevision = result.recovered ? 1 : 0;
+    setRevision(recoveredRevision);
+    setSavedRevision(0);
+    setAutosavedRevision(recoveredRevision);
+  }, [clearHistory]);
+
+  const handleOpenBoard = useCallback(async (filePath) => {
+    try {
+      if (keepsBoard) {
+        await window.api.openWindow(filePath ? { filePath } : { browse: true });
+        return;
+      }
+      const result = await window.api.openBoard(filePath);
+      if (result) {
+        loadBoard(result);
+        setIsLibraryOpen(false);
+      }
+    } catch (error) {
+      console.error('Failed to open board:', error);
+    } finally {
+      refreshRecentBoards();
+    }
+  }, [keepsBoard, loadBoard, refreshRecentBoards]);
+
+  // `template` is a built-in `{ id }`, a saved template's `{ filePath }`, or
+  // `{}` to browse for one; without it the board starts empty
+  const handleNewBoard = useCallback(async (template = null) => {
+    if (keepsBoard) {
+      window.api.openWindow({ blank: true, ...(template && { template }) });
+      return;
+    }
+    try {
+      const board = template ? await boardFromTemplate(template) : { items: [] };
+      if (!board) return;
+      await window.api.newBoard();
+      loadBoard({ filePath: null, untitled: true, board });
+      setIsLibraryOpen(false);
+    } catch (error) {
+      console.error('Failed to start from template:', error);
+    }
+  }, [keepsBoard, loadBoard]);
+
+  const { host: hostSession, join: joinSession } = collaboration;
+
+  const handleHostSession = useCallback(async (name) => {
+    setPreference('displayName', name);
+    await hostSession(name);
+  }, [hostSession, setPreference]);
+
+  // Guests start from a blank untitled board, filled in by the session. The
+  // main process hears about the new board before anything can be saved.
+  const handleJoinSession = useCallback(async (link, name) => {
+    setPreference('displayName', name);
+    await joinSession(link, name, () => {
+      window.api.newBoard();
+      loadBoard({ filePath: null, untitled: true, board: { items: [] } });
+    });
+  }, [joinSession, loadBoard, setPreference]);
+
+  const handleSaveBoard = useCallback(async ({ saveAs = false, autosave = false } = {}) => {
+    const savingRevision = revision;
+    const board = serializeBoard({
+      items: images,
+      layout: layoutId,
+      camera: controlsRef.current?.getView() ?? view,
+      viewpoints,
+      slides,
+      walkthrough,
+      appearance
+    });
+
+    try {
+      const result = autosave
+        ? await window.api.autosaveBoard(board)
+        : await window.api.saveBoard(board, { saveAs });
+      if (!result) return false;
+
+      setImages((prev) => withSavedAssets(prev, result.assets));
+      if (result.backgroundAsset) {
+        setAppearance((prev) => withBackgroundAsset(prev, result.backgroundAsset));
+      }
+      setBoardPath(result.filePath);
+      setIsUntitled(result.untitled);
+      if (result.autosaved) {
+        setAutosavedRevision(savingRevision);
+      } else {
+        setSavedRevision(savingRevision);
+      }
+      refreshRecentBoards();
+      return true;
+    } catch (error) {
+      console.error('Failed to save board:', error);
+      return false;
+    }
+  }, [images, layoutId, view, viewpoints, slides, walkthrough, appearance, revision, refreshRecentBoards]);
+
+  // Named camera bookmarks, saved with the board
+  const addViewpoint = useCallback((name) => {
+    const current = controlsRef.current?.getView() ?? view;
+    setViewpoints((prev) => [...prev, { id: createItemId(), name, ...current }]);
+    markDirty();
+  }, [view, markDirty]);
+
+  const removeViewpoint = useCallback((id) => {
+    setViewpoints((prev) => prev.filter((viewpoint) => viewpoint.id !== id));
+    markDirty();
+  }, [markDirty]);
+
+  // Moving the camera never dirties the board; saves pick up wherever it is
+  const recallViewpoint = useCallback(({ position, target }) => {
+    setFocusedId(null);
+    setView({ position, target });
+  }, []);
+
+  // Presentation slides: a view plus the items it highlights, edited in the
+  // slides panel and saved with the board like viewpoints
+  const [isSlidesOpen, setIsSlidesOpen] = useState(false);
+
+  const addSlide = useCallback((name) => {
+    const slide = createSlide(name, controlsRef.current?.getView() ?? view, selectedIds);
+    setSlides((prev) => [...prev, slide]);
+    markDirty();
+    return slide.id;
+  }, [view, selectedIds, markDirty]);
+
+  const changeSlide = useCallback((id, fields) => {
+    setSlides((prev) => prev.map((slide) => (slide.id === id ? { ...slide, ...fields } : slide)));
+    markDirty();
+  }, [markDirty]);
+
+  const updateSlide = useCallback((id) => {
+    changeSlide(id, { ...(controlsRef.current?.getView() ?? view), itemIds: selectedIds });
+  }, [view, selectedIds, changeSlide]);
+
+  const moveSlideBy = useCallback((id, offset) => {
+    setSlides((prev) => moveSlide(prev, id, offset));
+    markDirty();
+  }, [markDirty]);
+
+  const removeSlide = useCallback((id) => {
+    setSlides((prev) => prev.filter((slide) => slide.id !== id));
+    markDirty();
+  }, [markDirty]);
+
+  // Preview a slide while editing: its view, with its items selected
+  const showSlide = useCallback((slide) => {
+    const ids = new Set(imagesRef.current.map((item) => item.id));
+    recallViewpoint(slide);
+    setSelectedIds(slide.itemIds.filter((id) => ids.has(id)));
+  }, [recallViewpoint]);
+
+  const goToSlide = useCallback((index) => {
+    const slide = slides[Math.max(0, Math.min(index, slides.length - 1))];
+    if (!slide) return;
+    setView({ position: slide.position, target: slide.target });
+    setPresentation((prev) => prev && { ...prev, index: slides.indexOf(slide), isBlank: false });
+  }, [slides]);
+
+  const startPresentation = useCallback((index = 0) => {
+    if (graphics !== 'ok' || slides.length === 0) return;
+    setIsSlidesOpen(false);
+    setFocusedId(null);
+    setSelectedIds([]);
+    setPresentation({ index: 0, isBlank: false, startedAt: Date.now() });
+    goToSlide(index);
+    window.api.startPresentation();
+  }, [graphics, slides, goToSlide]);
+
+  const stopPresentation = useCallback(() => {
+    setPresentation(null);
+    window.api.stopPresentation();
+  }, []);
+
+  const presentedSlide = presentation ? slides[presentation.index] : null;
+  const highlightedIds = useMemo(() => (
+    presentedSlide?.itemIds.length ? new Set(presentedSlide.itemIds) : null
+  ), [presentedSlide]);
+
+  // The notes window mirrors the slide being shown
+  useEffect(() => {
+    if (presentation && slides[presentation.index]) {
+      window.api.updatePresentation(notesState(slides, presentation.index, presentation));
+    }
+  }, [presentation, slides]);
+
+  // Without the 3D scene there's nothing to present
+  useEffect(() => {
+    if (presentation && graphics !== 'ok') stopPresentation();
+  }, [presentation, graphics, stopPresentation]);
+
+  // Load the board this window was opened for, or show the board library
+  useEffect(() => {
+    if (isBatchWindow) return;
+    window.api.restoreBoard()
+      .then((result) => {
+        if (result?.board) {
+          loadBoard(result);
+        } else if (result?.home) {
+          setIsLibraryOpen(true);
+        } else if (result?.template) {
+          return boardFromTemplate(result.template).then((board) => (
+            board && loadBoard({ filePath: null, untitled: true, board })
+          ));
+        }
+      })
+      .catch((error) => console.error('Failed to restore board:', error));
+    refreshRecentBoards();
+  }, [loadBoard, refreshRecentBoards]);
+
+  // Command line jobs (see main/cli.js). A new board is built from a folder
+  // and handed back for the main process to save; a render loads the board,
+  // waits for its images and draws it from the board's camera or a named
+  // viewpoint.
+  const runBatchJob = useCallback(async (job) => {
+    if (job.command === 'new-board') {
+      if (job.layout && !LAYOUTS.some((layout) => layout.id === job.layout)) {
+        const ids = LAYOUTS.map((layout) => layout.id).join(', ');
+        throw new Error(`Unknown layout "${job.layout}". Layouts are ${ids}.`);
+      }
+      const imported = await window.api.importPaths([job.folder]);
+      if (imported.length === 0) throw new Error(`No images found in ${job.folder}`);
+      const layout = getLayout(job.layout ?? DEFAULT_LAYOUT);
+      const items = await createImportedItems(imported);
+      arrangeItems(layout, items).forEach((transform, i) => Object.assign(items[i], transform));
+      return { board: serializeBoard({ items, layout: layout.id, camera: HOME_VIEW }) };
+    }
+
+    if (graphics !== 'ok') throw new Error("3D graphics are unavailable, so the board can't be rendered");
+    const { board, width, height, format } = job;
+    let view = viewFromCamera(board.camera);
+    if (job.viewpoint) {
+      const viewpoints = board.viewpoints ?? [];
+      const name = job.viewpoint.toLowerCase();
+      view = viewpoints.find((viewpoint) => viewpoint.name.toLowerCase() === name);
+      if (!view) {
+        const names = viewpoints.map((viewpoint) => `"${viewpoint.name}"`).join(', ');
+        throw new Error(`No viewpoint named "${job.viewpoint}". ${
+          names ? `Viewpoints are ${names}.` : 'The board has no viewpoints.'
+        }`);
+      }
+    }
+
+    loadBoard({ filePath: job.filePath, untitled: false, board });
+    await waitFor(() => exporterRef.current, 'Timed out waiting for the 3D scene');
+    await waitForTextures();
+    const canvas = exporterRef.current.renderImage({ width, height, view });
+    const data = format === 'jpeg'
+      ? await encodeCanvas(flattenCanvas(canvas, '#ffffff'), 'image/jpeg', 0.92)
+      : await encodeCanvas(canvas, 'image/png');
+    return { data };
+  }, [graphics, loadBoard]);
+
+  // The job runs once, however often the effect does
+  const batchStartedRef = useRef(false);
+  useEffect(() => {
+    if (!isBatchWindow || batchStartedRef.current) return;
+    batchStartedRef.current = true;
+    window.api.getBatchJob()
+      .then(runBatchJob)
+      .then(
+        (result) => window.api.finishBatchJob(result),
+        (error) => window.api.finishBatchJob({ error: describeError(error) })
+      );
+  }, [runBatchJob]);
+
+  // Which boards are open elsewhere changes while the library is hidden, and
+  // other windows may have saved templates
+  useEffect(() => {
+    if (!isLibraryOpen) return;
+    refreshRecentBoards();
+    refreshTemplates();
+  }, [isLibraryOpen, refreshRecentBoards, refreshTemplates]);
+
+  // The main process asks before closing a window with unsaved work, and
+  // has us save first if the user wants to keep it
+  useEffect(() => {
+    window.api.setUnsavedWork({ dirty: isDirty, untitled: isUntitled && images.length > 0 });
+  }, [isDirty, isUntitled, images.length]);
+
+  useEffect(() => window.api.onSaveBeforeClose(async () => {
+    if (await handleSaveBoard()) window.api.closeWindow();
+  }), [handleSaveBoard]);
+
+  // Autosave shortly after edits settle
+  useEffect(() => {
+    if (!isDirty || revision === autosavedRevision) return;
+    const timer = setTimeout(() => handleSaveBoard({ autosave: true }), AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [isDirty, revision, autosavedRevision, handleSaveBoard]);
+
+  const boardName = isUntitled || !boardPath ? 'Untitled' : boardNameFromPath(boardPath);
+
+  // Templates keep the layout, camera and appearance; slides, viewpoints and
+  // walkthrough settings stay with the board
+  const handleSaveTemplate = useCallback(async () => {
+    const board = serializeBoard({
+      items: images,
+      layout: layoutId,
+      camera: controlsRef.current?.getView() ?? view,
+      appearance
+    });
+    try {
+      await window.api.saveTemplate({ name: boardName, board });
+      refreshTemplates();
+    } catch (error) {
+      console.error('Failed to save template:', error);
+    }
+  }, [images, layoutId, view, appearance, boardName, refreshTemplates]);
+
+  useEffect(() => {
+    document.title = `${boardName}${isDirty ? ' •' : ''} — sanky-adi`;
+  }, [boardName, isDirty]);
+
+  // Render the board offscreen and hand the result to the main process:
+  // a PNG of the current view, or a PDF page per saved viewpoint
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = useCallback(async ({ format, sizeId, transparent }) => {
+    // Nothing to render from while the 3D scene is down
+    const exporter = graphics === 'ok' ? exporterRef.current : null;
+    if (!exporter) return;
+    const { width, height } = getExportSize(sizeId);
+
+    setIsExporting(true);
+    try {
+      let pages;
+      if (format === 'pdf') {
+        const views = viewpoints.length > 0 ? viewpoints : [null];
+        pages = [];
+        for (const view of views) {
+          const canvas = flattenCanvas(exporter.renderImage({ width, height, view, transparent }), '#ffffff');
+          pages.push({ width, height, data: await encodeCanvas(canvas, 'image/jpeg', 0.92) });
+        }
+      } else {
+        const canvas = exporter.renderImage({ width, height, transparent });
+        pages = [{ width, height, data: await encodeCanvas(canvas, 'image/png') }];
+      }
+
+      const filePath = await window.api.exportBoard({ format, name: boardName, pages });
+      if (filePath) setIsExportOpen(false);
+    } catch (error) {
+      console.error('Failed to export board:', error);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [graphics, viewpoints, boardName]);
+
+  // Fly through the saved viewpoints, rendered frame by frame at a fixed
+  // timestep, into a WebM video or a folder of PNG frames
+  const [isWalkthroughOpen, setIsWalkthroughOpen] = useState(false);
+  const [recordingProgress, setRecordingProgress] = useState(null);
+  const cancelRecordingRef = useRef(false);
+
+  const handleWalkthroughSettings = useCallback((settings) => {
+    setWalkthrough(settings);
+    markDirty();
+  }, [markDirty]);
+
+  const handleAppearanceChange = useCallback((settings) => {
+    setAppearance(settings);
+    markDirty();
+  }, [markDirty]);
+
+  // The background image is picked like any other, but stays off the board
+  const handleChooseBackground = useCallback(async () => {
+    try {
+      const [image] = await window.api.importImages();
+      if (!image) return;
+      handleAppearanceChange({
+        ...appearance,
+        background: {
+          ...appearance.background,
+          type: 'image',
+          image: { name: image.name, path: image.path, url: image.src }
+        }
+      });
+    } catch (error) {
+      console.error('Failed to choose background image:', error);
+    }
+  }, [appearance, handleAppearanceChange]);
+
+  const handleRecordWalkthrough = useCallback(async ({ format, sizeId }) => {
+    // Nothing to render from while the 3D scene is down
+    const exporter = graphics === 'ok' ? exporterRef.current : null;
+    if (!exporter) return;
+    const { width, height } = getVideoSize(sizeId);
+    const { fps } = walkthrough;
+
+    let encoder = null;
+    const writes = [];
+    try {
+      const path = createWalkthroughPath(viewpoints, walkthrough);
+      const frameCount = Math.round(path.duration * fps);
+      if (!(await window.api.beginWalkthrough({ format, name: boardName }))) return;
+
+      // Gizmos and focus framing don't belong in the recording
+      setSelectedIds([]);
+      setFocusedId(null);
+      cancelRecordingRef.current = false;
+      setRecordingProgress({ frame: 0, total: frameCount });
+
+      if (format === 'webm') {
+        encoder = await createVideoEncoder({
+          width,
+          height,
+          fps,
+          onChunk: (chunk) => writes.push(window.api.writeWalkthroughFrame(chunk))
+        });
+      }
+      // Let the cleared selection and the paused render loop take effect
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+
+      const completed = await exporter.renderSequence({
+        width,
+        height,
+        fps,
+        frameCount,
+        viewAt: path.viewAt,
+        isCanceled: () => cancelRecordingRef.current,
+        onFrame: async (canvas, index) => {
+          if (encoder) {
+            await encoder.encode(canvas, index);
+          } else {
+            await window.api.writeWalkthroughFrame({ data: await encodeCanvas(canvas, 'image/png') });
+          }
+          setRecordingProgress({ frame: index + 1, total: frameCount });
+        }
+      });
+
+      if (!completed) {
+        encoder?.cancel();
+        await Promise.all(writes);
+        await window.api.endWalkthrough();
+        return;
+      }
+      await encoder?.finish();
+      await Promise.all(writes);
+      await window.api.endWalkthrough({ width, height, fps, codecId: encoder?.codecId });
+      setIsWalkthroughOpen(false);
+    } catch (error) {
+      console.error('Failed to render walkthrough:', error);
+      encoder?.cancel();
+      window.api.endWalkthrough();
+    } finally {
+      setRecordingProgress(null);
+    }
+  }, [graphics, viewpoints, walkthrough, boardName]);
+
+  // Asset manager: every file the board uses, the background image included,
+  // checked by the main process whenever that set of files changes while it's
+  // open. `flaggedIds` are images just added that look like ones already on
+  // the board.
+  const [isAssetsOpen, setIsAssetsOpen] = useState(false);
+  const [assetReports, setAssetReports] = useState(null);
+  const [flaggedIds, setFlaggedIds] = useState([]);
+  const assetEntries = useMemo(() => {
+    const background = appearance.background.image;
+    return [
+      ...images.filter((item) => item.type === 'image'),
+      ...(background ? [{ ...background, id: 'background', name: 'Background image' }] : [])
+    ].map(({ id, name, asset, path, url, thumbnailUrl }) => ({
+      id,
+      name: name || 'Untitled image',
+      asset,
+      path,
+      thumbnailUrl: thumbnailUrl ?? url,
+      // Only images that live in memory need their pixels sent across
+      url: url?.startsWith('data:') ? url : undefined
+    }));
+  }, [images, appearance.background.image]);
+  const assetEntriesRef = useRef(assetEntries);
+  assetEntriesRef.current = assetEntries;
+  const assetFilesKey = assetEntries.map(({ id, asset, path }) => `${id}:${asset}:${path}`).join('|');
+
+  useEffect(() => {
+    if (!isAssetsOpen) {
+      setAssetReports(null);
+      setFlaggedIds([]);
+      return;
+    }
+    let isCurrent = true;
+    window.api.inspectAssets(assetEntriesRef.current)
+      .then((reports) => {
+        if (isCurrent) setAssetReports(Object.fromEntries(reports.map((report) => [report.id, report])));
+      })
+      .catch((error) => console.error('Failed to check assets:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [isAssetsOpen, assetFilesKey]);
+
+  const duplicateGroups = useMemo(() => (
+    isAssetsOpen ? findDuplicateGroups(images) : []
+  ), [isAssetsOpen, images]);
+
+  // Relinking skips the undo history, like the asset paths a save records
+  const handleRelinkAsset = useCallback(async (id) => {
+    const entries = assetEntriesRef.current;
+    const needsRelink = entries.filter((entry) => ['missing', 'broken'].includes(assetReports?.[entry.id]?.status));
+    const found = await window.api.relinkAsset(entries.find((entry) => entry.id === id), needsRelink);
+    if (!found) return '';
+
+    setImages((prev) => prev.map((item) => (found[item.id] ? relinkImage(item, found[item.id]) : item)));
+    if (found.background) {
+      setAppearance((prev) => ({
+        ...prev,
+        background: { ...prev.background, image: relinkImage(prev.background.image, found.background) }
+      }));
+    }
+    markDirty();
+    const count = Object.keys(found).length;
+    return count > 1 ? `Relinked ${count} files from that folder` : 'Relinked';
+  }, [assetReports, markDirty]);
+
+  const handleCollectAssets = useCallback(async () => {
+    const collectable = assetEntriesRef.current.filter((entry) => (
+      ['ok', 'unsaved'].includes(assetReports?.[entry.id]?.status) && !assetReports[entry.id].isCollected
+    ));
+    const { assets, failed } = await window.api.collectAssets(collectable);
+    setImages((prev) => withSavedAssets(prev, assets));
+    if (assets.background) {
+      setAppearance((prev) => withBackgroundAsset(prev, assets.background));
+    }
+    markDirty();
+    const copied = `Copied ${pluralize(Object.keys(assets).length, 'file')} into the board folder`;
+    return failed.length > 0 ? `${copied}; ${failed.length} couldn't be read` : copied;
+  }, [assetReports, markDirty]);
+
+  const selectAssets = useCallback((ids) => {
+    setSelectedIds(ids.filter((id) => id !== 'background'));
+    setIsAssetsOpen(false);
+  }, []);
+
+  // Append imported images to the board, around `origin` when it's given.
+  // New images take the slots the current layout would give them.
+  const addImages = useCallback(async (imported, origin) => {
+    if (imported.length === 0) return;
+
+    const added = await createImportedItems(imported);
+    const existing = imagesRef.current;
+    const transforms = arrangeItems(getLayout(layoutId), [...existing, ...added]).slice(existing.length);
+    added.forEach((item, i) => {
+      Object.assign(item, transforms[i]);
+      if (origin) {
+        item.position = [origin.x + (i % 4) * 1.5, origin.y - Math.floor(i / 4) * 1.5, origin.z + i * 0.05];
+      }
     });
+
+    execute(addItemsCommand(`Add ${pluralize(added.length, 'image')}`, added));
+
+    const duplicates = findDuplicatesOf(added, [...existing, ...added]);
+    if (duplicates.length > 0) {
+      setFlaggedIds(duplicates.map(({ item }) => item.id));
+      setIsAssetsOpen(true);
+    }
+  }, [execute, layoutId]);
+
+  // Notes and swatches appear in the middle of the view, focused so the
+  // inspector is ready to edit them
+  const getViewCenter = useCallback(() => {
+    const { target } = controlsRef.current?.getView() ?? view;
+    const center = new THREE.Vector3(...target);
+    return (boardRef.current ? boardRef.current.worldToLocal(center) : center).toArray();
+  }, [view]);
+
+  const addAnnotation = useCallback((item, label) => {
+    Object.assign(item, flat(getViewCenter(), fitScale(item, ANNOTATION_SIZE)));
+    execute(addItemsCommand(label, [item]));
+    setSelectedIds([item.id]);
+    setFocusedId(item.id);
+  }, [execute, getViewCenter]);
+
+  const addNote = useCallback(() => addAnnotation(createNoteItem(), 'Add note'), [addAnnotation]);
+
+  const addSwatch = useCallback((color = DEFAULT_SWATCH_COLOR) => (
+    addAnnotation(createSwatchItem(color), 'Add swatch')
+  ), [addAnnotation]);
+
+  // Wrap the selected items in a new frame, or drop an empty one in view
+  const frameSelection = useCallback(() => {
+    const members = imagesRef.current.filter((item) => selectedIds.includes(item.id) && !isFrame(item));
+    if (members.length === 0) {
+      const frame = createFrameItem(flat(getViewCenter(), [...FRAME_SIZE]));
+      execute(addItemsCommand('Add frame', [frame]));
+      setSelectedIds([frame.id]);
+      return;
+    }
+
+    const frame = createFrameItem(frameAround(members, FRAME_PADDING));
+    const before = Object.fromEntries(members.map((item) => [item.id, { frameId: item.frameId ?? null }]));
+    const after = Object.fromEntries(members.map((item) => [item.id, { frameId: frame.id }]));
+    execute(batchCommand(`Frame ${pluralize(members.length, 'item')}`, [
+      addItemsCommand('', [frame]),
+      updateItemsCommand('', before, after)
+    ]));
+    setSelectedIds([frame.id]);
+  }, [selectedIds, execute, getViewCenter]);
+
+  // Re-arrange every image with a layout engine, as one undoable step
+  const applyLayout = useCallback((id) => {
+    const layout = getLayout(id);
+    setLayoutId(layout.id);
+    markDirty();
+
+    const items = imagesRef.current;
+    if (items.length === 0) return;
+
+    const transforms = arrangeItems(layout, items);
+    const before = {};
+    const after = {};
+    items.forEach((item, i) => {
+      before[item.id] = { position: item.position, rotation: item.rotation, scale: item.scale };
+      after[item.id] = transforms[i];
+    });
+    execute(updateItemsCommand(`Arrange as ${layout.label}`, before, after));
+  }, [execute, markDirty]);
+
+  // Search filter: images outside `matchingIds` fade or collapse away, and
+  // focus stepping and box selection skip them. Null when nothing is filtered.
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [isFilterOpen, setIsFilterOpen] = useState(false);
+  const matchingIds = useMemo(() => (
+    isFilterActive(filter)
+      ? new Set(images.filter((item) => matchesFilter(item, filter)).map((item) => item.id))
+      : null
+  ), [images, filter]);
+  const matchingIdsRef = useRef(matchingIds);
+  matchingIdsRef.current = matchingIds;
+  const boardTags = useMemo(() => countTags(images), [images]);
+
+  // Dominant colours are worked out in the background as images arrive. They
+  // are derived from the pixels, so they skip the undo history and don't
+  // count as edits, but they're saved with the board to avoid redoing them.
+  const analyzingIdsRef = useRef(new Set());
+  useEffect(() => {
+    const analyzing = analyzingIdsRef.current;
+    for (const item of images) {
+      if (item.type !== 'image' || item.palette || item.missing || !item.url || analyzing.has(item.id)) {
+        continue;
+      }
+      analyzing.add(item.id);
+      extractPalette(item.thumbnailUrl ?? item.url)
+        .then((palette) => {
+          // An undo can bring the item back without its palette; let it be redone
+          analyzing.delete(item.id);
+          setImages((prev) => prev.map((other) => (other.id === item.id ? { ...other, palette } : other)));
+        })
+        // Failed images stay marked so they aren't retried on every render
+        .catch((error) => console.warn(`Could not analyze colors of ${item.name}:`, error));
+    }
+  }, [images]);
+
+  // Perceptual hashes, likewise, for images added before they were taken on
+  // import (see addImages)
+  const hashingIdsRef = useRef(new Set());
+  useEffect(() => {
+    const hashing = hashingIdsRef.current;
+    for (const item of images) {
+      if (item.type !== 'image' || item.hash || item.missing || !item.url || hashing.has(item.id)) {
+        continue;
+      }
+      hashing.add(item.id);
+      perceptualHash(item.thumbnailUrl ?? item.url)
+        .then((hash) => {
+          hashing.delete(item.id);
+          setImages((prev) => prev.map((other) => (other.id === item.id ? { ...other, hash } : other)));
+        })
+        .catch((error) => console.warn(`Could not hash ${item.name}:`, error));
+    }
+  }, [images]);
+
+  const boardPalette = useMemo(() => aggregatePalette(images), [images]);
+
+  const handleExportPalette = useCallback(async (format) => {
+    try {
+      await window.api.exportFile({
+        title: 'Export palette',
+        format,
+        name: `${boardName} palette`,
+        data: PALETTE_FORMATS[format](boardPalette, boardName)
+      });
+    } catch (error) {
+      console.error('Failed to export palette:', error);
+    }
+  }, [boardPalette, boardName]);
+
+  // Focus mode: the camera frames one image and the inspector describes it
+  const focusIndex = images.findIndex((item) => item.id === focusedId);
+  const focusedItem = focusIndex === -1 ? null : images[focusIndex];
+
+  const stepFocus = useCallback((delta) => {
+    const matching = matchingIdsRef.current;
+    const items = imagesRef.current.filter(
+      (item) => !matching || matching.has(item.id) || item.id === focusedId
+    );
+    const index = items.findIndex((item) => item.id === focusedId);
+    if (index === -1 || items.length === 0) return;
+    setFocusedId(items[(index + delta + items.length) % items.length].id);
+  }, [focusedId]);
+
+  // Inspector edits: one undoable step per committed field
+  const updateItemMetadata = useCallback((id, fields, label) => {
+    const item = imagesRef.current.find((candidate) => candidate.id === id);
+    if (!item) return;
+    const before = Object.fromEntries(Object.keys(fields).map((key) => [key, item[key]]));
+    execute(updateItemsCommand(label, { [id]: before }, { [id]: fields }));
+  }, [execute]);
+
+  const handleMasonrySelect = useCallback((id, additive) => {
+    setSelectedIds((prev) => {
+      if (!additive) return [id];
+      return prev.includes(id) ? prev.filter((selectedId) => selectedId !== id) : [...prev, id];
+    });
+  }, []);
+
+  const restartScene = useCallback(() => {
+    setSceneKey((prev) => prev + 1);
+    setGraphics(WebGL.isWebGL2Available() ? 'ok' : 'unavailable');
+  }, []);
+
+  // Keep the camera where it was, so the rebuilt scene picks up from there
+  const handleContextLost = useCallback(() => {
+    const current = controlsRef.current?.getView();
+    if (current) setView(current);
+    setGraphics('lost');
+  }, []);
+
+  // Import images picked in the native file dialog, appending them to the board
+  const handleImportImages = useCallback(async () => {
+    setIsImporting(true);
+    try {
+      await addImages(await window.api.importImages());
+    } catch (error) {
+      console.error('Image import failed:', error);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [addImages]);
+
+  // Remote images are downloaded into the board's asset folder by the main
+  // process, so the board only ever renders local copies
+  const [isUrlImportOpen, setIsUrlImportOpen] = useState(false);
+
+  const handleImportUrl = useCallback(async (url) => {
+    setIsImporting(true);
+    try {
+      await addImages([await window.api.importUrl(url)]);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [addImages]);
+
+  const handlePaste = useCallback(async () => {
+    setIsImporting(true);
+    try {
+      await addImages(await window.api.importClipboard());
+    } catch (error) {
+      console.error('Pasted image import failed:', error);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [addImages]);
+
+  // Project a screen point onto the board plane (z = 0), in board-local space
+  const getBoardPoint = useCallback((clientX, clientY) => {
+    const three = threeRef.current;
+    if (!three || !boardRef.current) return null;
+
+    const rect = three.gl.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, three.camera);
+
+    const point = new THREE.Vector3();
+    const hit = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), point);
+    return hit ? boardRef.current.worldToLocal(point) : null;
   }, []);
 
-  // Enhanced wheel handler for smooth zooming
+  const handleDragOver = useCallback((event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }, []);
+
+  // Files, folders, URLs and images dragged out of other apps all land here
+  const handleDrop = useCallback(async (event) => {
+    event.preventDefault();
+    const origin = getBoardPoint(event.clientX, event.clientY);
+
+    // DataTransfer is only readable during the event, so grab everything up front
+    const paths = [];
+    const blobs = [];
+    for (const file of event.dataTransfer.files) {
+      const path = window.api.getPathForFile(file);
+      if (path) {
+        paths.push(path);
+      } else if (file.type.startsWith('image/')) {
+        blobs.push(file);
+      }
+    }
+    const url = (event.dataTransfer.getData('text/uri-list') || event.dataTransfer.getData('text/plain'))
+      .split('\n')
+      .map((line) => line.trim())
+      .find((line) => line && !line.startsWith('#') && /^(https?|file):/.test(line));
+
+    setIsImporting(true);
+    try {
+      const imported = [];
+      if (paths.length > 0) {
+        imported.push(...(await window.api.importPaths(paths)));
+      }
+      if (blobs.length > 0) {
+        imported.push(...(await Promise.all(blobs.map(readBlobImage))));
+      }
+      if (imported.length === 0 && url) {
+        imported.push(await window.api.importUrl(url));
+      }
+      await addImages(imported, origin);
+    } catch (error) {
+      console.error('Dropped image import failed:', error);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [addImages, getBoardPoint]);
+
+  // Wheel dollies the camera towards whatever is under the cursor
   const handleWheel = useCallback((event) => {
+    // Let the 2D view scroll natively
+    if (event.target.closest('.masonry-view')) return;
     event.preventDefault();
-    
-    setZoomLevel((prevZoom) => {
-      const zoomSpeed = 0.002;
-      const newZoom = prevZoom - event.deltaY * zoomSpeed;
-      return Math.max(0.3, Math.min(newZoom, 8));
-    });
+
+    controlsRef.current?.dolly(event.deltaY, event.clientX, event.clientY);
   }, []);
 
-  // Mouse drag handlers for panning
+  // Mouse drag handlers for panning and orbiting. The left button does
+  // whatever the navigation mode says; the other buttons do the opposite.
   const handleMouseDown = useCallback((event) => {
-    setIsDragging(true);
-    setDragStart({ x: event.clientX, y: event.clientY });
-  }, []);
+    // Pointer went down on an item or gizmo handle: that's an edit, not a pan
+    if (manipulation.isManipulatingRef.current) return;
+
+    if (event.shiftKey) {
+      const rect = canvasRef.current.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      setMarquee({ x0: x, y0: y, x1: x, y1: y });
+      return;
+    }
+
+    const primary = event.button === 0;
+    const orbit = navigationMode === 'orbit' ? primary : !primary;
+    setDragMode(orbit ? 'orbit' : 'pan');
+    lastPointerRef.current = { x: event.clientX, y: event.clientY };
+  }, [manipulation.isManipulatingRef, navigationMode]);
 
   const handleMouseMove = useCallback((event) => {
-    if (!isDragging) return;
-    
-    const deltaX = event.clientX - dragStart.x;
-    const deltaY = event.clientY - dragStart.y;
+    if (marquee) {
+      const rect = canvasRef.current.getBoundingClientRect();
+      setMarquee((prev) => prev && {
+        ...prev,
+        x1: event.clientX - rect.left,
+        y1: event.clientY - rect.top
+      });
+      return;
+    }
+
+    if (!dragMode || !controlsRef.current) return;
     
-    setPanOffset({
-      x: deltaX * 0.05,
-      y: -deltaY * 0.05
-    });
-  }, [isDragging, dragStart]);
+    const deltaX = event.clientX - lastPointerRef.current.x;
+    const deltaY = event.clientY - lastPointerRef.current.y;
+    lastPointerRef.current = { x: event.clientX, y: event.clientY };
 
-  const handleMouseUp = useCallback(() => {
-    setIsDragging(false);
-    // Smoothly return to center
-    setPanOffset({ x: 0, y: 0 });
+    if (dragMode === 'orbit') {
+      controlsRef.current.orbit(deltaX, deltaY);
+    } else {
+      controlsRef.current.pan(deltaX, deltaY);
+    }
+  }, [dragMode, marquee]);
+
+  // Add every item whose center projects inside the marquee to the selection
+  const selectInMarquee = useCallback((rect) => {
+    const three = threeRef.current;
+    if (!three || !boardRef.current) return;
+
+    const { width, height } = canvasRef.current.getBoundingClientRect();
+    const left = Math.min(rect.x0, rect.x1);
+    const right = Math.max(rect.x0, rect.x1);
+    const top = Math.min(rect.y0, rect.y1);
+    const bottom = Math.max(rect.y0, rect.y1);
+
+    const matching = matchingIdsRef.current;
+    const ids = imagesRef.current
+      .filter((item) => {
+        if (matching && !matching.has(item.id)) return false;
+        const projected = boardRef.current
+          .localToWorld(new THREE.Vector3(...item.position))
+          .project(three.camera);
+        const x = ((projected.x + 1) / 2) * width;
+        const y = ((1 - projected.y) / 2) * height;
+        return projected.z < 1 && x >= left && x <= right && y >= top && y <= bottom;
+      })
+      .map((item) => item.id);
+
+    setSelectedIds((prev) => [...new Set([...prev, ...ids])]);
   }, []);
 
-  // Keyboard controls for navigation
+  const handleMouseUp = useCallback(() => {
+    manipulation.isManipulatingRef.current = false;
+    if (marquee) {
+      selectInMarquee(marquee);
+      setMarquee(null);
+      return;
+    }
+
+    setDragMode(null);
+  }, [marquee, selectInMarquee, manipulation.isManipulatingRef]);
+
+  // What each keymap command does. Menu clicks and key presses both land
+  // here; the ref keeps it current without re-subscribing the listeners.
+  const commandsRef = useRef({});
+  const panBy = (x, y) => controlsRef.current?.pan(x, y);
+  commandsRef.current = {
+    'file.newBoard': handleNewBoard,
+    'window.new': () => window.api.openWindow({ blank: true }),
+    'file.library': () => setIsLibraryOpen(true),
+    'file.open': () => handleOpenBoard(),
+    'file.save': () => handleSaveBoard(),
+    'file.saveAs': () => handleSaveBoard({ saveAs: true }),
+    'file.saveTemplate': handleSaveTemplate,
+    'file.export': () => setIsExportOpen(true),
+    'file.walkthrough': () => setIsWalkthroughOpen(true),
+    'file.share': () => setIsSessionOpen(true),
+    'file.assets': () => setIsAssetsOpen(true),
+    'app.keymap': () => setIsKeymapOpen(true),
+    'edit.undo': undo,
+    'edit.redo': redo,
+    'edit.delete': deleteSelection,
+    'edit.search': () => setIsFilterOpen(true),
+    'view.reset': () => setView({ ...HOME_VIEW }),
+    'view.toggleMode': () => setViewMode((prev) => (prev === '3d' ? '2d' : '3d')),
+    'view.toggleNavigation': () => setNavigationMode((prev) => (prev === 'orbit' ? 'pan' : 'orbit')),
+    'view.appearance': () => setIsAppearanceOpen(true),
+    'view.slides': () => setIsSlidesOpen(true),
+    'present.start': () => startPresentation(),
+    'present.next': () => presentation && goToSlide(presentation.index + 1),
+    'present.previous': () => presentation && goToSlide(presentation.index - 1),
+    'present.first': () => presentation && goToSlide(0),
+    'present.last': () => presentation && goToSlide(slides.length - 1),
+    'present.blank': () => setPresentation((prev) => prev && { ...prev, isBlank: !prev.isBlank }),
+    'present.exit': stopPresentation,
+    'view.togglePerformance': () => setPreference('performanceMode', performanceMode ? 'off' : 'on'),
+    'view.toggleStats': () => setIsStatsOpen((prev) => !prev),
+    'view.panUp': () => panBy(0, ARROW_PAN_STEP),
+    'view.panDown': () => panBy(0, -ARROW_PAN_STEP),
+    'view.panLeft': () => panBy(ARROW_PAN_STEP, 0),
+    'view.panRight': () => panBy(-ARROW_PAN_STEP, 0),
+    'board.addImages': handleImportImages,
+    'board.addFromUrl': () => setIsUrlImportOpen(true),
+    'board.paste': handlePaste,
+    'board.addNote': addNote,
+    'board.addSwatch': () => addSwatch(boardPalette[0]?.hex),
+    'board.frameSelection': frameSelection,
+    'focus.previous': () => stepFocus(-1),
+    'focus.next': () => stepFocus(1),
+    'focus.exit': () => setFocusedId(null),
+    ...Object.fromEntries(viewpoints.slice(0, 9).map((viewpoint, i) => (
+      [`viewpoint.${i + 1}`, () => recallViewpoint(viewpoint)]
+    )))
+  };
+
+  // The menu is built from the keymap, so remapped shortcuts show up there
+  useEffect(() => {
+    window.api.setMenu(buildMenuSections(keymap));
+  }, [keymap]);
+
+  useEffect(() => window.api.onMenuCommand((id) => {
+    // Undo and Redo in a text field mean the field's own history
+    if (isTextInput(document.activeElement) && (id === 'edit.undo' || id === 'edit.redo')) {
+      document.execCommand(id === 'edit.undo' ? 'undo' : 'redo');
+      return;
+    }
+    commandsRef.current[id]?.();
+  }), []);
+
+  // The speaker notes window has its own buttons for the same commands
+  useEffect(() => window.api.onPresentationNavigate((action) => {
+    commandsRef.current[`present.${action}`]?.();
+  }), []);
+
+  // Fly commands held down, by the physical key holding them
+  const heldKeysRef = useRef(new Map());
+
   const handleKeyDown = useCallback((event) => {
-    const moveSpeed = 2;
-    switch (event.key) {
-      case 'ArrowUp':
-      case 'w':
-        setTargetPosition((prev) => [prev[0], prev[1] + moveSpeed, prev[2]]);
-        break;
-      case 'ArrowDown':
-      case 's':
-        setTargetPosition((prev) => [prev[0], prev[1] - moveSpeed, prev[2]]);
-        break;
-      case 'ArrowLeft':
-      case 'a':
-        setTargetPosition((prev) => [prev[0] - moveSpeed, prev[1], prev[2]]);
-        break;
-      case 'ArrowRight':
-      case 'd':
-        setTargetPosition((prev) => [prev[0] + moveSpeed, prev[1], prev[2]]);
-        break;
-      case ' ':
-        event.preventDefault();
-        setTargetPosition([0, 0, 35]);
-        setZoomLevel(1);
-        break;
-      default:
-        break;
+    if (event.defaultPrevented) return;
+    const isTyping = isTextInput(event.target);
+    const isModalOpen = isLibraryOpen || isKeymapOpen || isSessionOpen || isAssetsOpen;
+    if (isModalOpen && !isTyping && event.key === 'Escape') {
+      setIsLibraryOpen(false);
+      setIsKeymapOpen(false);
+      setIsSessionOpen(false);
+      setIsAssetsOpen(false);
+      return;
+    }
+    if ((isAppearanceOpen || isSlidesOpen) && !isTyping && event.key === 'Escape') {
+      setIsAppearanceOpen(false);
+      setIsSlidesOpen(false);
+      return;
+    }
+
+    const chord = chordFromEvent(event);
+    if (!chord) return;
+    const context = isTyping
+      ? 'typing'
+      : isModalOpen ? 'modal' : presentation ? 'present' : focusedId ? 'focus' : 'board';
+    const command = findCommand(keymap, chord, context);
+    if (!command) return;
+    event.preventDefault();
+
+    // Held fly commands are applied every frame by CameraControls
+    if (command.hold) {
+      flyKeysRef.current.add(command.id);
+      heldKeysRef.current.set(event.code, command.id);
+      return;
     }
+    commandsRef.current[command.id]?.();
+  }, [
+    keymap,
+    isLibraryOpen,
+    isKeymapOpen,
+    isSessionOpen,
+    isAssetsOpen,
+    isAppearanceOpen,
+    isSlidesOpen,
+    presentation,
+    focusedId
+  ]);
+
+  const handleKeyUp = useCallback((event) => {
+    const id = heldKeysRef.current.get(event.code);
+    if (!id) return;
+    heldKeysRef.current.delete(event.code);
+    flyKeysRef.current.delete(id);
+  }, []);
+
+  // Keys released while the window is unfocused never send keyup
+  const handleBlur = useCallback(() => {
+    heldKeysRef.current.clear();
+    flyKeysRef.current.clear();
   }, []);
 
   // Setup event listeners
@@ -345,6 +1978,11 @@ const Moodboard3D = () => {
     document.addEventListener('mousemove', handleMouseMove);
     document.addEventListener('mouseup', handleMouseUp);
     document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    // Right-drag orbits (or pans), so keep the context menu out of the way
+    const preventContextMenu = (event) => event.preventDefault();
+    container.addEventListener('contextmenu', preventContextMenu);
 
     return () => {
       container.removeEventListener('wheel', handleWheel);
@@ -352,70 +1990,11 @@ const Moodboard3D = () => {
       document.removeEventListener('mousemove', handleMouseMove);
       document.removeEventListener('mouseup', handleMouseUp);
       document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      container.removeEventListener('contextmenu', preventContextMenu);
     };
-  }, [handleWheel, handleMouseDown, handleMouseMove, handleMouseUp, handleKeyDown]);
-
-  // Scroll component with progress tracking
-  function ScrollContent() {
-    const scroll = useScroll();
-    
-    useFrame(() => {
-      if (scroll) {
-        setScrollProgress(scroll.offset);
-      }
-    });
-
-    return (
-      <Scroll>
-        {imageElements.map((image, index) => (
-          <ImagePlane
-            key={index}
-            url={image.url}
-            position={image.position}
-            rotation={image.rotation}
-            scale={image.scale}
-            index={index}
-            scrollOffset={scroll?.offset || 0}
-          />
-        ))}
-      </Scroll>
-    );
-  }
-
-  // Error boundary for Canvas
-  if (canvasError) {
-    return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-        color: 'white',
-        fontFamily: 'Arial, sans-serif',
-        textAlign: 'center'
-      }}>
-        <div>
-          <h2>WebGL Context Error</h2>
-          <p>Unable to initialize 3D graphics. Please try refreshing the page.</p>
-          <button 
-            onClick={() => window.location.reload()}
-            style={{
-              padding: '10px 20px',
-              background: 'rgba(255,255,255,0.2)',
-              border: '1px solid white',
-              color: 'white',
-              borderRadius: '5px',
-              cursor: 'pointer'
-            }}
-          >
-            Refresh Page
-          </button>
-        </div>
-      </div>
-    );
-  }
+  }, [handleWheel, handleMouseDown, handleMouseMove, handleMouseUp, handleKeyDown, handleKeyUp, handleBlur]);
 
   return (
     <div 
@@ -424,105 +2003,416 @@ const Moodboard3D = () => {
       style={{ 
         width: '100vw', 
         height: '100vh', 
-        cursor: isDragging ? 'grabbing' : 'grab',
+        cursor: dragMode ? 'grabbing' : 'grab',
         position: 'relative',
         overflow: 'hidden'
       }}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
     >
-      {/* Controls UI */}
-      <div style={{
-        position: 'absolute',
-        top: '20px',
-        left: '20px',
-        zIndex: 1000,
-        color: 'white',
-        fontFamily: 'Arial, sans-serif',
-        fontSize: '14px',
-        background: 'rgba(0, 0, 0, 0.7)',
-        padding: '10px',
-        borderRadius: '5px',
-        backdropFilter: 'blur(10px)'
-      }}>
-        <div>Mouse Wheel: Zoom</div>
-        <div>Drag: Pan</div>
-        <div>WASD/Arrows: Navigate</div>
-        <div>Space: Reset</div>
-        <div>Zoom: {zoomLevel.toFixed(2)}x</div>
-      </div>
-
-      <ScrollIndicator scrollProgress={scrollProgress} />
-
-      <Canvas
-        camera={{ position: [0, 0, 35], fov: 75 }}
-        gl={{ 
-          antialias: true,
-          alpha: true,
-          powerPreference: 'high-performance',
-          failIfMajorPerformanceCaveat: false // Allow fallback
-        }}
-        dpr={Math.min(window.devicePixelRatio, 2)}
-        onError={(error) => {
-          console.error('Canvas error:', error);
-          setCanvasError(error);
-        }}
-        onCreated={(state) => {
-          // Handle WebGL context lost
-          state.gl.domElement.addEventListener('webglcontextlost', (event) => {
-            event.preventDefault();
-            console.warn('WebGL context lost');
-            setCanvasError('WebGL context lost');
-          });
-        }}
-      >
-        {/* Enhanced lighting setup */}
-        <ambientLight intensity={0.6} />
-        <directionalLight position={[10, 10, 5]} intensity={0.8} />
-        <pointLight position={[-10, -10, -10]} intensity={0.4} />
-        <spotLight 
-          position={[0, 0, 20]} 
-          angle={0.3} 
-          penumbra={0.5} 
-          intensity={0.5}
-          castShadow
+      {/* The board alone while presenting */}
+      {!presentation && (
+        <>
+          {/* Controls UI */}
+          <div style={{
+            position: 'absolute',
+            top: '20px',
+            left: '20px',
+            zIndex: 1000,
+            color: 'white',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '14px',
+            background: 'rgba(0, 0, 0, 0.7)',
+            padding: '10px',
+            borderRadius: '5px',
+            backdropFilter: 'blur(10px)'
+          }}>
+            <div>Mouse Wheel: Zoom to cursor</div>
+            <div>{navigationMode === 'orbit' ? 'Drag: Orbit, Right-drag: Pan' : 'Drag: Pan, Right-drag: Orbit'}</div>
+            <div>Click: Select (Shift: add)</div>
+            <div>Shift+Drag: Box select</div>
+            <div>Drag image: Move (Alt: depth)</div>
+            <div>Double-click: Focus</div>
+            {/* Keyboard lines follow the active keymap */}
+            {buildHelpLines(keymap).map(({ label, keys }) => (
+              <div key={label}>{keys}: {label}</div>
+            ))}
+            <div>Drop files, folders or URLs to add images</div>
+            <button
+              onClick={() => setNavigationMode((prev) => (prev === 'orbit' ? 'pan' : 'orbit'))}
+              onMouseDown={(event) => event.stopPropagation()}
+              style={{
+                marginTop: '8px',
+                marginRight: '6px',
+                padding: '6px 12px',
+                background: navigationMode === 'orbit' ? 'rgba(78, 205, 196, 0.5)' : 'rgba(255,255,255,0.2)',
+                border: '1px solid white',
+                color: 'white',
+                borderRadius: '5px',
+                cursor: 'pointer'
+              }}
+            >
+              {navigationMode === 'orbit' ? 'Orbit mode' : 'Pan mode'}
+            </button>
+            <button
+              onClick={handleImportImages}
+              onMouseDown={(event) => event.stopPropagation()}
+              disabled={isImporting}
+              style={{
+                marginTop: '8px',
+                padding: '6px 12px',
+                background: 'rgba(255,255,255,0.2)',
+                border: '1px solid white',
+                color: 'white',
+                borderRadius: '5px',
+                cursor: isImporting ? 'wait' : 'pointer'
+              }}
+            >
+              {isImporting ? 'Adding…' : 'Add images'}
+            </button>
+            <button
+              onClick={() => setIsUrlImportOpen(true)}
+              onMouseDown={(event) => event.stopPropagation()}
+              disabled={isImporting}
+              title="Download an image into the board"
+              style={{
+                marginTop: '8px',
+                marginLeft: '6px',
+                padding: '6px 12px',
+                background: 'rgba(255,255,255,0.2)',
+                border: '1px solid white',
+                color: 'white',
+                borderRadius: '5px',
+                cursor: isImporting ? 'wait' : 'pointer'
+              }}
+            >
+              From URL
+            </button>
+            <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+              {[
+                { label: 'Note', title: `Add a sticky note${shortcutHint('board.addNote')}`, onClick: addNote },
+                { label: 'Swatch', title: 'Add a color swatch', onClick: () => addSwatch(boardPalette[0]?.hex) },
+                { label: 'Frame', title: `Frame the selection${shortcutHint('board.frameSelection')}`, onClick: frameSelection }
+              ].map(({ label, title, onClick }) => (
+                <button
+                  key={label}
+                  title={title}
+                  onClick={onClick}
+                  onMouseDown={(event) => event.stopPropagation()}
+                  style={{
+                    padding: '6px 12px',
+                    background: 'rgba(255,255,255,0.2)',
+                    border: '1px solid white',
+                    color: 'white',
+                    borderRadius: '5px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <BoardMenu
+            boardName={boardName}
+            isDirty={isDirty}
+            recentBoards={recentBoards}
+            onShowLibrary={() => setIsLibraryOpen(true)}
+            onOpen={handleOpenBoard}
+            onSave={handleSaveBoard}
+            onExport={() => setIsExportOpen(true)}
+            onWalkthrough={() => setIsWalkthroughOpen(true)}
+            onSlides={() => setIsSlidesOpen(true)}
+            onAssets={() => setIsAssetsOpen(true)}
+            onAppearance={() => setIsAppearanceOpen(true)}
+            onShare={() => setIsSessionOpen(true)}
+            sessionSize={collaboration.session ? collaboration.peers.length + 1 : null}
+          />
+
+          {isLibraryOpen && (
+            <BoardLibrary
+              recentBoards={recentBoards}
+              onOpen={handleOpenBoard}
+              onOpenInWindow={(filePath) => window.api.openWindow({ filePath })}
+              templates={savedTemplates}
+              onNew={() => handleNewBoard()}
+              onNewFromTemplate={handleNewBoard}
+              onNewWindow={() => window.api.openWindow({ blank: true })}
+              onBrowse={() => handleOpenBoard()}
+              onClose={() => setIsLibraryOpen(false)}
+            />
+          )}
+
+          {isStatsOpen && (
+            <StatsOverlay
+              stats={renderStats}
+              performanceMode={performanceMode}
+              preference={performancePreference}
+              onPreferenceChange={(mode) => setPreference('performanceMode', mode)}
+              onClose={() => setIsStatsOpen(false)}
+            />
+          )}
+
+          {isAppearanceOpen && (
+            <AppearancePanel
+              appearance={appearance}
+              reducedMotion={reducedMotionPreference}
+              systemPrefersReduced={systemPrefersReduced}
+              onChange={handleAppearanceChange}
+              onChooseImage={handleChooseBackground}
+              onReducedMotionChange={(mode) => setPreference('reducedMotion', mode)}
+              onClose={() => setIsAppearanceOpen(false)}
+            />
+          )}
+
+          {isSlidesOpen && (
+            <SlidesPanel
+              slides={slides}
+              selectedCount={selectedIds.length}
+              canPresent={graphics === 'ok'}
+              onAdd={addSlide}
+              onUpdate={updateSlide}
+              onChange={changeSlide}
+              onMove={moveSlideBy}
+              onRemove={removeSlide}
+              onShow={showSlide}
+              onPresent={startPresentation}
+              onClose={() => setIsSlidesOpen(false)}
+            />
+          )}
+
+          {isSessionOpen && (
+            <SessionPanel
+              session={collaboration.session}
+              peers={collaboration.peers}
+              notice={collaboration.notice}
+              defaultName={preferences.displayName ?? ''}
+              canJoin={!hasUnsavedWork}
+              onHost={handleHostSession}
+              onJoin={handleJoinSession}
+              onLeave={collaboration.leave}
+              onClose={() => setIsSessionOpen(false)}
+            />
+          )}
+
+          {isAssetsOpen && (
+            <AssetManager
+              entries={assetEntries}
+              reports={assetReports}
+              duplicateGroups={duplicateGroups}
+              flaggedIds={flaggedIds}
+              onRelink={handleRelinkAsset}
+              onCollect={handleCollectAssets}
+              onSelect={selectAssets}
+              onClose={() => setIsAssetsOpen(false)}
+            />
+          )}
+
+          {isUrlImportOpen && (
+            <UrlImportDialog onImport={handleImportUrl} onClose={() => setIsUrlImportOpen(false)} />
+          )}
+
+          {isKeymapOpen && (
+            <KeymapSettings
+              overrides={keymapOverrides}
+              onChange={(overrides) => setPreference('keymap', overrides)}
+              onClose={() => setIsKeymapOpen(false)}
+            />
+          )}
+
+          {isWalkthroughOpen && (
+            <WalkthroughDialog
+              viewpointCount={viewpoints.length}
+              settings={walkthrough}
+              progress={recordingProgress}
+              onSettingsChange={handleWalkthroughSettings}
+              onRecord={handleRecordWalkthrough}
+              onCancel={() => {
+                cancelRecordingRef.current = true;
+              }}
+              onClose={() => setIsWalkthroughOpen(false)}
+            />
+          )}
+
+          {isExportOpen && (
+            <ExportDialog
+              viewpointCount={viewpoints.length}
+              isExporting={isExporting}
+              onExport={handleExport}
+              onClose={() => setIsExportOpen(false)}
+            />
+          )}
+        </>
+      )}
+
+      {presentation && (
+        <PresentationOverlay
+          index={presentation.index}
+          total={slides.length}
+          isBlank={presentation.isBlank}
         />
+      )}
 
-        <CameraControls 
-          zoomLevel={zoomLevel} 
-          panOffset={panOffset}
-          targetPosition={targetPosition}
+      {graphics !== 'ok' && <GraphicsNotice status={graphics} onRetry={restartScene} />}
+
+      {!presentation && (
+        <>
+          {shownViewMode === '3d' && (
+            <ViewpointMenu
+              viewpoints={viewpoints}
+              onRecall={recallViewpoint}
+              onAdd={addViewpoint}
+              onRemove={removeViewpoint}
+            />
+          )}
+
+          <ScrollIndicator scrollProgress={scrollProgress} />
+
+          <FilterPanel
+            isOpen={isFilterOpen}
+            filter={filter}
+            tags={boardTags}
+            matchCount={matchingIds?.size ?? images.length}
+            totalCount={images.length}
+            onToggle={() => setIsFilterOpen((prev) => !prev)}
+            onChange={setFilter}
+          />
+
+          {marquee && <Marquee rect={marquee} />}
+
+          <PaletteStrip colors={boardPalette} onExport={handleExportPalette} />
+
+          <HistoryPanel history={history} />
+
+          <LayoutControls
+            layoutId={layoutId}
+            viewMode={shownViewMode}
+            is3dAvailable={graphics === 'ok'}
+            onLayoutChange={applyLayout}
+            onViewModeChange={setViewMode}
+          />
+
+          {focusedItem && (
+            <InspectorPanel
+              key={focusedItem.id}
+              item={focusedItem}
+              position={focusIndex}
+              total={images.length}
+              boardTags={boardTags.map(({ tag }) => tag)}
+              onPrevious={() => stepFocus(-1)}
+              onNext={() => stepFocus(1)}
+              onClose={() => setFocusedId(null)}
+              onChange={(fields, label) => updateItemMetadata(focusedItem.id, fields, label)}
+            />
+          )}
+        </>
+      )}
+
+      {shownViewMode === '2d' && (
+        <MasonryView
+          items={matchingIds ? imageElements.filter((item) => matchingIds.has(item.id)) : imageElements}
+          selectedIds={selectedIds}
+          onSelect={handleMasonrySelect}
+          onOpen={setFocusedId}
         />
+      )}
 
-        <ScrollControls 
-          pages={6} 
-          infinite 
-          horizontal
-          damping={0.2}
+      {graphics !== 'unavailable' && (
+        <SceneBoundary
+          key={sceneKey}
+          onError={(error) => {
+            console.error('Canvas error:', error);
+            setGraphics('unavailable');
+          }}
         >
-          <ScrollContent />
-        </ScrollControls>
-
-        {/* Background gradient */}
-        <mesh position={[0, 0, -50]} scale={[100, 100, 1]}>
-          <planeGeometry />
-          <meshBasicMaterial>
-            <primitive 
-              attach="map"
-              object={new THREE.CanvasTexture((() => {
-                const canvas = document.createElement('canvas');
-                canvas.width = canvas.height = 256;
-                const ctx = canvas.getContext('2d');
-                const gradient = ctx.createRadialGradient(128, 128, 0, 128, 128, 128);
-                gradient.addColorStop(0, '#1a1a2e');
-                gradient.addColorStop(0.5, '#16213e');
-                gradient.addColorStop(1, '#0f0f23');
-                ctx.fillStyle = gradient;
-                ctx.fillRect(0, 0, 256, 256);
-                return canvas;
-              })())} 
+          <Canvas
+            camera={{ position: [0, 0, 35], fov: 75 }}
+            // Recordings step the scene themselves at a fixed timestep
+            frameloop={recordingProgress !== null ? 'never' : 'always'}
+            gl={{ 
+              antialias: true,
+              alpha: true,
+              powerPreference: 'high-performance',
+              failIfMajorPerformanceCaveat: false // Allow fallback
+            }}
+            dpr={Math.min(window.devicePixelRatio, 2)}
+            onPointerMissed={(event) => {
+              // Clicking empty space clears the selection; shift keeps it for marquee picks
+              if (!event.shiftKey) setSelectedIds([]);
+            }}
+            onCreated={(state) => {
+              threeRef.current = state;
+
+              // Show the 2D board while the context is gone, and rebuild the
+              // scene once the browser hands it back
+              const canvas = state.gl.domElement;
+              canvas.addEventListener('webglcontextlost', (event) => {
+                event.preventDefault();
+                console.warn('WebGL context lost');
+                handleContextLost();
+              });
+              canvas.addEventListener('webglcontextrestored', () => {
+                console.warn('WebGL context restored');
+                restartScene();
+              });
+            }}
+          >
+            {/* Lighting from the board's preset */}
+            <ambientLight {...lightPreset.ambient} />
+            <directionalLight {...lightPreset.directional} />
+            <pointLight {...lightPreset.point} />
+            <spotLight 
+              {...lightPreset.spot}
+              angle={0.3} 
+              penumbra={0.5} 
+              castShadow
+            />
+
+            <CameraControls 
+              view={view}
+              focus={focusedItem}
+              boardRef={boardRef}
+              controlsRef={controlsRef}
+              flyKeysRef={flyKeysRef}
             />
-          </meshBasicMaterial>
-        </mesh>
-      </Canvas>
+
+            <SceneExporter exporterRef={exporterRef} backgroundRef={backgroundRef} boardRef={boardRef} />
+
+            <ScrollControls 
+              pages={6} 
+              infinite 
+              horizontal
+              damping={0.2}
+            >
+              <BoardContent
+                boardRef={boardRef}
+                items={imageElements}
+                selectedIds={selectedIds}
+                focusedId={focusedId}
+                matchingIds={presentation ? highlightedIds : matchingIds}
+                hideMode={presentation ? 'fade' : filter.hideMode}
+                manipulation={manipulation}
+                holdScroll={recordingProgress !== null}
+                performanceMode={performanceMode}
+                statsRef={renderStatsRef}
+                look={look}
+                peers={collaboration.peers}
+                onFocusItem={setFocusedId}
+                onScrollProgress={setScrollProgress}
+              />
+            </ScrollControls>
+
+            {collaboration.session && (
+              <PresenceReporter boardRef={boardRef} onReport={collaboration.publishPresence} />
+            )}
+
+            {isStatsOpen && <StatsProbe statsRef={renderStatsRef} onSample={setRenderStats} />}
+
+            <SceneBackground backgroundRef={backgroundRef} background={appearance.background} />
+          </Canvas>
+        </SceneBoundary>
+      )}
     </div>
   );
 };
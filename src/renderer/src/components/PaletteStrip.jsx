@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { formatColor } from '../lib/color'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const EXPORT_FORMATS = [
+  { id: 'ase', label: 'Adobe (.ase)' },
+  { id: 'gpl', label: 'GIMP (.gpl)' },
+  { id: 'css', label: 'CSS variables' }
+]
+
+// The board's dominant colours. Clicking a swatch copies it as HEX or RGB;
+// the whole palette can be copied or exported as a swatch file.
+function PaletteStrip({ colors, onExport }) {
+  const [format, setFormat] = useState('hex')
+  const [copied, setCopied] = useState(null)
+
+  if (colors.length === 0) return null
+
+  const copy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(text)
+    } catch (error) {
+      console.error('Failed to copy color:', error)
+    }
+  }
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1000,
+        display: 'flex',
+        gap: '8px',
+        alignItems: 'center',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '12px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '6px 10px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex' }}>
+        {colors.map(({ hex }) => {
+          const text = formatColor(hex, format)
+          return (
+            <button
+              key={hex}
+              title={`Copy ${text}`}
+              onClick={() => copy(text)}
+              style={{
+                width: '28px',
+                height: '28px',
+                padding: 0,
+                background: hex,
+                border: copied === text ? '2px solid white' : 'none',
+                cursor: 'pointer'
+              }}
+            />
+          )
+        })}
+      </div>
+
+      <button
+        style={buttonStyle}
+        onClick={() => setFormat((prev) => (prev === 'hex' ? 'rgb' : 'hex'))}
+        title="Format used when copying"
+      >
+        {format.toUpperCase()}
+      </button>
+      <button
+        style={buttonStyle}
+        onClick={() => copy(colors.map(({ hex }) => formatColor(hex, format)).join('\n'))}
+      >
+        Copy all
+      </button>
+      <select
+        value=""
+        onChange={(event) => onExport(event.target.value)}
+        style={{ ...buttonStyle, background: 'rgba(0, 0, 0, 0.6)' }}
+      >
+        <option value="" disabled>
+          Export…
+        </option>
+        {EXPORT_FORMATS.map(({ id, label }) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      <span style={{ minWidth: '110px', opacity: 0.8 }}>
+        {copied && (copied.includes('\n') ? 'Copied palette' : `Copied ${copied}`)}
+      </span>
+    </div>
+  )
+}
+
+PaletteStrip.propTypes = {
+  colors: PropTypes.arrayOf(
+    PropTypes.shape({
+      hex: PropTypes.string.isRequired,
+      weight: PropTypes.number.isRequired
+    })
+  ).isRequired,
+  onExport: PropTypes.func.isRequired
+}
+
+export default PaletteStrip
@@ -0,0 +1,89 @@
+import PropTypes from 'prop-types'
+import { Html, Line } from '@react-three/drei'
+
+// How far out from each peer's camera its view is sketched
+const FRUSTUM_DEPTH = 3
+const CURSOR_RADIUS = 0.25
+
+// Pyramid from the camera to a rectangle FRUSTUM_DEPTH ahead, as segment pairs
+function frustumSegments(fov, aspect) {
+  const halfHeight = Math.tan((fov * Math.PI) / 360) * FRUSTUM_DEPTH
+  const halfWidth = halfHeight * aspect
+  const corners = [
+    [-halfWidth, -halfHeight, -FRUSTUM_DEPTH],
+    [halfWidth, -halfHeight, -FRUSTUM_DEPTH],
+    [halfWidth, halfHeight, -FRUSTUM_DEPTH],
+    [-halfWidth, halfHeight, -FRUSTUM_DEPTH]
+  ]
+  return corners.flatMap((corner, i) => [[0, 0, 0], corner, corner, corners[(i + 1) % 4]])
+}
+
+const labelStyle = (color) => ({
+  padding: '2px 6px',
+  borderRadius: '4px',
+  background: color,
+  color: '#111',
+  fontFamily: 'Arial, sans-serif',
+  fontSize: '11px',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+})
+
+// Other people in a shared session, drawn in the board group: a ring where
+// each one's pointer is, and the outline of what their camera sees. Poses
+// come from PresenceReporter, so they're already in board-local space.
+function PeerPresence({ peers }) {
+  return (
+    <group userData={{ hideInExport: true }}>
+      {peers.map(({ id, name, color, cursor, camera }) => (
+        <group key={id}>
+          {cursor && (
+            <group position={cursor}>
+              <mesh position={[0, 0, 0.05]}>
+                <ringGeometry args={[CURSOR_RADIUS * 0.6, CURSOR_RADIUS, 24]} />
+                <meshBasicMaterial color={color} />
+              </mesh>
+              <Html position={[CURSOR_RADIUS, -CURSOR_RADIUS, 0]} zIndexRange={[900, 0]}>
+                <div style={labelStyle(color)}>{name}</div>
+              </Html>
+            </group>
+          )}
+          {camera && (
+            <group position={camera.position} quaternion={camera.quaternion}>
+              <Line
+                points={frustumSegments(camera.fov, camera.aspect)}
+                segments
+                color={color}
+                lineWidth={1.5}
+              />
+              {!cursor && (
+                <Html zIndexRange={[900, 0]}>
+                  <div style={labelStyle(color)}>{name}</div>
+                </Html>
+              )}
+            </group>
+          )}
+        </group>
+      ))}
+    </group>
+  )
+}
+
+PeerPresence.propTypes = {
+  peers: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+      cursor: PropTypes.arrayOf(PropTypes.number),
+      camera: PropTypes.shape({
+        position: PropTypes.arrayOf(PropTypes.number).isRequired,
+        quaternion: PropTypes.arrayOf(PropTypes.number).isRequired,
+        fov: PropTypes.number.isRequired,
+        aspect: PropTypes.number.isRequired
+      })
+    })
+  ).isRequired
+}
+
+export default PeerPresence
@@ -0,0 +1,54 @@
+import { useRef } from 'react'
+import PropTypes from 'prop-types'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Milliseconds between reports
+const REPORT_INTERVAL = 100
+
+const BOARD_PLANE = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0)
+const round = (values) => values.map((value) => Math.round(value * 1000) / 1000)
+
+// Tells a shared session where this window is looking, from inside the
+// Canvas. Several times a second it hands `onReport` the pointer's spot on
+// the board plane and the camera's pose, both in board-local space so they
+// line up for peers scrolled elsewhere, but only when either has moved. The
+// board group only ever moves, so the camera's rotation is used as is.
+function PresenceReporter({ boardRef, onReport }) {
+  const lastRef = useRef({ at: 0, report: '' })
+  const raycasterRef = useRef(new THREE.Raycaster())
+
+  useFrame(({ camera, pointer }) => {
+    const now = performance.now()
+    const board = boardRef.current
+    if (!board || now - lastRef.current.at < REPORT_INTERVAL) return
+    lastRef.current.at = now
+
+    const raycaster = raycasterRef.current
+    raycaster.setFromCamera(pointer, camera)
+    const hit = raycaster.ray.intersectPlane(BOARD_PLANE, new THREE.Vector3())
+    const presence = {
+      cursor: hit ? round(board.worldToLocal(hit).toArray()) : null,
+      camera: {
+        position: round(board.worldToLocal(camera.position.clone()).toArray()),
+        quaternion: round(camera.quaternion.toArray()),
+        fov: camera.fov,
+        aspect: Math.round(camera.aspect * 1000) / 1000
+      }
+    }
+
+    const report = JSON.stringify(presence)
+    if (report === lastRef.current.report) return
+    lastRef.current.report = report
+    onReport(presence)
+  })
+
+  return null
+}
+
+PresenceReporter.propTypes = {
+  boardRef: PropTypes.object.isRequired,
+  onReport: PropTypes.func.isRequired
+}
+
+export default PresenceReporter
@@ -0,0 +1,37 @@
+import PropTypes from 'prop-types'
+
+// What the audience sees on top of the board while presenting: a small slide
+// counter, or nothing but black while the screen is blanked
+function PresentationOverlay({ index, total, isBlank }) {
+  if (isBlank) {
+    return <div style={{ position: 'absolute', inset: 0, zIndex: 1200, background: 'black' }} />
+  }
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        right: '20px',
+        bottom: '20px',
+        zIndex: 1000,
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '12px',
+        background: 'rgba(0, 0, 0, 0.4)',
+        padding: '4px 8px',
+        borderRadius: '5px',
+        opacity: 0.6,
+        pointerEvents: 'none'
+      }}
+    >
+      {index + 1} / {total}
+    </div>
+  )
+}
+
+PresentationOverlay.propTypes = {
+  index: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  isBlank: PropTypes.bool.isRequired
+}
+
+export default PresentationOverlay
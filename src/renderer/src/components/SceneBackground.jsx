@@ -0,0 +1,60 @@
+import { useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import * as THREE from 'three'
+import { coverSquare, createGradientTexture } from '../lib/appearance'
+
+const textureLoader = new THREE.TextureLoader()
+
+// Backdrop plane behind the board: the radial gradient, or the background
+// image once it has loaded. A missing image falls back to the gradient.
+function SceneBackground({ backgroundRef, background }) {
+  const colorKey = background.colors.join(' ')
+  const gradient = useMemo(() => createGradientTexture(colorKey.split(' ')), [colorKey])
+  useEffect(() => () => gradient.dispose(), [gradient])
+
+  const imageUrl =
+    background.type === 'image' && !background.image?.missing ? background.image?.url : null
+  const [loaded, setLoaded] = useState(null)
+
+  useEffect(() => {
+    if (!imageUrl) return
+    let active = true
+    textureLoader.load(
+      imageUrl,
+      (texture) => {
+        if (active) setLoaded({ url: imageUrl, texture: coverSquare(texture) })
+        else texture.dispose()
+      },
+      undefined,
+      (error) => console.warn('Failed to load background image:', error)
+    )
+    return () => {
+      active = false
+    }
+  }, [imageUrl])
+
+  useEffect(() => () => loaded?.texture.dispose(), [loaded])
+
+  const map = loaded && loaded.url === imageUrl ? loaded.texture : gradient
+
+  return (
+    <mesh ref={backgroundRef} position={[0, 0, -50]} scale={[100, 100, 1]}>
+      <planeGeometry />
+      <meshBasicMaterial map={map} toneMapped={false} />
+    </mesh>
+  )
+}
+
+SceneBackground.propTypes = {
+  backgroundRef: PropTypes.object.isRequired,
+  background: PropTypes.shape({
+    type: PropTypes.oneOf(['gradient', 'image']).isRequired,
+    colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+    image: PropTypes.shape({
+      url: PropTypes.string,
+      missing: PropTypes.bool
+    })
+  }).isRequired
+}
+
+export default SceneBackground
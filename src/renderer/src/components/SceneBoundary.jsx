@@ -0,0 +1,28 @@
+import { Component } from 'react'
+import PropTypes from 'prop-types'
+
+// Catches the 3D scene failing to start, e.g. a GPU that refuses a WebGL
+// context, and reports it through `onError` instead of taking the whole
+// window down. Remount it with a new `key` to try again.
+class SceneBoundary extends Component {
+  state = { failed: false }
+
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
+
+  componentDidCatch(error) {
+    this.props.onError(error)
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children
+  }
+}
+
+SceneBoundary.propTypes = {
+  onError: PropTypes.func.isRequired,
+  children: PropTypes.node
+}
+
+export default SceneBoundary
@@ -0,0 +1,143 @@
+import { useImperativeHandle } from 'react'
+import PropTypes from 'prop-types'
+import { advance, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Largest tile rendered in one pass; big exports are stitched from tiles so
+// they never exceed the GPU's drawing buffer limits
+const MAX_TILE_SIZE = 2048
+// Simulated time before a sequence's first frame, so eased animations settle
+const SETTLE_SECONDS = 2
+
+const aimCamera = (exportCamera, view, width, height) => {
+  if (view) {
+    exportCamera.position.set(...view.position)
+    exportCamera.lookAt(...view.target)
+  }
+  exportCamera.aspect = width / height
+  exportCamera.updateProjectionMatrix()
+}
+
+// Renders the live scene at an arbitrary resolution, on demand.
+//
+// `exporterRef.current.renderImage({ width, height, view, transparent })`
+// returns a 2D canvas holding the render. Without a `view` it uses the
+// current camera; with one it looks from `view.position` at `view.target`.
+// Objects flagged `userData.hideInExport` (selection gizmos) are left out,
+// as is `backgroundRef` when `transparent` is set.
+//
+// `renderSequence` renders an animation frame by frame at a fixed timestep,
+// so the frames depend only on the board and the path, never on how fast the
+// machine is. The live loop must be paused first with `frameloop="never"` on
+// the Canvas; setting it here wouldn't stick, as the Canvas prop wins on the
+// next render.
+function SceneExporter({ exporterRef, backgroundRef, boardRef }) {
+  const { gl, scene, camera, get } = useThree()
+
+  useImperativeHandle(exporterRef, () => {
+    const drawScene = (context, exportCamera, width, height, transparent) => {
+      const hidden = []
+      scene.traverse((object) => {
+        const isBackground = transparent && object === backgroundRef.current
+        if (object.visible && (object.userData.hideInExport || isBackground)) {
+          object.visible = false
+          hidden.push(object)
+        }
+      })
+
+      const previousSize = gl.getSize(new THREE.Vector2())
+      const previousPixelRatio = gl.getPixelRatio()
+      const tileSize = Math.min(MAX_TILE_SIZE, gl.capabilities.maxTextureSize)
+      gl.setPixelRatio(1)
+
+      try {
+        context.clearRect(0, 0, width, height)
+        for (let y = 0; y < height; y += tileSize) {
+          for (let x = 0; x < width; x += tileSize) {
+            const tileWidth = Math.min(tileSize, width - x)
+            const tileHeight = Math.min(tileSize, height - y)
+            gl.setSize(tileWidth, tileHeight, false)
+            exportCamera.setViewOffset(width, height, x, y, tileWidth, tileHeight)
+            gl.render(scene, exportCamera)
+            // The drawing buffer is still intact within this task
+            context.drawImage(
+              gl.domElement,
+              0,
+              0,
+              tileWidth,
+              tileHeight,
+              x,
+              y,
+              tileWidth,
+              tileHeight
+            )
+          }
+        }
+      } finally {
+        gl.setPixelRatio(previousPixelRatio)
+        gl.setSize(previousSize.x, previousSize.y, false)
+        hidden.forEach((object) => {
+          object.visible = true
+        })
+      }
+    }
+
+    const createOutput = (width, height) => {
+      const output = document.createElement('canvas')
+      output.width = width
+      output.height = height
+      return output
+    }
+
+    return {
+      renderImage: ({ width, height, view, transparent = false }) => {
+        const exportCamera = camera.clone()
+        aimCamera(exportCamera, view, width, height)
+        const output = createOutput(width, height)
+        drawScene(output.getContext('2d'), exportCamera, width, height, transparent)
+        return output
+      },
+
+      // Calls `onFrame(canvas, index)` for each of `frameCount` frames,
+      // awaiting it before the next. `viewAt(seconds)` places the camera.
+      // The board is shown at its resting scroll position throughout.
+      renderSequence: async ({ width, height, fps, frameCount, viewAt, onFrame, isCanceled }) => {
+        if (get().frameloop !== 'never') {
+          throw new Error('Pause the render loop before rendering a sequence')
+        }
+        const exportCamera = camera.clone()
+        const output = createOutput(width, height)
+        const context = output.getContext('2d')
+
+        // With the loop paused, advance() steps the clock to exactly `seconds`
+        const step = (seconds) => {
+          advance(seconds, true, get())
+          boardRef.current?.parent.position.set(0, 0, 0)
+        }
+
+        const settleFrames = Math.round(SETTLE_SECONDS * fps)
+        get().clock.elapsedTime = -settleFrames / fps
+        for (let i = -settleFrames; i < 0; i++) step(i / fps)
+
+        for (let i = 0; i < frameCount; i++) {
+          if (isCanceled?.()) return false
+          step(i / fps)
+          aimCamera(exportCamera, viewAt(i / fps), width, height)
+          drawScene(context, exportCamera, width, height, false)
+          await onFrame(output, i)
+        }
+        return true
+      }
+    }
+  }, [gl, scene, camera, get, backgroundRef, boardRef])
+
+  return null
+}
+
+SceneExporter.propTypes = {
+  exporterRef: PropTypes.object.isRequired,
+  backgroundRef: PropTypes.object.isRequired,
+  boardRef: PropTypes.object.isRequired
+}
+
+export default SceneExporter
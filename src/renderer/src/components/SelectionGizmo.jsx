@@ -0,0 +1,70 @@
+import PropTypes from 'prop-types'
+import { Line } from '@react-three/drei'
+
+const OUTLINE_COLOR = '#4ecdc4'
+const HANDLE_SIZE = 0.35
+const ROTATE_HANDLE_OFFSET = 1
+
+// Outline plus scale (corner) and rotate (top) handles for a selected item.
+// Handles are sized in world units, so the group itself is never scaled.
+function SelectionGizmo({ item, onHandlePointerDown, onHandlePointerMove, onHandlePointerUp }) {
+  const [width, height] = item.scale
+  const halfWidth = width / 2
+  const halfHeight = height / 2
+  const corners = [
+    [-halfWidth, -halfHeight],
+    [halfWidth, -halfHeight],
+    [halfWidth, halfHeight],
+    [-halfWidth, halfHeight]
+  ]
+
+  const handleProps = (mode) => ({
+    onPointerDown: (event) => onHandlePointerDown(event, item.id, mode),
+    onPointerMove: onHandlePointerMove,
+    onPointerUp: onHandlePointerUp
+  })
+
+  return (
+    <group position={item.position} rotation={item.rotation} userData={{ hideInExport: true }}>
+      <Line
+        points={[...corners, corners[0]].map(([x, y]) => [x, y, 0.01])}
+        color={OUTLINE_COLOR}
+        lineWidth={2}
+      />
+
+      {corners.map(([x, y]) => (
+        <mesh key={`${x}:${y}`} position={[x, y, 0.02]} {...handleProps('scale')}>
+          <planeGeometry args={[HANDLE_SIZE, HANDLE_SIZE]} />
+          <meshBasicMaterial color="white" />
+        </mesh>
+      ))}
+
+      <Line
+        points={[
+          [0, halfHeight, 0.01],
+          [0, halfHeight + ROTATE_HANDLE_OFFSET, 0.01]
+        ]}
+        color={OUTLINE_COLOR}
+        lineWidth={2}
+      />
+      <mesh position={[0, halfHeight + ROTATE_HANDLE_OFFSET, 0.02]} {...handleProps('rotate')}>
+        <circleGeometry args={[HANDLE_SIZE * 0.6, 24]} />
+        <meshBasicMaterial color={OUTLINE_COLOR} />
+      </mesh>
+    </group>
+  )
+}
+
+SelectionGizmo.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    rotation: PropTypes.arrayOf(PropTypes.number).isRequired,
+    scale: PropTypes.arrayOf(PropTypes.number).isRequired
+  }).isRequired,
+  onHandlePointerDown: PropTypes.func.isRequired,
+  onHandlePointerMove: PropTypes.func.isRequired,
+  onHandlePointerUp: PropTypes.func.isRequired
+}
+
+export default SelectionGizmo
@@ -0,0 +1,247 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { describeError } from '../lib/errors'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  background: 'rgba(0, 0, 0, 0.4)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '5px',
+  color: 'white'
+}
+
+const labelStyle = {
+  marginTop: '14px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const swatchStyle = (color) => ({
+  display: 'inline-block',
+  width: '10px',
+  height: '10px',
+  borderRadius: '50%',
+  background: color
+})
+
+// Hosts or joins a shared session on the local network, then lists the join
+// links and who's in it. `onHost(name)` and `onJoin(link, name)` are async;
+// failures stay in the panel. Joining replaces the window's board with the
+// session's, so it's only offered while `canJoin` (nothing unsaved is lost).
+function SessionPanel({
+  session,
+  peers,
+  notice,
+  defaultName,
+  canJoin,
+  onHost,
+  onJoin,
+  onLeave,
+  onClose
+}) {
+  const [name, setName] = useState(defaultName)
+  const [link, setLink] = useState('')
+  const [pending, setPending] = useState(null)
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(null)
+
+  const run = async (action, task) => {
+    setPending(action)
+    setError('')
+    try {
+      await task()
+    } catch (taskError) {
+      setError(describeError(taskError))
+    } finally {
+      setPending(null)
+    }
+  }
+
+  const copyLink = async (value) => {
+    await navigator.clipboard.writeText(value)
+    setCopied(value)
+  }
+
+  const isHost = session?.role === 'host'
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      onKeyDown={(event) => {
+        if (event.key === 'Escape') onClose()
+      }}
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex: 1100,
+        width: '420px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.85)',
+        padding: '20px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <h2 style={{ margin: 0, fontSize: '16px' }}>Share session</h2>
+      <p style={{ margin: '8px 0 0', fontSize: '12px', opacity: 0.7 }}>
+        Edit this board together with people on the same network. Everyone sees the others&apos;
+        cursors and views.
+      </p>
+
+      <div style={labelStyle}>Your name</div>
+      <input
+        value={name}
+        maxLength={40}
+        disabled={Boolean(session)}
+        placeholder="Shown to the others"
+        onChange={(event) => setName(event.target.value)}
+        style={inputStyle}
+      />
+
+      {session ? (
+        <>
+          {isHost ? (
+            <>
+              <div style={labelStyle}>Join links</div>
+              {session.links.map((value) => (
+                <div key={value} style={{ display: 'flex', gap: '6px', marginBottom: '4px' }}>
+                  <input readOnly value={value} style={{ ...inputStyle, flex: 1 }} />
+                  <button style={buttonStyle} onClick={() => copyLink(value)}>
+                    {copied === value ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+              ))}
+              <div style={{ fontSize: '12px', opacity: 0.7 }}>
+                The localhost link works for another window on this computer.
+              </div>
+            </>
+          ) : (
+            <div style={{ marginTop: '14px', fontSize: '12px', opacity: 0.7 }}>
+              Joined {session.link}
+            </div>
+          )}
+
+          <div style={labelStyle}>In this session</div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            <span>
+              <span style={swatchStyle(session.color)} /> {name || 'You'} (you
+              {isHost ? ', hosting' : ''})
+            </span>
+            {peers.map((peer) => (
+              <span key={peer.id}>
+                <span style={swatchStyle(peer.color)} /> {peer.name}
+              </span>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+            <button style={{ ...buttonStyle, flex: 1 }} onClick={onLeave}>
+              {isHost ? 'End session' : 'Leave session'}
+            </button>
+            <button style={buttonStyle} onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {notice && (
+            <div style={{ marginTop: '12px', color: '#ff6b6b', fontSize: '12px' }}>{notice}</div>
+          )}
+
+          <div style={labelStyle}>Host</div>
+          <button
+            style={{ ...buttonStyle, width: '100%', cursor: pending ? 'wait' : 'pointer' }}
+            disabled={Boolean(pending)}
+            onClick={() => run('host', () => onHost(name.trim()))}
+          >
+            {pending === 'host' ? 'Starting…' : 'Share this board'}
+          </button>
+
+          <div style={labelStyle}>Join</div>
+          <form
+            style={{ display: 'flex', gap: '6px' }}
+            onSubmit={(event) => {
+              event.preventDefault()
+              run('join', () => onJoin(link, name.trim()))
+            }}
+          >
+            <input
+              value={link}
+              required
+              disabled={!canJoin}
+              placeholder="ws://192.168.1.20:47600/…"
+              onChange={(event) => setLink(event.target.value)}
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <button
+              type="submit"
+              style={{ ...buttonStyle, cursor: pending ? 'wait' : 'pointer' }}
+              disabled={!canJoin || Boolean(pending) || !link.trim()}
+            >
+              {pending === 'join' ? 'Joining…' : 'Join'}
+            </button>
+          </form>
+          {!canJoin && (
+            <div style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>
+              Save this board or join from a new window: joining replaces the board here.
+            </div>
+          )}
+
+          {error && (
+            <div style={{ marginTop: '8px', color: '#ff6b6b', fontSize: '12px' }}>{error}</div>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '16px' }}>
+            <button style={buttonStyle} onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+SessionPanel.propTypes = {
+  session: PropTypes.shape({
+    role: PropTypes.oneOf(['host', 'guest']).isRequired,
+    color: PropTypes.string.isRequired,
+    links: PropTypes.arrayOf(PropTypes.string),
+    link: PropTypes.string
+  }),
+  peers: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  notice: PropTypes.string,
+  defaultName: PropTypes.string.isRequired,
+  canJoin: PropTypes.bool.isRequired,
+  onHost: PropTypes.func.isRequired,
+  onJoin: PropTypes.func.isRequired,
+  onLeave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default SessionPanel
@@ -0,0 +1,212 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const smallButtonStyle = { ...buttonStyle, padding: '2px 6px' }
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '4px 6px',
+  background: 'rgba(0, 0, 0, 0.4)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '5px',
+  color: 'white',
+  fontFamily: 'inherit',
+  fontSize: '13px'
+}
+
+const labelStyle = {
+  marginTop: '12px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+// Side panel for building a presentation. A slide captures the current view
+// and the selected items, which stay lit while the rest of the board dims.
+// Clicking a slide shows it (`onShow`) and opens its name and notes for
+// editing; "Update" recaptures it from the view and selection as they are.
+// `onAdd(name)` returns the new slide's id, so it opens straight away.
+function SlidesPanel({
+  slides,
+  selectedCount,
+  canPresent,
+  onAdd,
+  onUpdate,
+  onChange,
+  onMove,
+  onRemove,
+  onShow,
+  onPresent,
+  onClose
+}) {
+  const [activeId, setActiveId] = useState(null)
+  const activeIndex = slides.findIndex((slide) => slide.id === activeId)
+  const active = slides[activeIndex]
+
+  return (
+    <aside
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: '300px',
+        zIndex: 1002,
+        boxSizing: 'border-box',
+        padding: '20px',
+        overflowY: 'auto',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.75)',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <h2 style={{ margin: 0, fontSize: '16px' }}>Slides</h2>
+        <button
+          style={{ ...buttonStyle, marginLeft: 'auto' }}
+          disabled={!canPresent || slides.length === 0}
+          onClick={() => onPresent(Math.max(activeIndex, 0))}
+          title={canPresent ? 'Present from the selected slide (F5 from the start)' : undefined}
+        >
+          Present
+        </button>
+        <button style={buttonStyle} onClick={onClose} title="Esc">
+          Close
+        </button>
+      </div>
+      {!canPresent && (
+        <div style={{ marginTop: '6px', fontSize: '12px', color: '#ff6b6b' }}>
+          Presenting needs the 3D view, which isn&apos;t available right now.
+        </div>
+      )}
+
+      <ol style={{ listStyle: 'none', margin: '12px 0 0', padding: 0 }}>
+        {slides.map((slide, i) => (
+          <li
+            key={slide.id}
+            style={{
+              display: 'flex',
+              gap: '4px',
+              alignItems: 'center',
+              padding: '3px 0'
+            }}
+          >
+            <button
+              style={{
+                ...buttonStyle,
+                flex: 1,
+                minWidth: 0,
+                textAlign: 'left',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+                background:
+                  slide.id === activeId ? 'rgba(78, 205, 196, 0.5)' : buttonStyle.background
+              }}
+              onClick={() => {
+                setActiveId(slide.id)
+                onShow(slide)
+              }}
+            >
+              {i + 1}. {slide.name}
+              {slide.itemIds.length > 0 && (
+                <span style={{ opacity: 0.6 }}> · {slide.itemIds.length}</span>
+              )}
+            </button>
+            <button
+              style={smallButtonStyle}
+              disabled={i === 0}
+              onClick={() => onMove(slide.id, -1)}
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              style={smallButtonStyle}
+              disabled={i === slides.length - 1}
+              onClick={() => onMove(slide.id, 1)}
+              title="Move down"
+            >
+              ↓
+            </button>
+            <button style={smallButtonStyle} onClick={() => onRemove(slide.id)} title="Remove">
+              ×
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <button
+        style={{ ...buttonStyle, width: '100%', marginTop: '8px' }}
+        onClick={() => setActiveId(onAdd(`Slide ${slides.length + 1}`))}
+      >
+        Add slide from view
+        {selectedCount > 0 ? ` (highlighting ${selectedCount})` : ''}
+      </button>
+
+      {active && (
+        <>
+          <div style={labelStyle}>Name</div>
+          <input
+            value={active.name}
+            onChange={(event) => onChange(active.id, { name: event.target.value })}
+            style={inputStyle}
+          />
+          <div style={labelStyle}>Speaker notes</div>
+          <textarea
+            value={active.notes}
+            rows={8}
+            placeholder="Only you see these, in the notes window"
+            onChange={(event) => onChange(active.id, { notes: event.target.value })}
+            style={{ ...inputStyle, resize: 'vertical' }}
+          />
+          <button
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px' }}
+            onClick={() => onUpdate(active.id)}
+            title="Take this slide's view and highlights from the board as it is now"
+          >
+            Update from view and selection
+          </button>
+        </>
+      )}
+    </aside>
+  )
+}
+
+SlidesPanel.propTypes = {
+  slides: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      itemIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+      notes: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  selectedCount: PropTypes.number.isRequired,
+  canPresent: PropTypes.bool.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onShow: PropTypes.func.isRequired,
+  onPresent: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default SlidesPanel
@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react'
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  fontSize: '14px'
+}
+
+const labelStyle = {
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const formatElapsed = (milliseconds) => {
+  const seconds = Math.floor(milliseconds / 1000)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${Math.floor(seconds / 60)}:${pad(seconds % 60)}`
+}
+
+// The speaker notes window (opened by main/presentation.js): the current
+// slide's notes, what comes next, a timer and buttons that drive the
+// presenting window. It holds no board of its own.
+function SpeakerNotes() {
+  const [state, setState] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    document.title = 'Speaker Notes'
+    const unsubscribe = window.api.onPresentationState(setState)
+    window.api.getPresentationState().then((current) => current && setState(current))
+    return unsubscribe
+  }, [])
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  // Keys work here too, for presenters who click into this window
+  useEffect(() => {
+    const keys = {
+      ArrowRight: 'next',
+      PageDown: 'next',
+      ' ': 'next',
+      ArrowLeft: 'previous',
+      PageUp: 'previous',
+      Home: 'first',
+      End: 'last',
+      b: 'blank',
+      Escape: 'exit'
+    }
+    const handleKeyDown = (event) => {
+      const action = keys[event.key]
+      if (!action) return
+      event.preventDefault()
+      window.api.navigatePresentation(action)
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  const navigate = (action) => window.api.navigatePresentation(action)
+
+  return (
+    <div
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '16px',
+        height: '100%',
+        boxSizing: 'border-box',
+        padding: '24px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        background: '#1a1a2e'
+      }}
+    >
+      {state ? (
+        <>
+          <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px' }}>
+            <h1 style={{ margin: 0, fontSize: '22px', flex: 1 }}>{state.slide.name}</h1>
+            <span style={{ opacity: 0.7 }}>
+              {state.index + 1} / {state.total}
+            </span>
+            <span style={{ fontVariantNumeric: 'tabular-nums', fontSize: '20px' }}>
+              {formatElapsed(now - state.startedAt)}
+            </span>
+          </div>
+
+          <div style={{ flex: 1, overflowY: 'auto' }}>
+            <div style={labelStyle}>Notes</div>
+            <div
+              style={{
+                marginTop: '6px',
+                fontSize: '20px',
+                lineHeight: 1.5,
+                whiteSpace: 'pre-wrap'
+              }}
+            >
+              {state.slide.notes || <span style={{ opacity: 0.5 }}>No notes for this slide.</span>}
+            </div>
+          </div>
+
+          <div style={{ opacity: 0.8 }}>
+            <span style={labelStyle}>Next </span>
+            {state.next ? state.next.name : 'End of presentation'}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button style={buttonStyle} onClick={() => navigate('previous')}>
+              ← Previous
+            </button>
+            <button style={{ ...buttonStyle, flex: 1 }} onClick={() => navigate('next')}>
+              Next →
+            </button>
+            <button
+              style={{
+                ...buttonStyle,
+                background: state.isBlank ? 'rgba(78, 205, 196, 0.5)' : buttonStyle.background
+              }}
+              onClick={() => navigate('blank')}
+              title="Black out the screen (B)"
+            >
+              Black screen
+            </button>
+            <button style={buttonStyle} onClick={() => navigate('exit')}>
+              End
+            </button>
+          </div>
+        </>
+      ) : (
+        <div style={{ margin: 'auto', opacity: 0.7 }}>Waiting for the presentation…</div>
+      )}
+    </div>
+  )
+}
+
+export default SpeakerNotes
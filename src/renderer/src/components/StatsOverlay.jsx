@@ -0,0 +1,115 @@
+import PropTypes from 'prop-types'
+
+const chipStyle = (active) => ({
+  padding: '2px 8px',
+  borderRadius: '10px',
+  border: '1px solid rgba(255, 255, 255, 0.4)',
+  background: active ? 'rgba(78, 205, 196, 0.5)' : 'transparent',
+  color: 'white',
+  fontSize: '12px',
+  cursor: 'pointer'
+})
+
+const PERFORMANCE_MODES = [
+  { id: 'auto', label: 'Auto' },
+  { id: 'on', label: 'On' },
+  { id: 'off', label: 'Off' }
+]
+
+// Frame rate and renderer counters, for checking how a board performs, with
+// the performance mode switch alongside
+function StatsOverlay({ stats, performanceMode, preference, onPreferenceChange, onClose }) {
+  const rows = stats
+    ? [
+        ['FPS', stats.fps.toFixed(0)],
+        ['Frame', `${stats.frameTime.toFixed(1)} ms`],
+        ['Draw calls', stats.drawCalls],
+        ['Triangles', stats.triangles.toLocaleString()],
+        ['Textures', stats.textures],
+        ...(performanceMode && stats.instanced !== undefined
+          ? [
+              ['Instanced', stats.instanced],
+              ['Close-up', stats.near],
+              ['Culled', stats.culled]
+            ]
+          : [])
+      ]
+    : []
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        bottom: '80px',
+        right: '20px',
+        zIndex: 1000,
+        width: '180px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '12px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '10px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '6px' }}>
+        <strong>Performance</strong>
+        <button
+          onClick={onClose}
+          title="Hide"
+          style={{
+            marginLeft: 'auto',
+            background: 'none',
+            border: 'none',
+            color: 'white',
+            cursor: 'pointer'
+          }}
+        >
+          ×
+        </button>
+      </div>
+      {rows.map(([label, value]) => (
+        <div key={label} style={{ display: 'flex', justifyContent: 'space-between' }}>
+          <span style={{ opacity: 0.7 }}>{label}</span>
+          <span style={{ fontFamily: 'monospace' }}>{value}</span>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginTop: '8px' }}>
+        <span style={{ opacity: 0.7, marginRight: 'auto' }}>Mode</span>
+        {PERFORMANCE_MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => onPreferenceChange(id)}
+            style={chipStyle(preference === id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div style={{ marginTop: '4px', opacity: 0.7 }}>
+        {performanceMode ? 'Instanced rendering is on' : 'Every image is its own plane'}
+      </div>
+    </div>
+  )
+}
+
+StatsOverlay.propTypes = {
+  stats: PropTypes.shape({
+    fps: PropTypes.number.isRequired,
+    frameTime: PropTypes.number.isRequired,
+    drawCalls: PropTypes.number.isRequired,
+    triangles: PropTypes.number.isRequired,
+    textures: PropTypes.number.isRequired,
+    instanced: PropTypes.number,
+    near: PropTypes.number,
+    culled: PropTypes.number
+  }),
+  performanceMode: PropTypes.bool.isRequired,
+  preference: PropTypes.oneOf(['auto', 'on', 'off']).isRequired,
+  onPreferenceChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default StatsOverlay
@@ -0,0 +1,44 @@
+import { useRef } from 'react'
+import PropTypes from 'prop-types'
+import { useFrame, useThree } from '@react-three/fiber'
+
+// Milliseconds between samples
+const SAMPLE_INTERVAL = 500
+
+// Measures the render loop from inside the Canvas and hands a sample to
+// `onSample` twice a second: frame rate, frame time, and the renderer's
+// draw calls, triangles and textures, plus whatever the board last wrote to
+// `statsRef` (see InstancedImages).
+function StatsProbe({ statsRef, onSample }) {
+  const { gl } = useThree()
+  const sampleRef = useRef({ frames: 0, since: performance.now() })
+
+  // Runs before this frame renders, so `gl.info` still describes the last one
+  useFrame(() => {
+    const sample = sampleRef.current
+    sample.frames++
+    const now = performance.now()
+    const elapsed = now - sample.since
+    if (elapsed < SAMPLE_INTERVAL) return
+
+    onSample({
+      fps: (sample.frames * 1000) / elapsed,
+      frameTime: elapsed / sample.frames,
+      drawCalls: gl.info.render.calls,
+      triangles: gl.info.render.triangles,
+      textures: gl.info.memory.textures,
+      ...statsRef.current
+    })
+    sample.frames = 0
+    sample.since = now
+  })
+
+  return null
+}
+
+StatsProbe.propTypes = {
+  statsRef: PropTypes.object.isRequired,
+  onSample: PropTypes.func.isRequired
+}
+
+export default StatsProbe
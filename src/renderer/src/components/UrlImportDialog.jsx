@@ -0,0 +1,102 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { describeError } from '../lib/errors'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+// Asks for an image URL and waits for `onImport(url)` to download it into
+// the board. Failures stay in the dialog so the URL can be fixed.
+function UrlImportDialog({ onImport, onClose }) {
+  const [url, setUrl] = useState('')
+  const [isImporting, setIsImporting] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setIsImporting(true)
+    setError('')
+    try {
+      await onImport(url.trim())
+      onClose()
+    } catch (importError) {
+      setError(describeError(importError))
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex: 1100,
+        width: '380px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.85)',
+        padding: '20px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <h2 style={{ margin: 0, fontSize: '16px' }}>Add image from URL</h2>
+      <p style={{ margin: '8px 0', fontSize: '12px', opacity: 0.7 }}>
+        The image is downloaded once and kept with the board, so it works offline.
+      </p>
+      <input
+        autoFocus
+        type="url"
+        required
+        value={url}
+        placeholder="https://…"
+        onChange={(event) => setUrl(event.target.value)}
+        onKeyDown={(event) => {
+          if (event.key === 'Escape') onClose()
+        }}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '6px 8px',
+          background: 'rgba(0, 0, 0, 0.4)',
+          border: '1px solid rgba(255, 255, 255, 0.3)',
+          borderRadius: '5px',
+          color: 'white'
+        }}
+      />
+      {error && <div style={{ marginTop: '8px', color: '#ff6b6b', fontSize: '12px' }}>{error}</div>}
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+        <button
+          type="submit"
+          disabled={isImporting || !url.trim()}
+          style={{ ...buttonStyle, flex: 1, cursor: isImporting ? 'wait' : 'pointer' }}
+        >
+          {isImporting ? 'Downloading…' : 'Add'}
+        </button>
+        <button type="button" style={buttonStyle} onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+UrlImportDialog.propTypes = {
+  onImport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default UrlImportDialog
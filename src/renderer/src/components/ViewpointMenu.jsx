@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+// Saved camera bookmarks: recall, add the current view, remove
+function ViewpointMenu({ viewpoints, onRecall, onAdd, onRemove }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [name, setName] = useState('')
+
+  const handleAdd = (event) => {
+    event.preventDefault()
+    onAdd(name.trim() || `View ${viewpoints.length + 1}`)
+    setName('')
+  }
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '70px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1000,
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        padding: '6px 10px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <button style={buttonStyle} onClick={() => setIsOpen((prev) => !prev)}>
+        Viewpoints ({viewpoints.length}) {isOpen ? '▴' : '▾'}
+      </button>
+
+      {isOpen && (
+        <div style={{ marginTop: '8px', minWidth: '220px' }}>
+          <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {viewpoints.map((viewpoint, i) => (
+              <li key={viewpoint.id} style={{ display: 'flex', gap: '6px', padding: '2px 0' }}>
+                <button
+                  style={{ ...buttonStyle, flex: 1, textAlign: 'left' }}
+                  onClick={() => onRecall(viewpoint)}
+                  title={i < 9 ? `Press ${i + 1}` : undefined}
+                >
+                  {i < 9 ? `${i + 1}. ` : ''}
+                  {viewpoint.name}
+                </button>
+                <button style={buttonStyle} onClick={() => onRemove(viewpoint.id)} title="Remove">
+                  ×
+                </button>
+              </li>
+            ))}
+          </ol>
+          <form onSubmit={handleAdd} style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+            <input
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder="Name this view"
+              style={{ ...buttonStyle, flex: 1, cursor: 'text', background: 'rgba(0,0,0,0.4)' }}
+            />
+            <button type="submit" style={buttonStyle}>
+              Save view
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+ViewpointMenu.propTypes = {
+  viewpoints: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  onRecall: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+}
+
+export default ViewpointMenu
@@ -0,0 +1,208 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { VIDEO_SIZES } from '../lib/walkthrough'
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.2)',
+  border: '1px solid white',
+  color: 'white',
+  borderRadius: '5px',
+  cursor: 'pointer'
+}
+
+const fieldStyle = {
+  ...buttonStyle,
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'rgba(0,0,0,0.5)'
+}
+
+const labelStyle = {
+  display: 'block',
+  marginTop: '12px',
+  marginBottom: '4px',
+  color: 'rgba(255, 255, 255, 0.5)',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+}
+
+const FRAME_RATES = [24, 30, 60]
+
+// Settings and progress for rendering a fly-through of the saved viewpoints.
+// Timing is part of the board; format and resolution are per export.
+function WalkthroughDialog({
+  viewpointCount,
+  settings,
+  progress,
+  onSettingsChange,
+  onRecord,
+  onCancel,
+  onClose
+}) {
+  const [format, setFormat] = useState('webm')
+  const [sizeId, setSizeId] = useState('1080p')
+
+  const { fps, holdSeconds, transitionSeconds } = settings
+  const duration =
+    viewpointCount * holdSeconds + Math.max(viewpointCount - 1, 0) * transitionSeconds
+  const isRecording = progress !== null
+  const canRecord = viewpointCount >= 2 && duration > 0
+
+  const updateSeconds = (key) => (event) => {
+    const value = Number(event.target.value)
+    if (Number.isFinite(value) && value >= 0) onSettingsChange({ ...settings, [key]: value })
+  }
+
+  return (
+    <div
+      onMouseDown={(event) => event.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex: 1100,
+        width: '300px',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        background: 'rgba(0, 0, 0, 0.85)',
+        padding: '20px',
+        borderRadius: '5px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <h2 style={{ margin: 0, fontSize: '16px' }}>Walkthrough</h2>
+      <p style={{ margin: '8px 0 0', fontSize: '12px', opacity: 0.7 }}>
+        {viewpointCount >= 2
+          ? `Flies through ${viewpointCount} saved viewpoints in order: ${duration.toFixed(1)}s, ${Math.round(duration * fps)} frames.`
+          : 'Save at least two viewpoints to fly between.'}
+      </p>
+
+      <fieldset disabled={isRecording} style={{ border: 'none', margin: 0, padding: 0 }}>
+        <label style={labelStyle}>Seconds at each viewpoint</label>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={holdSeconds}
+          onChange={updateSeconds('holdSeconds')}
+          style={fieldStyle}
+        />
+
+        <label style={labelStyle}>Seconds between viewpoints</label>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={transitionSeconds}
+          onChange={updateSeconds('transitionSeconds')}
+          style={fieldStyle}
+        />
+
+        <label style={labelStyle}>Frame rate</label>
+        <select
+          value={fps}
+          onChange={(event) => onSettingsChange({ ...settings, fps: Number(event.target.value) })}
+          style={fieldStyle}
+        >
+          {FRAME_RATES.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate} fps
+            </option>
+          ))}
+        </select>
+
+        <label style={labelStyle}>Format</label>
+        <select
+          value={format}
+          onChange={(event) => setFormat(event.target.value)}
+          style={fieldStyle}
+        >
+          <option value="webm">WebM video</option>
+          <option value="png">PNG sequence</option>
+        </select>
+
+        <label style={labelStyle}>Resolution</label>
+        <select
+          value={sizeId}
+          onChange={(event) => setSizeId(event.target.value)}
+          style={fieldStyle}
+        >
+          {VIDEO_SIZES.map((size) => (
+            <option key={size.id} value={size.id}>
+              {size.label}
+            </option>
+          ))}
+        </select>
+      </fieldset>
+
+      {isRecording && (
+        <div style={{ marginTop: '16px' }}>
+          <div style={{ fontSize: '12px' }}>
+            Rendering frame {Math.min(progress.frame + 1, progress.total)} of {progress.total}
+          </div>
+          <div
+            style={{
+              marginTop: '6px',
+              height: '4px',
+              background: 'rgba(255, 255, 255, 0.2)',
+              borderRadius: '2px'
+            }}
+          >
+            <div
+              style={{
+                width: `${(progress.frame / progress.total) * 100}%`,
+                height: '100%',
+                background: '#4ecdc4',
+                borderRadius: '2px'
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '20px' }}>
+        {isRecording ? (
+          <button style={buttonStyle} onClick={onCancel}>
+            Stop
+          </button>
+        ) : (
+          <>
+            <button style={buttonStyle} onClick={onClose}>
+              Close
+            </button>
+            <button
+              style={buttonStyle}
+              onClick={() => onRecord({ format, sizeId })}
+              disabled={!canRecord}
+            >
+              Render…
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+WalkthroughDialog.propTypes = {
+  viewpointCount: PropTypes.number.isRequired,
+  settings: PropTypes.shape({
+    fps: PropTypes.number.isRequired,
+    holdSeconds: PropTypes.number.isRequired,
+    transitionSeconds: PropTypes.number.isRequired
+  }).isRequired,
+  progress: PropTypes.shape({
+    frame: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired
+  }),
+  onSettingsChange: PropTypes.func.isRequired,
+  onRecord: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default WalkthroughDialog
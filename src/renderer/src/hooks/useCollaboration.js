@@ -0,0 +1,277 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import {
+  createReplica,
+  diffItems,
+  isSame,
+  isSharedOp,
+  mediaKey,
+  mergeOps,
+  readItem,
+  snapshotItems,
+  stampChanges
+} from '../lib/collaboration'
+
+// Local edits are gathered for this long before they're published, so a
+// drag sends a steady stream of positions rather than one per frame
+const SYNC_INTERVAL = 50
+
+const fieldKey = (id, field) => `${id}\u0000${field}`
+
+const expect = (incoming, id, field, value) =>
+  incoming.set(fieldKey(id, field), { id, field, value })
+
+// Keeps the board in step with a shared session (see lib/collaboration.js).
+//
+// Local edits aren't reported one by one: however they happen (commands,
+// undo, layouts, drags) they're found by diffing `items` against what was
+// last synced, then stamped and published. Remote ops are merged into the
+// replica and patched into the board, and remembered in `incomingRef` until
+// the next diff sees them, so they aren't sent back. Shared images are
+// fetched into this board before their items appear, and marked `missing`
+// when that fails. `onRemoteChange` runs whenever the board changes from afar.
+export default function useCollaboration({ items, setItems, onRemoteChange }) {
+  const [session, setSession] = useState(null)
+  const [peers, setPeers] = useState({})
+  // Why the last session ended, when it wasn't this window's doing
+  const [notice, setNotice] = useState(null)
+  const replicaRef = useRef(null)
+  const snapshotRef = useRef(new Map())
+  const incomingRef = useRef(new Map())
+  // Local fields of fetched images, or the fetch in progress, by media key
+  const mediaRef = useRef(new Map())
+  // Publishing is chained so batches leave in the order they were stamped
+  const outboxRef = useRef(Promise.resolve())
+  const itemsRef = useRef(items)
+  itemsRef.current = items
+  const callbacksRef = useRef({ onRemoteChange })
+  callbacksRef.current = { onRemoteChange }
+
+  // Add a remote item once its image (if any) is stored in this board
+  const insertItem = useCallback(
+    async (replica, id) => {
+      const key = mediaKey(replica, id)
+      let local = {}
+      if (key) {
+        if (!mediaRef.current.has(key)) {
+          const fetched = window.api.fetchSharedImage(key).then(
+            (image) => ({ url: image.src, thumbnailUrl: image.thumbnail, path: image.path }),
+            (error) => {
+              console.warn(`Couldn't fetch shared image ${key}:`, error)
+              mediaRef.current.delete(key)
+              return null
+            }
+          )
+          mediaRef.current.set(key, fetched)
+        }
+        local = await mediaRef.current.get(key)
+      }
+
+      // The session may have ended, or the item changed, while we waited
+      const item = replicaRef.current === replica ? readItem(replica, id) : null
+      if (!item) return
+      if (!local && item.type === 'image') {
+        local = { missing: true }
+      }
+
+      setItems((prev) => {
+        if (prev.some((other) => other.id === id)) return prev
+        expect(incomingRef.current, id, 'deleted', false)
+        Object.entries(item).forEach(
+          ([field, value]) => field !== 'id' && expect(incomingRef.current, id, field, value)
+        )
+        return [...prev, { ...item, ...local }]
+      })
+      callbacksRef.current.onRemoteChange()
+    },
+    [setItems]
+  )
+
+  const applyOps = useCallback(
+    (ops) => {
+      const replica = replicaRef.current
+      if (!replica || !Array.isArray(ops)) return
+      const winners = mergeOps(replica, ops.filter(isSharedOp))
+      if (winners.length === 0) return
+
+      const patches = {}
+      const removed = new Set()
+      const added = new Set()
+      for (const { id, field, value } of winners) {
+        if (field === 'deleted') {
+          if (value) removed.add(id)
+          else added.add(id)
+        } else if (field !== 'media') {
+          patches[id] = { ...patches[id], [field]: value }
+        }
+      }
+
+      setItems((prev) => {
+        const present = new Set(prev.map((item) => item.id))
+        removed.forEach((id) => present.has(id) && expect(incomingRef.current, id, 'deleted', true))
+        Object.entries(patches).forEach(([id, fields]) => {
+          if (present.has(id) && !removed.has(id)) {
+            Object.entries(fields).forEach(([field, value]) =>
+              expect(incomingRef.current, id, field, value)
+            )
+          }
+        })
+        return prev
+          .filter((item) => !removed.has(item.id))
+          .map((item) => (patches[item.id] ? { ...item, ...patches[item.id] } : item))
+      })
+      added.forEach((id) => insertItem(replica, id))
+      callbacksRef.current.onRemoteChange()
+    },
+    [setItems, insertItem]
+  )
+
+  // Stamp and publish whatever changed locally since the last sync
+  const flush = useCallback(() => {
+    const replica = replicaRef.current
+    if (!replica) return
+    const items = itemsRef.current
+    const incoming = incomingRef.current
+
+    const changes = diffItems(snapshotRef.current, items).filter((change) => {
+      const key = fieldKey(change.id, change.field)
+      const expected = incoming.get(key)
+      if (!expected) return true
+      incoming.delete(key)
+      return !isSame(expected.value, change.value)
+    })
+    snapshotRef.current = snapshotItems(items)
+    // Remote values that turned out to change nothing
+    for (const [key, { id, field, value }] of incoming) {
+      const fields = snapshotRef.current.get(id)
+      const current = field === 'deleted' ? !fields : fields?.[field]
+      if (isSame(current, value)) incoming.delete(key)
+    }
+    if (changes.length === 0) return
+
+    const ops = stampChanges(replica, changes)
+    const stamp = ops[0].stamp
+    // Images new to the session are shared first, so their ops can name them
+    const sharing = items.filter(
+      (item) =>
+        item.type === 'image' &&
+        !mediaKey(replica, item.id) &&
+        changes.some((change) => change.id === item.id && change.field === 'deleted')
+    )
+
+    outboxRef.current = outboxRef.current.then(async () => {
+      const media = await Promise.all(
+        sharing.map(({ id, name, url, path, asset }) =>
+          window.api.shareImage({ name, url, path, asset }).then(
+            (key) => ({ id, field: 'media', value: key, stamp }),
+            (error) => console.warn(`Couldn't share ${name || 'an image'}:`, error)
+          )
+        )
+      )
+      if (replicaRef.current !== replica) return
+      const mediaOps = media.filter(Boolean)
+      mergeOps(replica, mediaOps)
+      await window.api
+        .publishOps([...ops, ...mediaOps])
+        .catch((error) => console.error('Failed to publish board changes:', error))
+    })
+  }, [])
+
+  // Throttled rather than debounced, so a long drag still streams
+  const flushTimerRef = useRef(null)
+  useEffect(() => {
+    if (!session || flushTimerRef.current) return
+    flushTimerRef.current = setTimeout(() => {
+      flushTimerRef.current = null
+      flush()
+    }, SYNC_INTERVAL)
+  }, [session, items, flush])
+
+  useEffect(() => () => clearTimeout(flushTimerRef.current), [])
+
+  const begin = useCallback((info) => {
+    replicaRef.current = createReplica(info.peerId)
+    snapshotRef.current = new Map()
+    incomingRef.current = new Map()
+    mediaRef.current = new Map()
+    setPeers(
+      Object.fromEntries(
+        (info.peers ?? []).filter((peer) => peer.id !== info.peerId).map((peer) => [peer.id, peer])
+      )
+    )
+    setNotice(null)
+    setSession(info)
+  }, [])
+
+  const end = useCallback((reason) => {
+    replicaRef.current = null
+    setSession(null)
+    setPeers({})
+    setNotice(reason)
+  }, [])
+
+  useEffect(
+    () =>
+      window.api.onSessionEvent((message) => {
+        switch (message.type) {
+          case 'ops':
+            applyOps(message.ops)
+            break
+          case 'presence':
+            setPeers((prev) => ({
+              ...prev,
+              [message.peer.id]: { ...prev[message.peer.id], ...message.peer }
+            }))
+            break
+          case 'leave':
+            setPeers((prev) => {
+              const next = { ...prev }
+              delete next[message.peerId]
+              return next
+            })
+            break
+          case 'ended':
+            end(message.reason)
+            break
+          default:
+            break
+        }
+      }),
+    [applyOps, end]
+  )
+
+  // Everything already on the board goes out with the first sync
+  const host = useCallback(
+    async (name) => {
+      const info = await window.api.hostSession(name)
+      begin(info)
+      return info
+    },
+    [begin]
+  )
+
+  // `onJoined` clears the board for the session's, which arrives as ops
+  const join = useCallback(
+    async (link, name, onJoined) => {
+      const info = await window.api.joinSession(link, name)
+      onJoined()
+      begin(info)
+      applyOps(info.ops)
+      return info
+    },
+    [begin, applyOps]
+  )
+
+  const leave = useCallback(() => {
+    window.api.leaveSession()
+    end(null)
+  }, [end])
+
+  // Presence is sent often and superseded quickly, so a lost one doesn't matter
+  const publishPresence = useCallback((presence) => {
+    if (replicaRef.current) window.api.publishPresence(presence).catch(() => {})
+  }, [])
+
+  const peerList = useMemo(() => Object.values(peers), [peers])
+
+  return { session, peers: peerList, notice, host, join, leave, publishPresence }
+}
@@ -0,0 +1,70 @@
+import { useCallback, useRef, useState } from 'react'
+
+const MAX_HISTORY = 200
+
+// Undo/redo stack over a list of items. Entries before `index` are applied;
+// the rest are redoable until a new command truncates them.
+export default function useHistory(setItems, onChange) {
+  const [history, setHistoryState] = useState({ entries: [], index: 0 })
+  const historyRef = useRef(history)
+
+  const setHistory = useCallback((next) => {
+    historyRef.current = next
+    setHistoryState(next)
+  }, [])
+
+  // Push a command whose effect is already on screen (e.g. a finished drag)
+  const record = useCallback(
+    (command) => {
+      const { entries, index } = historyRef.current
+      const kept = [...entries.slice(0, index), command].slice(-MAX_HISTORY)
+      setHistory({ entries: kept, index: kept.length })
+      onChange()
+    },
+    [setHistory, onChange]
+  )
+
+  const execute = useCallback(
+    (command) => {
+      setItems((items) => command.apply(items))
+      record(command)
+    },
+    [setItems, record]
+  )
+
+  // Step forwards or backwards until `target` entries are applied
+  const jumpTo = useCallback(
+    (target) => {
+      const { entries, index } = historyRef.current
+      const clamped = Math.max(0, Math.min(target, entries.length))
+      if (clamped === index) return
+
+      setItems((items) => {
+        let next = items
+        for (let i = index - 1; i >= clamped; i--) next = entries[i].revert(next)
+        for (let i = index; i < clamped; i++) next = entries[i].apply(next)
+        return next
+      })
+      setHistory({ entries, index: clamped })
+      onChange()
+    },
+    [setItems, setHistory, onChange]
+  )
+
+  const undo = useCallback(() => jumpTo(historyRef.current.index - 1), [jumpTo])
+  const redo = useCallback(() => jumpTo(historyRef.current.index + 1), [jumpTo])
+  const clear = useCallback(() => setHistory({ entries: [], index: 0 }), [setHistory])
+
+  return {
+    entries: history.entries,
+    index: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length,
+    execute,
+    record,
+    undo,
+    redo,
+    jumpTo,
+    clear
+  }
+}
@@ -0,0 +1,174 @@
+import { useCallback, useRef } from 'react'
+import * as THREE from 'three'
+import { withFrameMembers } from '../lib/frames'
+
+// World units of depth per pixel of vertical mouse movement while Alt is held
+const DEPTH_SPEED = 0.05
+const MIN_ITEM_SIZE = 0.5
+
+const pickTransform = ({ position, rotation, scale }) => ({ position, rotation, scale })
+
+// Selection plus move/rotate/scale dragging for board items.
+//
+// Drags work in the board group's local space on a plane through the item
+// under the pointer, so they stay correct while the scroll group is offset.
+// `onCommit(before, after, mode)` fires once per finished drag with the
+// transforms of every affected item, keyed by id. Moving a frame moves the
+// items inside it too.
+export default function useItemManipulation({
+  boardRef,
+  itemsRef,
+  setItems,
+  selectedIds,
+  setSelectedIds,
+  onCommit
+}) {
+  const dragRef = useRef(null)
+  // Lets the DOM pan handler know the pointer went down on an item
+  const isManipulatingRef = useRef(false)
+
+  const toBoardPoint = useCallback(
+    (event, plane) => {
+      const hit = event.ray.intersectPlane(plane, new THREE.Vector3())
+      return hit && boardRef.current.worldToLocal(hit)
+    },
+    [boardRef]
+  )
+
+  const beginTransform = useCallback(
+    (event, mode, ids, anchorId) => {
+      const anchor = itemsRef.current.find((item) => item.id === anchorId)
+      if (!anchor || !boardRef.current) return
+
+      event.target.setPointerCapture(event.pointerId)
+
+      const anchorWorld = boardRef.current.localToWorld(new THREE.Vector3(...anchor.position))
+      const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        new THREE.Vector3(0, 0, 1),
+        anchorWorld
+      )
+      const affected = mode === 'move' ? withFrameMembers(itemsRef.current, ids) : ids
+      const snapshot = Object.fromEntries(
+        itemsRef.current
+          .filter((item) => affected.includes(item.id))
+          .map((item) => [item.id, pickTransform(item)])
+      )
+
+      dragRef.current = {
+        mode,
+        plane,
+        snapshot,
+        anchor: pickTransform(anchor),
+        start: toBoardPoint(event, plane),
+        startClientY: event.clientY,
+        last: null
+      }
+    },
+    [boardRef, itemsRef, toBoardPoint]
+  )
+
+  const handleItemPointerDown = useCallback(
+    (event, id) => {
+      if (event.button !== 0) return
+      event.stopPropagation()
+      isManipulatingRef.current = true
+
+      let ids = selectedIds
+      if (event.shiftKey) {
+        ids = selectedIds.includes(id)
+          ? selectedIds.filter((selectedId) => selectedId !== id)
+          : [...selectedIds, id]
+      } else if (!selectedIds.includes(id)) {
+        ids = [id]
+      }
+      setSelectedIds(ids)
+
+      if (ids.includes(id)) {
+        beginTransform(event, 'move', ids, id)
+      }
+    },
+    [selectedIds, setSelectedIds, beginTransform]
+  )
+
+  const handleHandlePointerDown = useCallback(
+    (event, id, mode) => {
+      if (event.button !== 0) return
+      event.stopPropagation()
+      isManipulatingRef.current = true
+      beginTransform(event, mode, selectedIds.includes(id) ? selectedIds : [id], id)
+    },
+    [selectedIds, beginTransform]
+  )
+
+  const handlePointerMove = useCallback(
+    (event) => {
+      const drag = dragRef.current
+      if (!drag || !drag.start) return
+      event.stopPropagation()
+
+      const point = toBoardPoint(event, drag.plane)
+      if (!point) return
+
+      const [anchorX, anchorY] = drag.anchor.position
+      const updates = {}
+
+      for (const [id, start] of Object.entries(drag.snapshot)) {
+        if (drag.mode === 'move') {
+          const delta = event.altKey
+            ? [0, 0, (drag.startClientY - event.clientY) * DEPTH_SPEED]
+            : [point.x - drag.start.x, point.y - drag.start.y, 0]
+          updates[id] = { position: start.position.map((value, i) => value + delta[i]) }
+        } else if (drag.mode === 'scale') {
+          const factor =
+            Math.hypot(point.x - anchorX, point.y - anchorY) /
+            Math.max(Math.hypot(drag.start.x - anchorX, drag.start.y - anchorY), 1e-6)
+          const clamped = Math.max(factor, MIN_ITEM_SIZE / Math.min(start.scale[0], start.scale[1]))
+          updates[id] = {
+            scale: [start.scale[0] * clamped, start.scale[1] * clamped, start.scale[2]]
+          }
+        } else if (drag.mode === 'rotate') {
+          const angle =
+            Math.atan2(point.y - anchorY, point.x - anchorX) -
+            Math.atan2(drag.start.y - anchorY, drag.start.x - anchorX)
+          updates[id] = {
+            rotation: [start.rotation[0], start.rotation[1], start.rotation[2] + angle]
+          }
+        }
+      }
+
+      drag.last = updates
+      setItems((prev) =>
+        prev.map((item) => (updates[item.id] ? { ...item, ...updates[item.id] } : item))
+      )
+    },
+    [toBoardPoint, setItems]
+  )
+
+  const handlePointerUp = useCallback(
+    (event) => {
+      const drag = dragRef.current
+      dragRef.current = null
+      isManipulatingRef.current = false
+      if (!drag) return
+
+      event.stopPropagation()
+      event.target.releasePointerCapture(event.pointerId)
+
+      if (drag.last) {
+        const after = Object.fromEntries(
+          Object.entries(drag.snapshot).map(([id, start]) => [id, { ...start, ...drag.last[id] }])
+        )
+        onCommit(drag.snapshot, after, drag.mode)
+      }
+    },
+    [onCommit]
+  )
+
+  return {
+    isManipulatingRef,
+    handleItemPointerDown,
+    handleHandlePointerDown,
+    handlePointerMove,
+    handlePointerUp
+  }
+}
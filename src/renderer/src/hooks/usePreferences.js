@@ -0,0 +1,23 @@
+import { useCallback, useEffect, useState } from 'react'
+
+// User preferences shared by every window (see main/preferences.js). Saving
+// one comes back through `preferences:changed`, which updates all windows.
+export default function usePreferences() {
+  const [preferences, setPreferences] = useState({})
+
+  useEffect(() => {
+    let active = true
+    window.api.getPreferences().then((saved) => {
+      if (active) setPreferences(saved)
+    })
+    const unsubscribe = window.api.onPreferencesChanged(setPreferences)
+    return () => {
+      active = false
+      unsubscribe()
+    }
+  }, [])
+
+  const setPreference = useCallback((key, value) => window.api.setPreference(key, value), [])
+
+  return [preferences, setPreference]
+}
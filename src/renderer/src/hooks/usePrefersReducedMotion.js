@@ -0,0 +1,17 @@
+import { useEffect, useState } from 'react'
+
+const QUERY = '(prefers-reduced-motion: reduce)'
+
+// Whether the OS asks apps to cut down on animation, kept live as it changes
+export default function usePrefersReducedMotion() {
+  const [prefersReduced, setPrefersReduced] = useState(() => window.matchMedia(QUERY).matches)
+
+  useEffect(() => {
+    const media = window.matchMedia(QUERY)
+    const listener = (event) => setPrefersReduced(event.matches)
+    media.addEventListener('change', listener)
+    return () => media.removeEventListener('change', listener)
+  }, [])
+
+  return prefersReduced
+}
@@ -0,0 +1,44 @@
+import { fitScale, flat } from './utils'
+
+const CELL_SIZE = 4.5
+const UNTAGGED = 'Untagged'
+
+// One small grid per tag (an image's first tag), with the groups spread on a circle
+export default {
+  id: 'clusters',
+  label: 'Tag clusters',
+  arrange: (items) => {
+    const groups = new Map()
+    items.forEach((item, i) => {
+      const tag = item.tags?.[0] || UNTAGGED
+      if (!groups.has(tag)) groups.set(tag, [])
+      groups.get(tag).push(i)
+    })
+
+    const transforms = new Array(items.length)
+    const groupList = [...groups.values()]
+    const largest = Math.max(...groupList.map((members) => members.length), 1)
+    const radius = groupList.length > 1 ? Math.ceil(Math.sqrt(largest)) * CELL_SIZE * 1.2 : 0
+
+    groupList.forEach((members, groupIndex) => {
+      const angle = (groupIndex / groupList.length) * Math.PI * 2
+      const centerX = Math.cos(angle) * radius
+      const centerY = Math.sin(angle) * radius
+      const columns = Math.ceil(Math.sqrt(members.length))
+
+      members.forEach((itemIndex, i) => {
+        const column = i % columns
+        const row = Math.floor(i / columns)
+        transforms[itemIndex] = flat(
+          [
+            centerX + (column - (columns - 1) / 2) * CELL_SIZE,
+            centerY - (row - (Math.ceil(members.length / columns) - 1) / 2) * CELL_SIZE,
+            0
+          ],
+          fitScale(items[itemIndex], CELL_SIZE * 0.85)
+        )
+      })
+    })
+    return transforms
+  }
+}
@@ -0,0 +1,23 @@
+import { fitScale, flat } from './utils'
+
+const CELL_SIZE = 6
+const IMAGE_SIZE = 5
+
+// A flat, centered grid with every image fitted into the same square cell
+export default {
+  id: 'grid',
+  label: 'Grid',
+  arrange: (items) => {
+    const columns = Math.max(1, Math.ceil(Math.sqrt(items.length)))
+    const rows = Math.ceil(items.length / columns)
+
+    return items.map((item, i) => {
+      const column = i % columns
+      const row = Math.floor(i / columns)
+      return flat(
+        [(column - (columns - 1) / 2) * CELL_SIZE, ((rows - 1) / 2 - row) * CELL_SIZE, 0],
+        fitScale(item, IMAGE_SIZE)
+      )
+    })
+  }
+}
@@ -0,0 +1,37 @@
+import { hexToHsl } from '../lib/color'
+import { fitScale, flat } from './utils'
+
+const CELL_SIZE = 4
+const MIN_RADIUS = 12
+const DEPTH = 10
+
+// Around a colour wheel in order of each image's dominant hue. Saturated
+// images sit on the rim and greys further in; light ones come forward and
+// dark ones recede. Swatches go by their colour; images not analysed yet
+// and notes are treated as mid grey.
+export default {
+  id: 'hue',
+  label: 'Color wheel',
+  arrange: (items) => {
+    const colors = items.map((item) => {
+      const hex = item.palette?.[0]?.hex ?? (item.type === 'swatch' ? item.color : null)
+      return hex ? hexToHsl(hex) : { h: 0, s: 0, l: 0.5 }
+    })
+    // Stable order so equal hues keep their board order
+    const order = items.map((_, i) => i).sort((a, b) => colors[a].h - colors[b].h || a - b)
+    // Wide enough that neighbours on the rim don't overlap
+    const radius = Math.max(MIN_RADIUS, (items.length * CELL_SIZE) / (Math.PI * 2))
+
+    const transforms = new Array(items.length)
+    order.forEach((itemIndex, i) => {
+      const { s, l } = colors[itemIndex]
+      const angle = (i / items.length) * Math.PI * 2
+      const distance = radius * (0.55 + 0.45 * s)
+      transforms[itemIndex] = flat(
+        [Math.cos(angle) * distance, Math.sin(angle) * distance, (l - 0.5) * DEPTH],
+        fitScale(items[itemIndex], CELL_SIZE * 0.85)
+      )
+    })
+    return transforms
+  }
+}
@@ -0,0 +1,17 @@
+// Layout engines. Each one exposes `{ id, label, arrange(items) }`, where
+// `arrange` returns a `{ position, rotation, scale }` transform per item, in
+// the same order as `items`. Engines must be deterministic so re-applying a
+// layout puts everything back where it was.
+import rings from './rings'
+import grid from './grid'
+import masonry from './masonry'
+import spiral from './spiral'
+import timeline from './timeline'
+import clusters from './clusters'
+import hue from './hue'
+
+export const LAYOUTS = [rings, grid, masonry, spiral, timeline, clusters, hue]
+
+export const DEFAULT_LAYOUT = rings.id
+
+export const getLayout = (id) => LAYOUTS.find((layout) => layout.id === id) || rings
@@ -0,0 +1,35 @@
+import { aspectOf, flat } from './utils'
+
+const COLUMN_WIDTH = 5
+const GAP = 0.5
+
+// Equal-width columns; each image keeps its aspect ratio and drops into the
+// shortest column, like a Pinterest-style board
+export default {
+  id: 'masonry',
+  label: 'Masonry',
+  arrange: (items) => {
+    const columns = Math.max(1, Math.ceil(Math.sqrt(items.length)))
+    const heights = new Array(columns).fill(0)
+
+    const placed = items.map((item) => {
+      const height = COLUMN_WIDTH / aspectOf(item)
+      const column = heights.indexOf(Math.min(...heights))
+      const top = heights[column]
+      heights[column] += height + GAP
+      return { column, top, height }
+    })
+
+    const totalHeight = Math.max(...heights)
+    return placed.map(({ column, top, height }) =>
+      flat(
+        [
+          (column - (columns - 1) / 2) * (COLUMN_WIDTH + GAP),
+          totalHeight / 2 - top - height / 2,
+          0
+        ],
+        [COLUMN_WIDTH, height, 1]
+      )
+    )
+  }
+}
@@ -0,0 +1,25 @@
+import { aspectOf, seededRandom } from './utils'
+
+// The original stacked rings: five images per ring, each ring larger and further back
+export default {
+  id: 'rings',
+  label: 'Rings',
+  arrange: (items) =>
+    items.map((item, i) => {
+      const random = seededRandom(item.id ?? i)
+      const layer = Math.floor(i / 5)
+      const angle = ((i % 5) / 5) * Math.PI * 2
+      const radius = 12 + layer * 6
+      const baseSize = random(3, 5)
+
+      return {
+        position: [
+          Math.cos(angle) * radius + random(-4, 4),
+          Math.sin(angle) * radius + random(-4, 4),
+          layer * -3 + random(-2, 2)
+        ],
+        rotation: [random(-0.1, 0.1), random(-0.1, 0.1), random(-0.2, 0.2)],
+        scale: [baseSize * aspectOf(item), baseSize, 1]
+      }
+    })
+}
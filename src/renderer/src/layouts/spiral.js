@@ -0,0 +1,20 @@
+import { fitScale, flat } from './utils'
+
+const TURN_STEP = 0.55
+const DEPTH_STEP = 1.5
+const RADIUS = 10
+
+// A helix winding away from the camera, so the board reads like a tunnel
+export default {
+  id: 'spiral',
+  label: 'Spiral',
+  arrange: (items) =>
+    items.map((item, i) => {
+      const angle = i * TURN_STEP
+      const radius = RADIUS + i * 0.15
+      return flat(
+        [Math.cos(angle) * radius, Math.sin(angle) * radius, -i * DEPTH_STEP],
+        fitScale(item, 4.5)
+      )
+    })
+}
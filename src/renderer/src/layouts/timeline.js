@@ -0,0 +1,24 @@
+import { fitScale, flat } from './utils'
+
+const SPACING = 6
+
+// Left-to-right by file date (oldest first), with a gentle wave to break up the line
+export default {
+  id: 'timeline',
+  label: 'Timeline',
+  arrange: (items) => {
+    const order = items
+      .map((item, i) => ({ i, time: item.modifiedAt ?? i }))
+      .sort((a, b) => a.time - b.time)
+      .map(({ i }) => i)
+
+    const transforms = new Array(items.length)
+    order.forEach((itemIndex, slot) => {
+      transforms[itemIndex] = flat(
+        [(slot - (order.length - 1) / 2) * SPACING, Math.sin(slot * 0.8) * 2, 0],
+        fitScale(items[itemIndex], 4.5)
+      )
+    })
+    return transforms
+  }
+}
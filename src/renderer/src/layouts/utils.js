@@ -0,0 +1,30 @@
+// Shared helpers for layout engines
+
+// Deterministic PRNG (mulberry32) so a layout always jitters an item the same way
+export const seededRandom = (seed) => {
+  let state = [...String(seed)].reduce(
+    (hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619),
+    2166136261
+  )
+  return (min = 0, max = 1) => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return (((t ^ (t >>> 14)) >>> 0) / 4294967296) * (max - min) + min
+  }
+}
+
+// Width / height of an item: its natural pixel size when known, else its current scale
+export const aspectOf = (item) => {
+  if (item.width && item.height) return item.width / item.height
+  if (item.scale) return item.scale[0] / item.scale[1]
+  return 1
+}
+
+// Plane scale that fits an item inside a `size` x `size` box without distorting it
+export const fitScale = (item, size) => {
+  const aspect = aspectOf(item)
+  return aspect >= 1 ? [size, size / aspect, 1] : [size * aspect, size, 1]
+}
+
+export const flat = (position, scale) => ({ position, rotation: [0, 0, 0], scale })
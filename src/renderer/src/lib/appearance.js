@@ -0,0 +1,96 @@
+import * as THREE from 'three'
+
+// Scene look saved with each board. `background.colors` run from the centre
+// of the radial gradient outwards; `background.image` is an image reference
+// saved into the asset folder like a board item.
+export const APPEARANCE_DEFAULTS = {
+  background: { type: 'gradient', colors: ['#1a1a2e', '#16213e', '#0f0f23'], image: null },
+  lighting: 'studio',
+  motion: true,
+  motionIntensity: 1,
+  hoverEffects: true,
+  planeOpacity: 0.9
+}
+
+// Older boards and partial settings fill in from the defaults
+export const resolveAppearance = (appearance) => ({
+  ...APPEARANCE_DEFAULTS,
+  ...appearance,
+  background: { ...APPEARANCE_DEFAULTS.background, ...appearance?.background }
+})
+
+// Image planes are unlit, so each preset also tints them; notes and swatches
+// keep their true colours
+export const LIGHT_PRESETS = [
+  {
+    id: 'studio',
+    label: 'Studio',
+    tint: '#ffffff',
+    ambient: { color: '#ffffff', intensity: 0.6 },
+    directional: { color: '#ffffff', intensity: 0.8, position: [10, 10, 5] },
+    point: { color: '#ffffff', intensity: 0.4, position: [-10, -10, -10] },
+    spot: { color: '#ffffff', intensity: 0.5, position: [0, 0, 20] }
+  },
+  {
+    id: 'warm',
+    label: 'Warm',
+    tint: '#fff0dc',
+    ambient: { color: '#ffe4c4', intensity: 0.6 },
+    directional: { color: '#ffd8a8', intensity: 0.9, position: [8, 12, 6] },
+    point: { color: '#ff9f5a', intensity: 0.3, position: [-10, -10, -10] },
+    spot: { color: '#fff0dc', intensity: 0.5, position: [0, 0, 20] }
+  },
+  {
+    id: 'cool',
+    label: 'Cool',
+    tint: '#e6eeff',
+    ambient: { color: '#d6e4ff', intensity: 0.6 },
+    directional: { color: '#c8dcff', intensity: 0.8, position: [-8, 12, 6] },
+    point: { color: '#7aa7ff', intensity: 0.4, position: [10, -10, -10] },
+    spot: { color: '#e6eeff', intensity: 0.5, position: [0, 0, 20] }
+  },
+  {
+    id: 'gallery',
+    label: 'Gallery',
+    tint: '#d2d2d2',
+    ambient: { color: '#ffffff', intensity: 0.25 },
+    directional: { color: '#ffffff', intensity: 0.4, position: [0, 15, 10] },
+    point: { color: '#ffffff', intensity: 0.1, position: [-10, -10, -10] },
+    spot: { color: '#fff8ee', intensity: 1.2, position: [0, 0, 20] }
+  }
+]
+
+export const getLightPreset = (id) =>
+  LIGHT_PRESETS.find((preset) => preset.id === id) ?? LIGHT_PRESETS[0]
+
+// How much items float: the board's setting, or nothing at all when the
+// viewer asked for reduced motion
+export const motionScale = (appearance, reducedMotion) =>
+  reducedMotion || !appearance.motion ? 0 : appearance.motionIntensity
+
+// Radial gradient for the backdrop plane
+export function createGradientTexture([inner, middle, outer]) {
+  const canvas = document.createElement('canvas')
+  canvas.width = 256
+  canvas.height = 256
+  const context = canvas.getContext('2d')
+  const gradient = context.createRadialGradient(128, 128, 0, 128, 128, 128)
+  gradient.addColorStop(0, inner)
+  gradient.addColorStop(0.5, middle)
+  gradient.addColorStop(1, outer)
+  context.fillStyle = gradient
+  context.fillRect(0, 0, 256, 256)
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
+
+// Crop `texture` to fill a square plane without stretching, like CSS `cover`
+export function coverSquare(texture) {
+  const { width, height } = texture.image
+  const aspect = width / height
+  texture.repeat.set(aspect > 1 ? 1 / aspect : 1, aspect > 1 ? 1 : aspect)
+  texture.offset.set((1 - texture.repeat.x) / 2, (1 - texture.repeat.y) / 2)
+  texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
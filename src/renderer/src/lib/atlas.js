@@ -0,0 +1,199 @@
+import * as THREE from 'three'
+
+// Texture atlases for performance mode: small thumbnails packed into shared
+// textures, so hundreds of distant images render as one instanced draw call
+// per atlas instead of one mesh, material and texture each.
+
+const ATLAS_SIZE = 2048
+// Cells are inset so mipmapping doesn't bleed neighbours into each other
+const CELL_PADDING = 2
+// Thumbnails loading at once, so a big board doesn't flood the asset protocol
+const MAX_CONCURRENT_LOADS = 6
+// Seconds between uploads of an atlas that's still filling in
+const UPLOAD_INTERVAL = 0.25
+
+const drawFallback = (context, x, y, size) => {
+  context.fillStyle = 'rgba(128, 128, 128, 0.8)'
+  context.fillRect(x, y, size, size)
+}
+
+// Packs images into as many atlases as they need, `cellSize` pixels a cell.
+// `sync([[key, url], …])` places new images and frees the cells of ones that
+// are gone; `placementOf(key)` then gives `{ atlas, rect }`, with `rect` the
+// cell's [u, v, width, height] in texture space. Cells fill in as their
+// thumbnails load; `flush(time)` uploads changed atlases from the render loop.
+export function createAtlasSet(cellSize) {
+  const perRow = ATLAS_SIZE / cellSize
+  const atlases = []
+  // key -> { atlas, slot, url }
+  const cells = new Map()
+  const freeCells = []
+  const queue = []
+  let loading = 0
+  let disposed = false
+
+  const addAtlas = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = ATLAS_SIZE
+    canvas.height = ATLAS_SIZE
+    const texture = new THREE.CanvasTexture(canvas)
+    texture.colorSpace = THREE.SRGBColorSpace
+    const atlas = {
+      index: atlases.length,
+      context: canvas.getContext('2d'),
+      texture,
+      dirty: false,
+      uploadedAt: -Infinity
+    }
+    atlases.push(atlas)
+    for (let slot = perRow * perRow - 1; slot >= 0; slot--) {
+      freeCells.push({ atlas, slot })
+    }
+  }
+
+  const cellOrigin = (slot) => [(slot % perRow) * cellSize, Math.floor(slot / perRow) * cellSize]
+
+  // Textures are flipped on upload, so v runs up from the canvas bottom
+  const cellRect = (slot) => {
+    const [x, y] = cellOrigin(slot)
+    return [
+      (x + CELL_PADDING) / ATLAS_SIZE,
+      1 - (y + cellSize - CELL_PADDING) / ATLAS_SIZE,
+      (cellSize - CELL_PADDING * 2) / ATLAS_SIZE,
+      (cellSize - CELL_PADDING * 2) / ATLAS_SIZE
+    ]
+  }
+
+  const draw = (cell, image) => {
+    const [x, y] = cellOrigin(cell.slot)
+    const { context } = cell.atlas
+    const inner = cellSize - CELL_PADDING * 2
+    context.clearRect(x, y, cellSize, cellSize)
+    // Stretched to the square cell; the plane's own aspect stretches it back
+    if (image) context.drawImage(image, x + CELL_PADDING, y + CELL_PADDING, inner, inner)
+    else drawFallback(context, x + CELL_PADDING, y + CELL_PADDING, inner)
+    cell.atlas.dirty = true
+  }
+
+  const loadNext = () => {
+    while (!disposed && loading < MAX_CONCURRENT_LOADS && queue.length > 0) {
+      const [key, cell] = queue.shift()
+      // Freed or replaced while it waited
+      if (cells.get(key) !== cell) continue
+
+      loading++
+      const image = new Image()
+      image.crossOrigin = 'anonymous'
+      const finish = (loaded) => {
+        loading--
+        if (!disposed && cells.get(key) === cell) draw(cell, loaded ? image : null)
+        loadNext()
+      }
+      image.onload = () => finish(true)
+      image.onerror = () => finish(false)
+      image.src = cell.url
+    }
+  }
+
+  const release = (key) => {
+    const cell = cells.get(key)
+    cells.delete(key)
+    const [x, y] = cellOrigin(cell.slot)
+    cell.atlas.context.clearRect(x, y, cellSize, cellSize)
+    freeCells.push({ atlas: cell.atlas, slot: cell.slot })
+  }
+
+  return {
+    atlases,
+
+    sync(entries) {
+      const keys = new Set(entries.map(([key]) => key))
+      for (const key of [...cells.keys()]) {
+        if (!keys.has(key)) release(key)
+      }
+      for (const [key, url] of entries) {
+        if (cells.get(key)?.url === url) continue
+        if (cells.has(key)) release(key)
+        if (freeCells.length === 0) addAtlas()
+        const cell = { ...freeCells.pop(), url }
+        cells.set(key, cell)
+        queue.push([key, cell])
+      }
+      loadNext()
+    },
+
+    placementOf(key) {
+      const cell = cells.get(key)
+      return cell ? { atlas: cell.atlas.index, rect: cellRect(cell.slot) } : null
+    },
+
+    flush(time) {
+      for (const atlas of atlases) {
+        if (atlas.dirty && time - atlas.uploadedAt >= UPLOAD_INTERVAL) {
+          atlas.texture.needsUpdate = true
+          atlas.dirty = false
+          atlas.uploadedAt = time
+        }
+      }
+    },
+
+    dispose() {
+      disposed = true
+      atlases.forEach((atlas) => atlas.texture.dispose())
+    }
+  }
+}
+
+// Instanced planes sampling one atlas. Each instance reads its cell from the
+// `uvRect` attribute and its opacity from `instanceOpacity`; the `tint`
+// uniform colours them all, for the scene's light preset.
+const vertexShader = /* glsl */ `
+  attribute vec4 uvRect;
+  attribute float instanceOpacity;
+  varying vec2 vUv;
+  varying float vOpacity;
+
+  void main() {
+    vUv = uvRect.xy + uv * uvRect.zw;
+    vOpacity = instanceOpacity;
+    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+  }
+`
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D atlas;
+  uniform vec3 tint;
+  varying vec2 vUv;
+  varying float vOpacity;
+
+  void main() {
+    vec4 color = texture2D(atlas, vUv);
+    gl_FragColor = vec4(color.rgb * tint, color.a * vOpacity);
+    #include <colorspace_fragment>
+  }
+`
+
+export function createAtlasLayer(atlas, capacity) {
+  const geometry = new THREE.PlaneGeometry(1, 1)
+  geometry.setAttribute(
+    'uvRect',
+    new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4).setUsage(
+      THREE.DynamicDrawUsage
+    )
+  )
+  geometry.setAttribute(
+    'instanceOpacity',
+    new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1).setUsage(
+      THREE.DynamicDrawUsage
+    )
+  )
+  const material = new THREE.ShaderMaterial({
+    uniforms: { atlas: { value: atlas.texture }, tint: { value: new THREE.Color('white') } },
+    vertexShader,
+    fragmentShader,
+    transparent: true
+  })
+  return { geometry, material }
+}
+
+export const atlasCapacity = (cellSize) => (ATLAS_SIZE / cellSize) ** 2
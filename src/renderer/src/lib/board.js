@@ -0,0 +1,139 @@
+// Board document helpers shared by the renderer components.
+//
+// A board is `{ items, layout, camera }`. Image items look like
+// `{ id, type: 'image', name, path, asset, modifiedAt, width, height, position,
+// rotation, scale }` plus editable metadata (`title`, `notes`, `tags`,
+// `colorLabel`, `source`; see lib/metadata) and, once analysed, `palette`:
+// their dominant colours as `[{ hex, weight }]`, and `hash`, a perceptual
+// hash for spotting near-duplicates (see lib/duplicates). They also carry
+// runtime-only URLs used for rendering: `url` for the full-resolution image
+// and `thumbnailUrl` for a downscaled copy. `asset` is set once the main
+// process has written the image into the board's asset folder.
+//
+// Boards can also hold items the app draws itself: sticky notes
+// (`type: 'note'`, with `text` and a paper `color`), colour swatches
+// (`type: 'swatch'`, with a `color`) and frames (`type: 'frame'`, named by
+// their `title`). These share the transform and metadata fields, and any item
+// can sit in a frame through its `frameId` (see lib/frames).
+
+export const createItemId = () => crypto.randomUUID()
+
+const emptyMetadata = () => ({ title: '', notes: '', tags: [], colorLabel: null })
+
+export const createImageItem = (image, transform) => ({
+  id: createItemId(),
+  type: 'image',
+  name: image.name,
+  path: image.path,
+  modifiedAt: image.modifiedAt,
+  width: image.width,
+  height: image.height,
+  ...emptyMetadata(),
+  // Where the image came from; starts as its file path or URL but is editable,
+  // e.g. to credit a photographer
+  source: image.source ?? image.path,
+  url: image.src,
+  thumbnailUrl: image.thumbnail,
+  ...transform
+})
+
+// Sticky note paper colours, in the order the inspector offers them
+export const NOTE_COLORS = ['#fff3a3', '#ffc9de', '#bde0fe', '#caffbf', '#ffd6a5']
+
+// Notes and swatches get a nominal pixel size, so layouts and the canvas
+// drawing read their proportions the same way as an image's
+export const createNoteItem = (transform) => ({
+  id: createItemId(),
+  type: 'note',
+  text: '',
+  color: NOTE_COLORS[0],
+  width: 400,
+  height: 300,
+  modifiedAt: Date.now(),
+  ...emptyMetadata(),
+  ...transform
+})
+
+export const createSwatchItem = (color, transform) => ({
+  id: createItemId(),
+  type: 'swatch',
+  color,
+  width: 300,
+  height: 360,
+  modifiedAt: Date.now(),
+  ...emptyMetadata(),
+  ...transform
+})
+
+// Frames take their size from their scale alone
+export const createFrameItem = (transform) => ({
+  id: createItemId(),
+  type: 'frame',
+  modifiedAt: Date.now(),
+  ...emptyMetadata(),
+  title: 'Frame',
+  ...transform
+})
+
+// Item fields that only make sense while the board is open
+const RUNTIME_FIELDS = ['url', 'thumbnailUrl', 'missing']
+
+const stripRuntimeFields = (item) =>
+  Object.fromEntries(Object.entries(item).filter(([key]) => !RUNTIME_FIELDS.includes(key)))
+
+// Images not yet in the asset folder send their data URL so the main process
+// can write them out; file-backed ones are copied from `path` instead
+const serializeImage = (image) =>
+  !image.asset && image.url?.startsWith('data:')
+    ? { ...stripRuntimeFields(image), url: image.url }
+    : stripRuntimeFields(image)
+
+// The background image in `appearance` is stored the same way as items
+export const serializeBoard = ({ items, appearance, ...board }) => ({
+  ...board,
+  ...(appearance && {
+    appearance: appearance.background.image
+      ? {
+          ...appearance,
+          background: {
+            ...appearance.background,
+            image: serializeImage(appearance.background.image)
+          }
+        }
+      : appearance
+  }),
+  items: items.map((item) =>
+    item.type === 'image' ? serializeImage(item) : stripRuntimeFields(item)
+  )
+})
+
+// Point an image at a file found elsewhere (`image` as the main process
+// describes imports). Its asset is written afresh on the next save, and
+// anything worked out from the old pixels is dropped.
+export const relinkImage = (item, image) => ({
+  ...Object.fromEntries(
+    Object.entries(item).filter(([key]) => !['asset', 'missing', 'palette', 'hash'].includes(key))
+  ),
+  path: image.path,
+  modifiedAt: image.modifiedAt,
+  url: image.src,
+  thumbnailUrl: image.thumbnail
+})
+
+// Record the asset paths the main process assigned during a save
+export const withSavedAssets = (items, assets) =>
+  items.map((item) => (assets[item.id] ? { ...item, asset: assets[item.id] } : item))
+
+export const withBackgroundAsset = (appearance, asset) =>
+  appearance.background.image
+    ? {
+        ...appearance,
+        background: { ...appearance.background, image: { ...appearance.background.image, asset } }
+      }
+    : appearance
+
+export const boardNameFromPath = (filePath) =>
+  filePath
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.sankyboard$/, '')
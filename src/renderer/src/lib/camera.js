@@ -0,0 +1,20 @@
+// Default camera pose: straight down the z axis at the board's centre
+export const HOME_VIEW = { position: [0, 0, 35], target: [0, 0, 0] }
+
+// Fly commands (see keymap.js), as [right, up, forward] directions
+export const FLY_DIRECTIONS = {
+  'fly.forward': [0, 0, 1],
+  'fly.back': [0, 0, -1],
+  'fly.left': [-1, 0, 0],
+  'fly.right': [1, 0, 0],
+  'fly.up': [0, 1, 0],
+  'fly.down': [0, -1, 0]
+}
+
+// Read a saved board camera. Boards saved before viewpoints stored only a
+// position looking straight at the board, plus a zoom factor we now drop.
+export const viewFromCamera = (camera) => {
+  if (!camera?.position) return HOME_VIEW
+  const [x, y] = camera.position
+  return { position: camera.position, target: camera.target ?? [x, y, 0] }
+}
@@ -0,0 +1,108 @@
+// Board sync for shared sessions (see main/collaboration.js for transport).
+//
+// Every item field is a last-writer-wins register. A change travels as an op
+// `{ id, field, value, stamp }`, where `stamp` is a Lamport timestamp
+// `[counter, site]`: the counter only moves forward, past every stamp a
+// window has seen, and the site (the peer id) breaks ties. Whichever op has
+// the highest stamp wins, so every window ends up with the same board
+// whatever order ops arrive in. An item's `deleted` field says whether it's
+// on the board, and image items carry a `media` field: the key their pixels
+// are shared under.
+//
+// A replica is `{ site, counter, items }`, where `items` maps item ids to a
+// Map of field name to `{ value, stamp }`.
+
+// Fields that describe this computer's copy of an item rather than the item:
+// where its pixels are, and what's worked out from them
+const LOCAL_FIELDS = ['id', 'url', 'thumbnailUrl', 'path', 'asset', 'missing', 'palette', 'hash']
+const META_FIELDS = ['deleted', 'media']
+
+export const createReplica = (site) => ({ site, counter: 0, items: new Map() })
+
+const isNewer = (stamp, than) => (stamp[0] !== than[0] ? stamp[0] > than[0] : stamp[1] > than[1])
+
+export const isSame = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+// Ops from other windows may only touch shared fields: a peer pointing an
+// item's `path` or `url` at a file here would have it read and sent back
+export const isSharedOp = (op) => !LOCAL_FIELDS.includes(op?.field)
+
+export const sharedFields = (item) =>
+  Object.fromEntries(Object.entries(item).filter(([key]) => !LOCAL_FIELDS.includes(key)))
+
+// Shared fields of every item, by id, to diff the next board against
+export const snapshotItems = (items) =>
+  new Map(items.filter((item) => item.id).map((item) => [item.id, sharedFields(item)]))
+
+// Changes from `snapshot` to `items`, as `{ id, field, value }`. Added items
+// list all their fields after `deleted: false`; removed ones just get
+// `deleted: true`. A field that disappears is sent as null.
+export function diffItems(snapshot, items) {
+  const changes = []
+  const seen = new Set()
+
+  for (const item of items) {
+    if (!item.id) continue
+    seen.add(item.id)
+    const fields = sharedFields(item)
+    const before = snapshot.get(item.id)
+    if (!before) {
+      changes.push({ id: item.id, field: 'deleted', value: false })
+      Object.entries(fields).forEach(([field, value]) =>
+        changes.push({ id: item.id, field, value })
+      )
+      continue
+    }
+    for (const field of new Set([...Object.keys(before), ...Object.keys(fields)])) {
+      if (!isSame(before[field], fields[field])) {
+        changes.push({ id: item.id, field, value: fields[field] ?? null })
+      }
+    }
+  }
+
+  for (const id of snapshot.keys()) {
+    if (!seen.has(id)) changes.push({ id, field: 'deleted', value: true })
+  }
+  return changes
+}
+
+// Merge ops into the replica; returns the ones that won
+export function mergeOps(replica, ops) {
+  const winners = []
+  for (const op of ops) {
+    if (!Array.isArray(op?.stamp)) continue
+    replica.counter = Math.max(replica.counter, op.stamp[0])
+    const fields = replica.items.get(op.id) ?? new Map()
+    const current = fields.get(op.field)
+    if (current && !isNewer(op.stamp, current.stamp)) continue
+
+    fields.set(op.field, { value: op.value, stamp: op.stamp })
+    replica.items.set(op.id, fields)
+    winners.push(op)
+  }
+  return winners
+}
+
+// Stamp this window's changes as one step, and record them in the replica
+export function stampChanges(replica, changes) {
+  replica.counter += 1
+  const stamp = [replica.counter, replica.site]
+  const ops = changes.map((change) => ({ ...change, stamp }))
+  mergeOps(replica, ops)
+  return ops
+}
+
+// The item as the replica has it, without its local fields, or null if it
+// isn't on the board
+export function readItem(replica, id) {
+  const fields = replica.items.get(id)
+  if (fields?.get('deleted')?.value !== false) return null
+
+  const item = { id }
+  for (const [field, { value }] of fields) {
+    if (!META_FIELDS.includes(field) && !LOCAL_FIELDS.includes(field)) item[field] = value
+  }
+  return item
+}
+
+export const mediaKey = (replica, id) => replica.items.get(id)?.get('media')?.value ?? null
@@ -0,0 +1,30 @@
+// Colour conversions shared by palettes and the colour-wheel layout. Colours
+// are stored as '#rrggbb' strings; `rgb` values are 0-255 channel arrays.
+
+export const rgbToHex = ([r, g, b]) =>
+  `#${[r, g, b].map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+
+export const hexToRgb = (hex) => [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16))
+
+// Hue in degrees, saturation and lightness from 0 to 1
+export const hexToHsl = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map((channel) => channel / 255)
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  const d = max - min
+  if (d === 0) return { h: 0, s: 0, l }
+
+  const s = d / (1 - Math.abs(2 * l - 1))
+  let h
+  if (max === r) h = ((g - b) / d) % 6
+  else if (max === g) h = (b - r) / d + 2
+  else h = (r - g) / d + 4
+  return { h: (h * 60 + 360) % 360, s, l }
+}
+
+export const colorDistance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])
+
+// How a colour is written when copied: 'hex' or 'rgb'
+export const formatColor = (hex, format) =>
+  format === 'rgb' ? `rgb(${hexToRgb(hex).join(', ')})` : hex
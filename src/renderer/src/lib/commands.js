@@ -0,0 +1,49 @@
+// Reversible board edits for the undo/redo history.
+//
+// A command is `{ label, apply(items), revert(items) }`: both functions take
+// the current item list and return the next one without mutating it.
+
+const patchItems = (items, patches) =>
+  items.map((item) => (patches[item.id] ? { ...item, ...patches[item.id] } : item))
+
+// `before` and `after` map item ids to the fields that changed
+export const updateItemsCommand = (label, before, after) => ({
+  label,
+  apply: (items) => patchItems(items, after),
+  revert: (items) => patchItems(items, before)
+})
+
+export const addItemsCommand = (label, added) => {
+  const ids = new Set(added.map((item) => item.id))
+  return {
+    label,
+    apply: (items) => [...items, ...added],
+    revert: (items) => items.filter((item) => !ids.has(item.id))
+  }
+}
+
+// Remembers where each removed item sat so undo restores the stacking order
+export const removeItemsCommand = (label, items, ids) => {
+  const removed = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => ids.includes(item.id))
+
+  return {
+    label,
+    apply: (current) => current.filter((item) => !ids.includes(item.id)),
+    revert: (current) => {
+      const next = [...current]
+      for (const { item, index } of removed) {
+        next.splice(Math.min(index, next.length), 0, item)
+      }
+      return next
+    }
+  }
+}
+
+// Several commands undone and redone as one step
+export const batchCommand = (label, commands) => ({
+  label,
+  apply: (items) => commands.reduce((current, command) => command.apply(current), items),
+  revert: (items) => commands.reduceRight((current, command) => command.revert(current), items)
+})
@@ -0,0 +1,111 @@
+// Canvas drawings for the items the app renders itself. Each returns a canvas
+// to use as a texture, drawn at a multiple of the item's nominal pixel size.
+
+const RESOLUTION = 2
+const NOTE_PADDING = 28
+const NOTE_FONT_SIZE = 30
+const NOTE_LINE_HEIGHT = 38
+const SWATCH_LABEL_HEIGHT = 64
+const LABEL_FONT_SIZE = 40
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(width * RESOLUTION)
+  canvas.height = Math.round(height * RESOLUTION)
+  const context = canvas.getContext('2d')
+  context.scale(RESOLUTION, RESOLUTION)
+  return { canvas, context }
+}
+
+// Greedy word wrap; explicit line breaks are kept
+const wrapLines = (context, text, maxWidth) =>
+  text.split('\n').flatMap((paragraph) => {
+    const lines = []
+    let line = ''
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+    return lines
+  })
+
+export const drawNote = ({ text, color, width, height }) => {
+  const { canvas, context } = createCanvas(width, height)
+  context.fillStyle = color
+  context.fillRect(0, 0, width, height)
+
+  context.font = `${NOTE_FONT_SIZE}px Arial`
+  context.textBaseline = 'top'
+  context.fillStyle = text ? '#222222' : 'rgba(0, 0, 0, 0.35)'
+
+  let lines = wrapLines(context, text || 'Double-click to write', width - NOTE_PADDING * 2)
+  const maxLines = Math.floor((height - NOTE_PADDING * 2) / NOTE_LINE_HEIGHT)
+  if (lines.length > maxLines) {
+    lines = lines.slice(0, maxLines)
+    lines[maxLines - 1] = `${lines[maxLines - 1]}…`
+  }
+  lines.forEach((line, i) => {
+    context.fillText(line, NOTE_PADDING, NOTE_PADDING + i * NOTE_LINE_HEIGHT)
+  })
+  return canvas
+}
+
+// Solid colour over a white band with its HEX code
+export const drawSwatch = ({ color, width, height }) => {
+  const { canvas, context } = createCanvas(width, height)
+  context.fillStyle = color
+  context.fillRect(0, 0, width, height - SWATCH_LABEL_HEIGHT)
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, height - SWATCH_LABEL_HEIGHT, width, SWATCH_LABEL_HEIGHT)
+
+  context.font = `bold ${SWATCH_LABEL_HEIGHT * 0.45}px Arial`
+  context.textAlign = 'center'
+  context.textBaseline = 'middle'
+  context.fillStyle = '#222222'
+  context.fillText(color.toUpperCase(), width / 2, height - SWATCH_LABEL_HEIGHT / 2)
+  return canvas
+}
+
+// A single line of text, sized to fit it; used for frame titles
+export const drawLabel = (text, color) => {
+  const font = `bold ${LABEL_FONT_SIZE}px Arial`
+  const measure = document.createElement('canvas').getContext('2d')
+  measure.font = font
+  const height = LABEL_FONT_SIZE * 1.4
+
+  const { canvas, context } = createCanvas(Math.ceil(measure.measureText(text).width) + 8, height)
+  context.font = font
+  context.textBaseline = 'middle'
+  context.fillStyle = color
+  context.fillText(text, 4, height / 2)
+  return canvas
+}
+
+// Gradient card with a centred caption, as a data URL, for placeholder images
+// (works offline and with CSP)
+export const generatePlaceholderImage = (width, height, color, text) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+
+  const gradient = context.createLinearGradient(0, 0, width, height)
+  gradient.addColorStop(0, color)
+  gradient.addColorStop(1, `${color}88`)
+  context.fillStyle = gradient
+  context.fillRect(0, 0, width, height)
+
+  context.fillStyle = 'white'
+  context.font = `${Math.min(width, height) / 8}px Arial`
+  context.textAlign = 'center'
+  context.textBaseline = 'middle'
+  context.fillText(text, width / 2, height / 2)
+
+  return canvas.toDataURL()
+}
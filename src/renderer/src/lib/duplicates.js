@@ -0,0 +1,108 @@
+// Near-duplicate detection. Each image gets a perceptual hash, `hash`, saved
+// with the board: a difference hash (dHash) of the image shrunk to 9×8 grey
+// pixels, one bit per pair of horizontal neighbours saying whether the left
+// one is brighter. Re-encoding, resizing or light edits flip few bits, so
+// images whose hashes differ in only a handful of bits are the same picture.
+// (Exact copies already share an asset file; the main process names assets
+// by content hash.)
+
+const HASH_WIDTH = 9
+const HASH_HEIGHT = 8
+// Hashes this many bits apart or closer count as the same picture
+const NEAR_DUPLICATE_DISTANCE = 6
+
+const loadGreyscale = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image()
+    image.crossOrigin = 'anonymous'
+    image.onload = async () => {
+      try {
+        const bitmap = await createImageBitmap(image, {
+          resizeWidth: HASH_WIDTH,
+          resizeHeight: HASH_HEIGHT,
+          resizeQuality: 'medium'
+        })
+        const canvas = new OffscreenCanvas(HASH_WIDTH, HASH_HEIGHT)
+        const context = canvas.getContext('2d')
+        context.drawImage(bitmap, 0, 0)
+        bitmap.close()
+        const { data } = context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT)
+        const grey = []
+        for (let i = 0; i < data.length; i += 4) {
+          grey.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])
+        }
+        resolve(grey)
+      } catch (error) {
+        reject(error)
+      }
+    }
+    image.onerror = () => reject(new Error(`Failed to load ${url.slice(0, 100)}`))
+    image.src = url
+  })
+
+// Resolve an image's 64-bit hash as 16 hex digits
+export const perceptualHash = async (url) => {
+  const grey = await loadGreyscale(url)
+  let hex = ''
+  let nibble = 0
+  let bits = 0
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = y * HASH_WIDTH + x
+      nibble = (nibble << 1) | (grey[i] > grey[i + 1] ? 1 : 0)
+      if (++bits === 4) {
+        hex += nibble.toString(16)
+        nibble = 0
+        bits = 0
+      }
+    }
+  }
+  return hex
+}
+
+// Number of bits two hashes differ in
+export const hashDistance = (a, b) => {
+  let distance = 0
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16)
+    while (diff) {
+      distance += diff & 1
+      diff >>= 1
+    }
+  }
+  return distance
+}
+
+const isNearDuplicate = (a, b) =>
+  Boolean(a.hash && b.hash) && hashDistance(a.hash, b.hash) <= NEAR_DUPLICATE_DISTANCE
+
+// The images among `added` that look like another image on the board, as
+// `[{ item, matches }]`
+export const findDuplicatesOf = (added, items) =>
+  added.flatMap((item) => {
+    const matches = items.filter((other) => other.id !== item.id && isNearDuplicate(item, other))
+    return matches.length > 0 ? [{ item, matches }] : []
+  })
+
+// Ids of the board's images grouped by picture, for groups of two or more
+export const findDuplicateGroups = (items) => {
+  const images = items.filter((item) => item.type === 'image' && item.hash)
+  const groups = []
+  const grouped = new Set()
+  for (const image of images) {
+    if (grouped.has(image.id)) continue
+    // Grow the group transitively, so a chain of small edits stays together
+    const group = [image]
+    grouped.add(image.id)
+    for (let i = 0; i < group.length; i++) {
+      for (const other of images) {
+        if (!grouped.has(other.id) && isNearDuplicate(group[i], other)) {
+          group.push(other)
+          grouped.add(other.id)
+        }
+      }
+    }
+    if (group.length > 1) groups.push(group.map((item) => item.id))
+  }
+  return groups
+}
@@ -0,0 +1,4 @@
+// IPC errors arrive wrapped as "Error invoking remote method '…': Error: …";
+// this leaves just the message the main process threw, for showing in dialogs
+export const describeError = (error) =>
+  error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '')
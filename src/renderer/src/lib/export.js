@@ -0,0 +1,36 @@
+// Output sizes offered for exports, landscape
+export const EXPORT_SIZES = [
+  { id: 'hd', label: 'Full HD (1920 × 1080)', width: 1920, height: 1080 },
+  { id: '4k', label: '4K (3840 × 2160)', width: 3840, height: 2160 },
+  { id: '8k', label: '8K (7680 × 4320)', width: 7680, height: 4320 }
+]
+
+export const getExportSize = (id) => EXPORT_SIZES.find((size) => size.id === id) ?? EXPORT_SIZES[1]
+
+// Encode a canvas for the main process, which can't receive Blobs over IPC
+export const encodeCanvas = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error(`Could not encode ${canvas.width}×${canvas.height} export`))
+          return
+        }
+        blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject)
+      },
+      type,
+      quality
+    )
+  })
+
+// Paint a transparent render onto an opaque background, for formats without alpha
+export const flattenCanvas = (canvas, color) => {
+  const flat = document.createElement('canvas')
+  flat.width = canvas.width
+  flat.height = canvas.height
+  const context = flat.getContext('2d')
+  context.fillStyle = color
+  context.fillRect(0, 0, flat.width, flat.height)
+  context.drawImage(canvas, 0, 0)
+  return flat
+}
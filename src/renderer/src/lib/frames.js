@@ -0,0 +1,95 @@
+// Frames group the items lying inside them. Members point at their frame with
+// `frameId`; moving a frame carries its members along, and layouts arrange a
+// frame and its contents as one unit. Frames don't nest.
+
+export const isFrame = (item) => item.type === 'frame'
+
+// `ids` plus the members of any frames among them
+export const withFrameMembers = (items, ids) => {
+  const frameIds = new Set(
+    items.filter((item) => ids.includes(item.id) && isFrame(item)).map((item) => item.id)
+  )
+  if (frameIds.size === 0) return ids
+  const members = items.filter((item) => frameIds.has(item.frameId)).map((item) => item.id)
+  return [...new Set([...ids, ...members])]
+}
+
+const contains = (frame, [x, y]) =>
+  Math.abs(x - frame.position[0]) <= Math.abs(frame.scale[0]) / 2 &&
+  Math.abs(y - frame.position[1]) <= Math.abs(frame.scale[1]) / 2
+
+// The smallest frame whose bounds hold `position` (frame rotation is ignored)
+export const findFrameAt = (items, position) => {
+  const area = (frame) => Math.abs(frame.scale[0] * frame.scale[1])
+  return (
+    items
+      .filter((item) => isFrame(item) && contains(item, position))
+      .sort((a, b) => area(a) - area(b))[0] ?? null
+  )
+}
+
+// After `ids` moved, each item joins the frame it now lies in or leaves the
+// one it was dragged out of. Returns `{ before, after }` frameId patches.
+export const frameMembershipChanges = (items, ids) => {
+  const before = {}
+  const after = {}
+  for (const item of items) {
+    if (!ids.includes(item.id) || isFrame(item)) continue
+    const frameId = findFrameAt(items, item.position)?.id ?? null
+    if (frameId !== (item.frameId ?? null)) {
+      before[item.id] = { frameId: item.frameId ?? null }
+      after[item.id] = { frameId }
+    }
+  }
+  return { before, after }
+}
+
+// Transform for a frame enclosing `items` with `padding` to spare, sitting
+// just behind the rearmost of them
+export const frameAround = (items, padding) => {
+  const edges = (axis) =>
+    items.flatMap((item) => [
+      item.position[axis] - Math.abs(item.scale[axis]) / 2,
+      item.position[axis] + Math.abs(item.scale[axis]) / 2
+    ])
+  const [left, right] = [Math.min(...edges(0)), Math.max(...edges(0))]
+  const [bottom, top] = [Math.min(...edges(1)), Math.max(...edges(1))]
+  return {
+    position: [
+      (left + right) / 2,
+      (bottom + top) / 2,
+      Math.min(...items.map((item) => item.position[2])) - 0.2
+    ],
+    rotation: [0, 0, 0],
+    scale: [right - left + padding * 2, top - bottom + padding * 2, 1]
+  }
+}
+
+// Run a layout over the board's top-level items, i.e. frames and anything
+// not in one. Frames keep their size and members keep their place inside
+// their frame. Returns a transform per item, in the same order as `items`.
+export const arrangeItems = (layout, items) => {
+  const frames = new Map(items.filter(isFrame).map((frame) => [frame.id, frame]))
+  const isMember = (item) => frames.has(item.frameId)
+  const topLevel = items.filter((item) => !isMember(item))
+
+  const arranged = new Map()
+  layout.arrange(topLevel).forEach((transform, i) => {
+    const item = topLevel[i]
+    arranged.set(
+      item.id,
+      isFrame(item) ? { ...transform, rotation: item.rotation, scale: item.scale } : transform
+    )
+  })
+
+  return items.map((item) => {
+    if (!isMember(item)) return arranged.get(item.id)
+    const frame = frames.get(item.frameId)
+    const target = arranged.get(frame.id).position
+    return {
+      position: item.position.map((value, i) => value + target[i] - frame.position[i]),
+      rotation: item.rotation,
+      scale: item.scale
+    }
+  })
+}
@@ -0,0 +1,23 @@
+// Resolve an image's natural pixel size. Only the header needs to arrive for
+// this, and the image is never uploaded to the GPU.
+export const measureImage = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight })
+    image.onerror = () => reject(new Error(`Failed to load ${url.slice(0, 100)}`))
+    image.src = url
+  })
+
+// Fill in `width` and `height` on images that don't have them yet.
+// Images that fail to load are returned unchanged.
+export const withNaturalSizes = (images, urlOf = (image) => image.src) =>
+  Promise.all(
+    images.map(async (image) => {
+      if (image.width && image.height) return image
+      try {
+        return { ...image, ...(await measureImage(urlOf(image))) }
+      } catch {
+        return image
+      }
+    })
+  )
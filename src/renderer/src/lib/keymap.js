@@ -0,0 +1,303 @@
+// Board commands and the keys bound to them.
+//
+// Chords are strings like 'Mod+Shift+S', where Mod is Cmd on macOS and Ctrl
+// elsewhere, and letter keys are named by their physical key. The active
+// keymap is the defaults below with the user's overrides (saved in
+// preferences as `{ [commandId]: chords }`) laid over them.
+//
+// `when` says where a command applies: 'always' (even while typing in a
+// field), 'global' (anywhere but a field), 'board' (navigating the board),
+// 'focus' (while an item is focused) or 'present' (during a presentation).
+// `hold` commands last while the key is down. Commands with a `menu` section
+// appear in the application menu, with `separator` starting a new group
+// there; `group` files a command under a section in the shortcut settings
+// without putting it in the menu.
+
+const IS_MAC = navigator.userAgent.includes('Mac')
+
+export const COMMANDS = [
+  { id: 'file.newBoard', label: 'New Board', keys: [], when: 'always', menu: 'File' },
+  { id: 'window.new', label: 'New Window', keys: ['Mod+N'], when: 'always', menu: 'File' },
+  { id: 'file.library', label: 'Boards…', keys: [], when: 'always', menu: 'File' },
+  { id: 'file.open', label: 'Open…', keys: ['Mod+O'], when: 'always', menu: 'File' },
+  {
+    id: 'file.save',
+    label: 'Save',
+    keys: ['Mod+S'],
+    when: 'always',
+    menu: 'File',
+    separator: true
+  },
+  { id: 'file.saveAs', label: 'Save As…', keys: ['Mod+Shift+S'], when: 'always', menu: 'File' },
+  {
+    id: 'file.saveTemplate',
+    label: 'Save as Template…',
+    keys: [],
+    when: 'always',
+    menu: 'File'
+  },
+  {
+    id: 'file.export',
+    label: 'Export…',
+    keys: ['Mod+E'],
+    when: 'always',
+    menu: 'File',
+    separator: true
+  },
+  { id: 'file.walkthrough', label: 'Walkthrough…', keys: [], when: 'always', menu: 'File' },
+  { id: 'file.share', label: 'Share Session…', keys: [], when: 'always', menu: 'File' },
+  { id: 'file.assets', label: 'Assets…', keys: [], when: 'always', menu: 'File' },
+  {
+    id: 'app.keymap',
+    label: 'Keyboard Shortcuts…',
+    keys: ['Mod+,'],
+    when: 'always',
+    menu: 'File',
+    separator: true
+  },
+
+  { id: 'edit.undo', label: 'Undo', keys: ['Mod+Z'], when: 'global', menu: 'Edit' },
+  { id: 'edit.redo', label: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'], when: 'global', menu: 'Edit' },
+  {
+    id: 'edit.delete',
+    label: 'Delete Selected',
+    keys: ['Delete', 'Backspace'],
+    when: 'board',
+    menu: 'Edit',
+    separator: true
+  },
+  { id: 'edit.search', label: 'Search and Filter', keys: ['Mod+F'], when: 'always', menu: 'Edit' },
+
+  { id: 'view.reset', label: 'Reset View', keys: ['Space'], when: 'board', menu: 'View' },
+  { id: 'view.toggleMode', label: 'Toggle 2D/3D', keys: [], when: 'board', menu: 'View' },
+  { id: 'view.toggleNavigation', label: 'Toggle Pan/Orbit', keys: [], when: 'board', menu: 'View' },
+  { id: 'view.appearance', label: 'Appearance…', keys: [], when: 'always', menu: 'View' },
+  { id: 'view.slides', label: 'Slides…', keys: [], when: 'global', menu: 'View', separator: true },
+  { id: 'present.start', label: 'Start Presentation', keys: ['F5'], when: 'global', menu: 'View' },
+  {
+    id: 'view.togglePerformance',
+    label: 'Toggle Performance Mode',
+    keys: [],
+    when: 'board',
+    menu: 'View',
+    separator: true
+  },
+  {
+    id: 'view.toggleStats',
+    label: 'Performance Stats',
+    keys: ['Mod+Shift+P'],
+    when: 'global',
+    menu: 'View'
+  },
+  { id: 'view.panUp', label: 'Pan up', keys: ['ArrowUp'], when: 'board' },
+  { id: 'view.panDown', label: 'Pan down', keys: ['ArrowDown'], when: 'board' },
+  { id: 'view.panLeft', label: 'Pan left', keys: ['ArrowLeft'], when: 'board' },
+  { id: 'view.panRight', label: 'Pan right', keys: ['ArrowRight'], when: 'board' },
+  { id: 'fly.forward', label: 'Fly forward', keys: ['W'], when: 'board', hold: true },
+  { id: 'fly.back', label: 'Fly back', keys: ['S'], when: 'board', hold: true },
+  { id: 'fly.left', label: 'Fly left', keys: ['A'], when: 'board', hold: true },
+  { id: 'fly.right', label: 'Fly right', keys: ['D'], when: 'board', hold: true },
+  { id: 'fly.up', label: 'Fly up', keys: ['E'], when: 'board', hold: true },
+  { id: 'fly.down', label: 'Fly down', keys: ['Q'], when: 'board', hold: true },
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map((slot) => ({
+    id: `viewpoint.${slot}`,
+    label: `Go to viewpoint ${slot}`,
+    keys: [String(slot)],
+    when: 'board'
+  })),
+
+  { id: 'board.addImages', label: 'Add Images…', keys: [], when: 'board', menu: 'Board' },
+  {
+    id: 'board.addFromUrl',
+    label: 'Add Image from URL…',
+    keys: [],
+    when: 'board',
+    menu: 'Board'
+  },
+  // Not in the menu, where it would shadow the native Paste
+  { id: 'board.paste', label: 'Paste Images', keys: ['Mod+V'], when: 'board', group: 'Board' },
+  { id: 'board.addNote', label: 'Add Note', keys: ['N'], when: 'board', menu: 'Board' },
+  { id: 'board.addSwatch', label: 'Add Swatch', keys: [], when: 'board', menu: 'Board' },
+  {
+    id: 'board.frameSelection',
+    label: 'Frame Selection',
+    keys: ['G'],
+    when: 'board',
+    menu: 'Board'
+  },
+
+  { id: 'focus.previous', label: 'Previous item', keys: ['ArrowLeft', 'ArrowUp'], when: 'focus' },
+  { id: 'focus.next', label: 'Next item', keys: ['ArrowRight', 'ArrowDown'], when: 'focus' },
+  { id: 'focus.exit', label: 'Leave focus', keys: ['Escape'], when: 'focus' },
+
+  // Clickers send Page Down/Up, and often B or . to black out the screen
+  {
+    id: 'present.next',
+    label: 'Next slide',
+    keys: ['ArrowRight', 'ArrowDown', 'PageDown', 'Space', 'Enter'],
+    when: 'present'
+  },
+  {
+    id: 'present.previous',
+    label: 'Previous slide',
+    keys: ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'],
+    when: 'present'
+  },
+  { id: 'present.first', label: 'First slide', keys: ['Home'], when: 'present' },
+  { id: 'present.last', label: 'Last slide', keys: ['End'], when: 'present' },
+  { id: 'present.blank', label: 'Black out screen', keys: ['B', '.'], when: 'present' },
+  { id: 'present.exit', label: 'End presentation', keys: ['Escape'], when: 'present' }
+]
+
+export const MENU_SECTIONS = ['File', 'Edit', 'View', 'Board']
+
+export const getCommand = (id) => COMMANDS.find((command) => command.id === id) ?? null
+
+// Contexts each `when` is active in. 'typing' is a text field having focus;
+// 'modal' is a full-window screen like the board library.
+const ACTIVE_IN = {
+  always: ['board', 'focus', 'typing', 'modal', 'present'],
+  global: ['board', 'focus'],
+  board: ['board'],
+  focus: ['focus'],
+  present: ['present']
+}
+
+// Two commands can share a chord only if they're never active together
+export const canShareChord = (a, b) =>
+  !ACTIVE_IN[a.when].some((context) => ACTIVE_IN[b.when].includes(context))
+
+// `{ [commandId]: chords }` for every command
+export const resolveKeymap = (overrides = {}) =>
+  Object.fromEntries(COMMANDS.map(({ id, keys }) => [id, overrides[id] ?? keys]))
+
+const keyName = (event) => {
+  if (/^Key[A-Z]$/.test(event.code)) return event.code.slice(3)
+  if (/^Digit\d$/.test(event.code)) return event.code.slice(5)
+  if (event.key === ' ') return 'Space'
+  if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return null
+  return event.key.length === 1 ? event.key.toUpperCase() : event.key
+}
+
+// The chord a keydown event spells, or null for a bare modifier
+export const chordFromEvent = (event) => {
+  const key = keyName(event)
+  if (!key) return null
+  const modifiers = [
+    (IS_MAC ? event.metaKey : event.ctrlKey) && 'Mod',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift'
+  ]
+  return [...modifiers.filter(Boolean), key].join('+')
+}
+
+export const findCommand = (keymap, chord, context) =>
+  COMMANDS.find(
+    (command) => ACTIVE_IN[command.when].includes(context) && keymap[command.id].includes(chord)
+  ) ?? null
+
+const KEY_LABELS = {
+  Mod: IS_MAC ? '⌘' : 'Ctrl',
+  Alt: IS_MAC ? '⌥' : 'Alt',
+  Shift: IS_MAC ? '⇧' : 'Shift',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  Delete: 'Del'
+}
+
+export const formatChord = (chord) =>
+  chord
+    .split('+')
+    .map((part) => KEY_LABELS[part] ?? part)
+    .join(IS_MAC ? '' : '+')
+
+// Joins chords with '/', shortening runs of digit keys like 1/2/…/9 to 1–9
+export const formatChords = (chords) => {
+  const parts = []
+  for (const chord of chords) {
+    const previous = parts[parts.length - 1]
+    if (
+      /^\d$/.test(chord) &&
+      previous &&
+      /^\d$/.test(previous.last) &&
+      +chord === +previous.last + 1
+    ) {
+      previous.last = chord
+    } else {
+      parts.push({ first: chord, last: chord })
+    }
+  }
+  return parts
+    .map(({ first, last }) => (first === last ? formatChord(first) : `${first}–${last}`))
+    .join('/')
+}
+
+// Electron accelerator for showing a chord in the menu. Plain keys are left
+// out so the menu never swallows them while typing.
+const toAccelerator = (chord) => {
+  if (!/^(Mod|Alt)\+/.test(chord)) return undefined
+  const names = {
+    Mod: 'CmdOrCtrl',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Escape: 'Esc'
+  }
+  return chord
+    .split('+')
+    .map((part) => names[part] ?? part)
+    .join('+')
+}
+
+// Application menu for the main process: `[{ label, items }]`, where items
+// are `{ id, label, accelerator }` or `{ separator: true }`
+export const buildMenuSections = (keymap) =>
+  MENU_SECTIONS.map((label) => ({
+    label,
+    items: COMMANDS.filter((command) => command.menu === label).flatMap((command, i) => [
+      ...(command.separator && i > 0 ? [{ separator: true }] : []),
+      {
+        id: command.id,
+        label: command.label,
+        accelerator: keymap[command.id].map(toAccelerator).find(Boolean)
+      }
+    ])
+  }))
+
+// Keyboard lines for the on-screen help, grouped where listing every
+// command would be noise
+const HELP_ENTRIES = [
+  {
+    label: 'Fly',
+    commands: ['fly.forward', 'fly.left', 'fly.back', 'fly.right', 'fly.up', 'fly.down']
+  },
+  { label: 'Pan', commands: ['view.panUp', 'view.panDown', 'view.panLeft', 'view.panRight'] },
+  { label: 'Viewpoints', commands: [1, 2, 3, 4, 5, 6, 7, 8, 9].map((slot) => `viewpoint.${slot}`) },
+  { label: 'Reset view', commands: ['view.reset'] },
+  { label: 'Step while focused', commands: ['focus.previous', 'focus.next'] },
+  { label: 'Leave focus', commands: ['focus.exit'] },
+  { label: 'Remove selected', commands: ['edit.delete'] },
+  { label: 'Paste images or URLs', commands: ['board.paste'] },
+  { label: 'New note', commands: ['board.addNote'] },
+  { label: 'Frame selection', commands: ['board.frameSelection'] },
+  { label: 'Undo', commands: ['edit.undo'] },
+  { label: 'Redo', commands: ['edit.redo'] },
+  { label: 'Export PNG/PDF', commands: ['file.export'] },
+  { label: 'Search and filter', commands: ['edit.search'] },
+  { label: 'Performance stats', commands: ['view.toggleStats'] },
+  { label: 'Appearance', commands: ['view.appearance'] },
+  { label: 'Share session', commands: ['file.share'] },
+  { label: 'Present slides', commands: ['present.start'] },
+  { label: 'New window', commands: ['window.new'] },
+  { label: 'Keyboard shortcuts', commands: ['app.keymap'] }
+]
+
+export const buildHelpLines = (keymap) =>
+  HELP_ENTRIES.map(({ label, commands }) => ({
+    label,
+    keys: formatChords(commands.flatMap((id) => keymap[id]))
+  })).filter(({ keys }) => keys)
@@ -0,0 +1,37 @@
+// Performance mode: how big boards are drawn.
+//
+// Distant images come from a shared texture atlas of tiny thumbnails; as the
+// camera approaches, an image gets its own plane with a sharper thumbnail.
+// Tiers go by how many pixels tall the image appears on screen.
+
+// Boards with this many images switch to performance mode on their own
+export const AUTO_PERFORMANCE_ITEMS = 150
+
+// Thumbnail edge, in pixels, of images packed into atlases
+export const ATLAS_TIER = 128
+
+// Sharper tiers, largest first
+const LOD_TIERS = [
+  { minPixels: 360, size: 1024 },
+  { minPixels: 110, size: 512 }
+]
+// Images already sharp keep their tier until they shrink this much further,
+// so they don't flicker between tiers at the boundary
+const HYSTERESIS = 0.8
+
+// Thumbnail size for an image `pixels` tall, or null to draw it from the atlas
+export const lodTier = (pixels, current = null) => {
+  const tier = LOD_TIERS.find(({ minPixels, size }) => {
+    const threshold = current && size <= current ? minPixels * HYSTERESIS : minPixels
+    return pixels >= threshold
+  })
+  return tier?.size ?? null
+}
+
+// Images without a thumbnail (pasted data, placeholders) only have one size
+export const lodUrl = (item, size) =>
+  item.thumbnailUrl ? `${item.thumbnailUrl}?size=${size}` : item.url
+
+// `preference` is the `performanceMode` preference: 'auto', 'on' or 'off'
+export const isPerformanceMode = (preference = 'auto', imageCount) =>
+  preference === 'on' || (preference === 'auto' && imageCount >= AUTO_PERFORMANCE_ITEMS)
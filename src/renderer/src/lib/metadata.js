@@ -0,0 +1,64 @@
+// Image metadata (title, notes, tags, colour label, source) and the search
+// filter built on it.
+
+// Colour labels an image can carry, in display order
+export const COLOR_LABELS = [
+  { id: 'red', label: 'Red', color: '#ff6b6b' },
+  { id: 'orange', label: 'Orange', color: '#ffa94d' },
+  { id: 'yellow', label: 'Yellow', color: '#ffd43b' },
+  { id: 'green', label: 'Green', color: '#69db7c' },
+  { id: 'teal', label: 'Teal', color: '#4ecdc4' },
+  { id: 'blue', label: 'Blue', color: '#4dabf7' },
+  { id: 'purple', label: 'Purple', color: '#b197fc' },
+  { id: 'gray', label: 'Gray', color: '#adb5bd' }
+]
+
+export const getColorLabel = (id) => COLOR_LABELS.find((label) => label.id === id) ?? null
+
+// Tags are compared case-insensitively, so store them lower-cased
+export const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase()
+
+// "Client A, moodboard ,client a" -> ['client a', 'moodboard']
+export const parseTags = (text) => [...new Set(text.split(',').map(normalizeTag).filter(Boolean))]
+
+// `hideMode` says what happens to images the filter excludes: 'fade' leaves
+// them as ghosts, 'collapse' shrinks them away entirely
+export const EMPTY_FILTER = { query: '', tags: [], colorLabels: [], hideMode: 'fade' }
+
+// Opacity of images the filter fades out
+export const FADED_OPACITY = 0.12
+
+export const isFilterActive = ({ query, tags, colorLabels }) =>
+  query.trim() !== '' || tags.length > 0 || colorLabels.length > 0
+
+const searchableText = (item) =>
+  [item.title, item.name, item.text, item.notes, item.source ?? item.path, ...(item.tags ?? [])]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase()
+
+// An image matches when it has every selected tag, one of the selected colour
+// labels (if any), and every word of the query somewhere in its metadata
+export const matchesFilter = (item, { query, tags, colorLabels }) => {
+  const itemTags = item.tags ?? []
+  if (!tags.every((tag) => itemTags.includes(tag))) return false
+  if (colorLabels.length > 0 && !colorLabels.includes(item.colorLabel)) return false
+
+  const text = searchableText(item)
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => text.includes(term))
+}
+
+// Every tag on the board with the number of images using it, most used first
+export const countTags = (items) => {
+  const counts = new Map()
+  for (const item of items) {
+    for (const tag of item.tags ?? []) counts.set(tag, (counts.get(tag) ?? 0) + 1)
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
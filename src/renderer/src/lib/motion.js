@@ -0,0 +1,32 @@
+import { seededRandom } from '../layouts/utils'
+
+// Idle float played on top of an item's resting transform, seeded so an item
+// always floats the same way
+export const floatMotion = (seed) => {
+  const random = seededRandom(seed)
+  return {
+    x: random(-0.5, 0.5),
+    y: random(-0.3, 0.3),
+    z: random(-0.2, 0.2),
+    speed: random(0.5, 1.5),
+    amplitude: random(0.3, 0.8)
+  }
+}
+
+// Pose `object` at `rest` (`{ position, rotation }` vectors) plus the float at
+// `time`. `index` staggers neighbouring items; `scrollOffset` adds the scroll
+// parallax, pushing every third item forwards and every third back.
+// `intensity` scales the float; 0 holds the item still at rest.
+export function applyFloat(object, rest, motion, { time, index, scrollOffset, intensity = 1 }) {
+  const wave = motion.amplitude * intensity
+  object.position.set(
+    rest.position.x + Math.sin(time * motion.speed + index) * wave * motion.x,
+    rest.position.y + Math.cos(time * motion.speed * 0.7 + index) * wave * motion.y,
+    rest.position.z + scrollOffset * 0.1 * ((index % 3) - 1)
+  )
+  object.rotation.set(
+    rest.rotation.x,
+    rest.rotation.y,
+    rest.rotation.z + Math.sin(time * 0.3 + index) * 0.02 * intensity
+  )
+}
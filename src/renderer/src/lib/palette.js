@@ -0,0 +1,139 @@
+import { colorDistance, hexToHsl, hexToRgb } from './color'
+
+// Images are sampled at this size; plenty for finding dominant colours
+const SAMPLE_SIZE = 64
+// Swatches closer than this (RGB distance) merge in the board palette
+const MERGE_DISTANCE = 40
+const BOARD_PALETTE_SIZE = 10
+
+let worker = null
+let nextRequestId = 0
+const pending = new Map()
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/palette.worker.js', import.meta.url), {
+      type: 'module'
+    })
+    worker.onmessage = ({ data: { id, palette, error } }) => {
+      const request = pending.get(id)
+      pending.delete(id)
+      if (error) request?.reject(new Error(error))
+      else request?.resolve(palette)
+    }
+    worker.onerror = (event) => {
+      for (const request of pending.values()) request.reject(new Error(event.message))
+      pending.clear()
+    }
+  }
+  return worker
+}
+
+// Decode and shrink on this side (the browser does it off-thread), leaving
+// the pixel crunching to the worker. CORS keeps the bitmap readable there.
+const loadSample = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image()
+    image.crossOrigin = 'anonymous'
+    image.onload = () =>
+      createImageBitmap(image, {
+        resizeWidth: SAMPLE_SIZE,
+        resizeHeight: SAMPLE_SIZE,
+        resizeQuality: 'medium'
+      }).then(resolve, reject)
+    image.onerror = () => reject(new Error(`Failed to load ${url.slice(0, 100)}`))
+    image.src = url
+  })
+
+// Resolve an image's dominant colours as `[{ hex, weight }]`, heaviest first
+export const extractPalette = async (url) => {
+  const bitmap = await loadSample(url)
+  const id = nextRequestId++
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject })
+    getWorker().postMessage({ id, bitmap }, [bitmap])
+  })
+}
+
+// Merge every image's palette into one strip for the whole board: similar
+// colours pool their weight, the heaviest survive, and the strip runs by hue
+export const aggregatePalette = (items) => {
+  const clusters = []
+  const swatches = items.flatMap((item) => item.palette ?? []).sort((a, b) => b.weight - a.weight)
+
+  for (const swatch of swatches) {
+    const rgb = hexToRgb(swatch.hex)
+    const cluster = clusters.find((candidate) => colorDistance(candidate.rgb, rgb) < MERGE_DISTANCE)
+    if (cluster) {
+      cluster.weight += swatch.weight
+    } else {
+      clusters.push({ hex: swatch.hex, rgb, weight: swatch.weight })
+    }
+  }
+
+  return clusters
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, BOARD_PALETTE_SIZE)
+    .map(({ hex, weight }) => ({ hex, weight }))
+    .sort((a, b) => hexToHsl(a.hex).h - hexToHsl(b.hex).h)
+}
+
+// Palette file formats, each encoding `[{ hex }]` as text or bytes
+export const PALETTE_FORMATS = {
+  // CSS custom properties
+  css: (colors, name) =>
+    `/* ${name} */\n:root {\n${colors.map(({ hex }, i) => `  --palette-${i + 1}: ${hex};`).join('\n')}\n}\n`,
+
+  // GIMP/Inkscape/Krita palette
+  gpl: (colors, name) =>
+    [
+      'GIMP Palette',
+      `Name: ${name}`,
+      `Columns: ${colors.length}`,
+      '#',
+      ...colors.map(({ hex }) => {
+        const channels = hexToRgb(hex).map((channel) => String(channel).padStart(3))
+        return `${channels.join(' ')}\t${hex}`
+      }),
+      ''
+    ].join('\n'),
+
+  // Adobe Swatch Exchange: big-endian blocks of UTF-16 names and float RGB
+  ase: (colors) => {
+    const blocks = colors.map(({ hex }) => {
+      const name = `${hex}\0`
+      const block = new DataView(new ArrayBuffer(6 + 2 + name.length * 2 + 4 + 12 + 2))
+      let offset = 0
+      block.setUint16(offset, 0x0001) // colour entry
+      block.setUint32((offset += 2), block.byteLength - 6)
+      block.setUint16((offset += 4), name.length)
+      offset += 2
+      for (const char of name) {
+        block.setUint16(offset, char.charCodeAt(0))
+        offset += 2
+      }
+      for (const char of 'RGB ') block.setUint8(offset++, char.charCodeAt(0))
+      for (const channel of hexToRgb(hex)) {
+        block.setFloat32(offset, channel / 255)
+        offset += 4
+      }
+      block.setUint16(offset, 2) // normal (not global or spot) colour
+      return new Uint8Array(block.buffer)
+    })
+
+    const header = new DataView(new ArrayBuffer(12))
+    'ASEF'.split('').forEach((char, i) => header.setUint8(i, char.charCodeAt(0)))
+    header.setUint16(4, 1) // version 1.0
+    header.setUint16(6, 0)
+    header.setUint32(8, blocks.length)
+
+    const bytes = new Uint8Array(12 + blocks.reduce((total, block) => total + block.length, 0))
+    bytes.set(new Uint8Array(header.buffer))
+    let offset = 12
+    for (const block of blocks) {
+      bytes.set(block, offset)
+      offset += block.length
+    }
+    return bytes
+  }
+}
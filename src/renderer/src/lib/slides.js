@@ -0,0 +1,35 @@
+import { createItemId } from './board'
+
+// Presentation slides, saved with the board in order. A slide is a camera
+// pose like a viewpoint, `{ id, name, position, target }`, plus the items it
+// highlights (`itemIds`; everything else is dimmed while it's shown, and an
+// empty list dims nothing) and the presenter's `notes`.
+
+export const createSlide = (name, { position, target }, itemIds) => ({
+  id: createItemId(),
+  name,
+  position,
+  target,
+  itemIds,
+  notes: ''
+})
+
+// Move the slide `id` one place earlier (-1) or later (1)
+export function moveSlide(slides, id, offset) {
+  const from = slides.findIndex((slide) => slide.id === id)
+  const to = from + offset
+  if (from < 0 || to < 0 || to >= slides.length) return slides
+  const next = [...slides]
+  next.splice(to, 0, ...next.splice(from, 1))
+  return next
+}
+
+// What the speaker notes window shows for slide `index`
+export const notesState = (slides, index, { isBlank, startedAt }) => ({
+  index,
+  total: slides.length,
+  slide: { name: slides[index].name, notes: slides[index].notes },
+  next: slides[index + 1] ? { name: slides[index + 1].name } : null,
+  isBlank,
+  startedAt
+})
@@ -0,0 +1,163 @@
+import {
+  createFrameItem,
+  createImageItem,
+  createItemId,
+  createNoteItem,
+  createSwatchItem
+} from './board'
+import { generatePlaceholderImage } from './drawing'
+import { frameAround } from './frames'
+
+// Starting points for new boards. Built-in templates are recipes: `build()`
+// returns the items (labelled placeholder images, each in a frame titled
+// after its slot, plus notes and swatches), and the template sets the
+// camera and appearance. Templates saved from a board are files
+// instead (see main/templates.js) and go through `instantiateTemplate`.
+
+// Board units to placeholder pixels
+const PIXELS_PER_UNIT = 60
+const SLOT_PADDING = 0.4
+const PLACEHOLDER_TAG = 'placeholder'
+
+const placed = (position, scale) => ({ position, rotation: [0, 0, 0], scale: [...scale, 1] })
+
+// A labelled placeholder image of `size` in a frame titled `label`, centred on `[x, y]`
+const slot = (label, [x, y], size, color) => {
+  const [width, height] = size.map((units) => Math.round(units * PIXELS_PER_UNIT))
+  const url = generatePlaceholderImage(width, height, color, label)
+  const image = {
+    ...createImageItem(
+      { name: label, path: '', source: '', modifiedAt: Date.now(), width, height, src: url },
+      placed([x, y, 0], size)
+    ),
+    title: label,
+    tags: [PLACEHOLDER_TAG]
+  }
+  const frame = { ...createFrameItem(frameAround([image], SLOT_PADDING)), title: label }
+  return [frame, { ...image, frameId: frame.id }]
+}
+
+// Notes are drawn at their nominal pixel size, so it follows their scale
+const note = (text, [x, y], [width, height]) => ({
+  ...createNoteItem(placed([x, y, 0], [width, height])),
+  text,
+  width: width * 100,
+  height: height * 100
+})
+
+const swatch = (color, [x, y]) => createSwatchItem(color, placed([x, y, 0], [2, 2.4]))
+
+const range = (count) => Array.from({ length: count }, (_, i) => i)
+
+export const TEMPLATES = [
+  {
+    id: 'brand-kit',
+    name: 'Brand kit',
+    description: 'Logo, type, imagery and a five-colour palette',
+    camera: { position: [0, 0, 24], target: [0, 0, 0] },
+    appearance: { lighting: 'studio', motionIntensity: 0.4 },
+    build: () => {
+      const palette = ['#1d3557', '#457b9d', '#a8dadc', '#f1faee', '#e63946']
+      return [
+        ...slot('Logo', [-6.5, 4], [6, 4], palette[0]),
+        ...slot('Typography', [0.5, 4], [6, 4], palette[1]),
+        ...range(3).flatMap((i) =>
+          slot(`Imagery ${i + 1}`, [-7 + i * 5, -2], [4, 3], palette[4 - i * 2])
+        ),
+        note('Voice and tone', [8, 4], [4, 4]),
+        ...palette.map((color, i) => swatch(color, [-5 + i * 2.6, -7.5]))
+      ]
+    }
+  },
+  {
+    id: 'interior',
+    name: 'Interior',
+    description: 'A hero room with materials, furniture and lighting',
+    camera: { position: [0, 0, 26], target: [0, 0, 0] },
+    appearance: {
+      background: { colors: ['#3b2f2a', '#2a211d', '#161110'] },
+      lighting: 'warm'
+    },
+    build: () => {
+      const colors = ['#b08968', '#7f5539', '#ddb892', '#9c6644']
+      return [
+        ...slot('Room', [-4, 3], [10, 6], colors[0]),
+        ...range(4).flatMap((i) =>
+          slot(
+            `Material ${i + 1}`,
+            [4.5 + (i % 2) * 3.6, 4.8 - Math.floor(i / 2) * 3.6],
+            [3, 3],
+            colors[i]
+          )
+        ),
+        ...['Seating', 'Tables', 'Storage'].flatMap((label, i) =>
+          slot(label, [-7 + i * 5, -5], [4, 4], colors[(i + 1) % colors.length])
+        ),
+        ...slot('Lighting', [8.3, -5], [3, 4], colors[2])
+      ]
+    }
+  },
+  {
+    id: 'fashion-lookbook',
+    name: 'Fashion lookbook',
+    description: 'Six portrait looks, each with styling notes',
+    camera: { position: [0, 0, 28], target: [0, 0, 0] },
+    appearance: {
+      background: { colors: ['#2b2b2b', '#1c1c1c', '#0d0d0d'] },
+      lighting: 'gallery'
+    },
+    build: () => {
+      const colors = ['#c9ada7', '#9a8c98', '#4a4e69', '#f2e9e4', '#22223b', '#d4a373']
+      return range(6).flatMap((i) => {
+        const x = -8 + (i % 3) * 8
+        const y = 4.5 - Math.floor(i / 3) * 9.5
+        return [
+          ...slot(`Look ${i + 1}`, [x - 1.3, y], [3.5, 5], colors[i]),
+          note('Styling notes', [x + 2.3, y + 1], [2.6, 2.6])
+        ]
+      })
+    }
+  },
+  {
+    id: 'storyboard',
+    name: 'Storyboard grid',
+    description: 'Nine 16:9 shots in reading order, with captions',
+    camera: { position: [0, 0, 26], target: [0, 0, 0] },
+    appearance: {
+      background: { colors: ['#26262b', '#1b1b1f', '#111114'] },
+      motion: false,
+      hoverEffects: false
+    },
+    build: () =>
+      range(9).flatMap((i) => {
+        const x = -6.5 + (i % 3) * 6.5
+        const y = 5.5 - Math.floor(i / 3) * 5.5
+        return [
+          ...slot(`Shot ${i + 1}`, [x, y + 0.6], [5.3, 3], '#5c677d'),
+          note('Action / dialogue', [x, y - 1.7], [5.3, 0.9])
+        ]
+      })
+  }
+]
+
+export const getTemplate = (id) => TEMPLATES.find((template) => template.id === id) ?? null
+
+// The board a built-in template starts
+export const buildTemplate = ({ camera, appearance, build }) => ({
+  camera,
+  appearance,
+  items: build()
+})
+
+// A saved template's board with fresh item ids, so boards started from the
+// same template never share any. Its images arrive as data URLs and are
+// written to the new board's asset folder when it's first saved.
+export function instantiateTemplate(board) {
+  const ids = new Map(board.items.map((item) => [item.id, createItemId()]))
+  const items = board.items.map((item) => ({
+    ...item,
+    id: ids.get(item.id),
+    ...(item.frameId && { frameId: ids.get(item.frameId) ?? null })
+  }))
+  return { ...board, items }
+}
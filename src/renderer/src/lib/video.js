@@ -0,0 +1,74 @@
+// Encoders to try, best first, with the Matroska codec ID the muxer needs
+const VIDEO_CODECS = [
+  { codec: 'vp09.00.51.08', codecId: 'V_VP9' },
+  { codec: 'vp8', codecId: 'V_VP8' }
+]
+const BITS_PER_PIXEL = 0.2
+const KEYFRAME_INTERVAL_SECONDS = 2
+// Frames allowed to queue in the encoder before rendering waits for it
+const MAX_QUEUED_FRAMES = 2
+
+// WebCodecs encoder fed with canvases at a fixed frame rate. Frames are
+// timestamped by index, never by wall clock, so the output depends only on
+// what was drawn. Encoded chunks are passed to `onChunk` in decode order.
+export async function createVideoEncoder({ width, height, fps, onChunk }) {
+  let selected = null
+  for (const { codec, codecId } of VIDEO_CODECS) {
+    const config = {
+      codec,
+      width,
+      height,
+      framerate: fps,
+      bitrate: Math.round(width * height * fps * BITS_PER_PIXEL),
+      latencyMode: 'quality'
+    }
+    const { supported } = await VideoEncoder.isConfigSupported(config)
+    if (supported) {
+      selected = { config, codecId }
+      break
+    }
+  }
+  if (!selected) {
+    throw new Error(`No WebM encoder available for ${width}×${height}`)
+  }
+
+  let failure = null
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      onChunk({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' })
+    },
+    error: (error) => {
+      failure = error
+    }
+  })
+  encoder.configure(selected.config)
+
+  return {
+    codecId: selected.codecId,
+
+    encode: async (canvas, index) => {
+      if (failure) throw failure
+      while (encoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+        await new Promise((resolve) => encoder.addEventListener('dequeue', resolve, { once: true }))
+      }
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round((index * 1e6) / fps),
+        duration: Math.round(1e6 / fps)
+      })
+      encoder.encode(frame, { keyFrame: index % (fps * KEYFRAME_INTERVAL_SECONDS) === 0 })
+      frame.close()
+    },
+
+    finish: async () => {
+      await encoder.flush()
+      encoder.close()
+      if (failure) throw failure
+    },
+
+    cancel: () => {
+      if (encoder.state !== 'closed') encoder.close()
+    }
+  }
+}
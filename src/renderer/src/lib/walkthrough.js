@@ -0,0 +1,49 @@
+import * as THREE from 'three'
+
+// Timing saved with each board, so the walkthrough renders the same every time
+export const WALKTHROUGH_DEFAULTS = { fps: 30, holdSeconds: 1, transitionSeconds: 3 }
+
+export const VIDEO_SIZES = [
+  { id: '720p', label: '720p (1280 × 720)', width: 1280, height: 720 },
+  { id: '1080p', label: '1080p (1920 × 1080)', width: 1920, height: 1080 },
+  { id: '4k', label: '4K (3840 × 2160)', width: 3840, height: 2160 }
+]
+
+export const getVideoSize = (id) => VIDEO_SIZES.find((size) => size.id === id) ?? VIDEO_SIZES[1]
+
+const smoothstep = (t) => t * t * (3 - 2 * t)
+
+// Camera path through `viewpoints` in order: rest on each for `holdSeconds`,
+// then glide to the next over `transitionSeconds` along a spline through all
+// of them. `viewAt(seconds)` is a pure function of the inputs.
+export function createWalkthroughPath(viewpoints, { holdSeconds, transitionSeconds }) {
+  if (viewpoints.length < 2) {
+    throw new Error('A walkthrough needs at least two viewpoints')
+  }
+
+  const curveThrough = (key) =>
+    new THREE.CatmullRomCurve3(
+      viewpoints.map((viewpoint) => new THREE.Vector3(...viewpoint[key])),
+      false,
+      'centripetal'
+    )
+  const positions = curveThrough('position')
+  const targets = curveThrough('target')
+
+  const last = viewpoints.length - 1
+  const stride = holdSeconds + transitionSeconds
+  const duration = viewpoints.length * holdSeconds + last * transitionSeconds
+
+  const viewAt = (seconds) => {
+    const index = Math.min(Math.floor(seconds / stride), last)
+    const progress =
+      transitionSeconds > 0
+        ? THREE.MathUtils.clamp((seconds - index * stride - holdSeconds) / transitionSeconds, 0, 1)
+        : 1
+    // The curves pass through control point i at t = i / last
+    const t = index === last ? 1 : (index + smoothstep(progress)) / last
+    return { position: positions.getPoint(t).toArray(), target: targets.getPoint(t).toArray() }
+  }
+
+  return { duration, viewAt }
+}
@@ -0,0 +1,78 @@
+// Dominant-colour extraction, off the main thread. Receives `{ id, bitmap }`
+// with a small ImageBitmap of the image and replies `{ id, palette }` or
+// `{ id, error }`. The palette is `[{ hex, weight }]`, heaviest first, with
+// weights summing to 1.
+
+const PALETTE_SIZE = 5
+// Mostly transparent pixels don't count towards the palette
+const MIN_ALPHA = 128
+
+const toHex = (rgb) =>
+  `#${rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+
+const readPixels = (bitmap) => {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+  const context = canvas.getContext('2d')
+  context.drawImage(bitmap, 0, 0)
+  bitmap.close()
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height)
+
+  const pixels = []
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= MIN_ALPHA) pixels.push([data[i], data[i + 1], data[i + 2]])
+  }
+  return pixels
+}
+
+const widestChannel = (box) => {
+  let best = { channel: 0, range: -1 }
+  for (let channel = 0; channel < 3; channel++) {
+    let min = 255
+    let max = 0
+    for (const pixel of box) {
+      if (pixel[channel] < min) min = pixel[channel]
+      if (pixel[channel] > max) max = pixel[channel]
+    }
+    if (max - min > best.range) best = { channel, range: max - min }
+  }
+  return best
+}
+
+// Median cut: keep halving the box with the most spread-out pixels along its
+// widest channel, then average each box. Deterministic for a given image.
+const medianCut = (pixels, count) => {
+  const boxes = [pixels]
+  while (boxes.length < count) {
+    let split = null
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return
+      const { channel, range } = widestChannel(box)
+      const score = range * box.length
+      if (range > 0 && (!split || score > split.score)) split = { index, channel, score }
+    })
+    if (!split) break
+
+    const box = boxes[split.index].sort((a, b) => a[split.channel] - b[split.channel])
+    const middle = box.length >> 1
+    boxes.splice(split.index, 1, box.slice(0, middle), box.slice(middle))
+  }
+
+  return boxes
+    .map((box) => {
+      const sum = box.reduce((total, pixel) => total.map((value, i) => value + pixel[i]), [0, 0, 0])
+      return {
+        hex: toHex(sum.map((value) => value / box.length)),
+        weight: box.length / pixels.length
+      }
+    })
+    .sort((a, b) => b.weight - a.weight)
+}
+
+self.onmessage = ({ data: { id, bitmap } }) => {
+  try {
+    const pixels = readPixels(bitmap)
+    self.postMessage({ id, palette: pixels.length > 0 ? medianCut(pixels, PALETTE_SIZE) : [] })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}